@@ -0,0 +1,107 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {LRUCache} from 'lru-cache';
+
+/**
+ * An in-memory, LRU-bounded cache of successful capability delegation proof
+ * verification results. When given to `authorizeZcapInvocation` via its
+ * `chainCache` option, repeated invocations of the same delegated zcap skip
+ * the cryptographic verification of the delegation proofs in its chain; the
+ * HTTP signature, the delegation rules (e.g., expiration and target
+ * attenuation), and any `inspectCapabilityChain` hook are still checked on
+ * every request.
+ *
+ * Entries are keyed by the delegated zcap's ID and a hash of the signature
+ * suite that verified its proof, the zcap, and the proof, and they expire no
+ * later than the zcap's `expires` or `maxTtl` after they were cached,
+ * whichever is sooner, so that a verification method that has since been
+ * revoked or rotated (e.g., in a DID document) is eventually looked up
+ * again. The entries for a chain are removed
+ * whenever `inspectCapabilityChain` reports that the chain is not valid
+ * (e.g., because a zcap in it has been revoked).
+ */
+export class CapabilityChainCache {
+  /**
+   * Creates a new capability chain cache.
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {number} [options.maxSize=1000] - The maximum number of proof
+   *   verification results to cache.
+   * @param {number} [options.maxTtl=300000] - The maximum number of
+   *   milliseconds to cache a proof verification result for, even if the
+   *   zcap expires later.
+   */
+  constructor({maxSize = 1000, maxTtl = 1000 * 60 * 5} = {}) {
+    assert.number(maxSize, 'options.maxSize');
+    assert.number(maxTtl, 'options.maxTtl');
+    this._cache = new LRUCache({max: maxSize});
+    this._maxTtl = maxTtl;
+    this._hits = 0;
+    this._misses = 0;
+  }
+
+  /**
+   * Gets the cache hit / miss statistics.
+   *
+   * @returns {object} An object with `hits`, `misses`, and current `size`.
+   */
+  get stats() {
+    return {hits: this._hits, misses: this._misses, size: this._cache.size};
+  }
+
+  /**
+   * Gets a cached proof verification result.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.key - The cache key.
+   *
+   * @returns {object|undefined} The cached result, `{verificationMethod}`,
+   *   or `undefined` if there was no unexpired entry.
+   */
+  get({key}) {
+    const value = this._cache.get(key);
+    if(value === undefined) {
+      this._misses++;
+    } else {
+      this._hits++;
+    }
+    return value;
+  }
+
+  /**
+   * Caches a proof verification result.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.key - The cache key.
+   * @param {object} options.value - The result, `{verificationMethod}`.
+   * @param {Date} options.expires - The date at which the entry expires;
+   *   it expires sooner if `maxTtl` is reached first.
+   */
+  set({key, value, expires}) {
+    const ttl = Math.min(expires.getTime() - Date.now(), this._maxTtl);
+    if(ttl > 0) {
+      this._cache.set(key, value, {ttl});
+    }
+  }
+
+  /**
+   * Removes a cached proof verification result.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.key - The cache key.
+   */
+  delete({key}) {
+    this._cache.delete(key);
+  }
+
+  /**
+   * Removes all cached proof verification results; this should be called
+   * whenever a zcap is revoked if `inspectCapabilityChain` is not used to
+   * check for revocations.
+   */
+  clear() {
+    this._cache.clear();
+  }
+}
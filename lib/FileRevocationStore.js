@@ -0,0 +1,165 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import fs from 'node:fs/promises';
+import {MemoryRevocationStore} from './MemoryRevocationStore.js';
+
+/**
+ * A store of revoked zcaps that is persisted to a JSON file. Revocations are
+ * loaded from the file when the store is first used and the file is
+ * atomically rewritten (via a temporary file that replaces it) whenever a
+ * revocation is added; a revocation is only kept if it was written. Like
+ * `MemoryRevocationStore`, each revocation is purged once the revoked zcap's
+ * `expires` date-time (plus `maxClockSkew`) has passed.
+ *
+ * Note: The file must only be used by a single process at a time; servers
+ * that run multiple processes should use a shared backend that implements
+ * the `RevocationStore` interface.
+ */
+export class FileRevocationStore extends MemoryRevocationStore {
+  /**
+   * Creates a new file-backed revocation store.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.path - The path of the JSON file; it is created
+   *   if it does not exist.
+   * @param {number} [options.maxClockSkew=300] - The number of seconds to
+   *   keep a revocation after the revoked zcap expires; this must be at least
+   *   the `maxClockSkew` used when verifying zcaps.
+   */
+  constructor({path, maxClockSkew} = {}) {
+    super({maxClockSkew});
+    assert.string(path, 'options.path');
+    this._path = path;
+    this._loading = undefined;
+    this._writing = Promise.resolve();
+  }
+
+  /**
+   * Adds a revocation to the store if the zcap has not already been revoked
+   * for the service object and writes the store to its file.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.capability - The revoked zcap.
+   * @param {string} options.delegator - The ID of the party that delegated
+   *   the revoked zcap.
+   * @param {string} [options.serviceObjectId] - The ID of the service object
+   *   that the zcap was revoked for.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the revocation was
+   *   added or `false` if the zcap had already been revoked for the service
+   *   object.
+   */
+  async add(options) {
+    await this._load();
+    const added = await super.add(options);
+    if(added) {
+      // a revocation that could not be written is removed so that the store
+      // does not report it until it has been added again
+      const revocation = {
+        id: options.capability.id, serviceObjectId: options.serviceObjectId
+      };
+      await this._save({rollback: () => this._delete({revocation})});
+    }
+    return added;
+  }
+
+  /**
+   * Gets the revocation of a zcap.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.id - The ID of the zcap.
+   * @param {string} [options.serviceObjectId] - Only get the revocation if
+   *   the zcap was revoked for this service object.
+   *
+   * @returns {Promise<object|undefined>} Resolves to the `Revocation` or
+   *   `undefined` if the zcap has not been revoked.
+   */
+  async get(options) {
+    await this._load();
+    return super.get(options);
+  }
+
+  /**
+   * Finds the revocations of any of the given zcaps.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Array<string>} options.ids - The IDs of the zcaps.
+   *
+   * @returns {Promise<Array<object>>} Resolves to every `Revocation` of a
+   *   zcap with any of the IDs, for any service object.
+   */
+  async find(options) {
+    await this._load();
+    return super.find(options);
+  }
+
+  /**
+   * Lists revocations in the order in which they were made; see
+   * `MemoryRevocationStore`.
+   *
+   * @param {object} [options] - Options hashmap.
+   *
+   * @returns {Promise<object>} Resolves to `{revocations, cursor}`.
+   */
+  async list(options) {
+    await this._load();
+    return super.list(options);
+  }
+
+  // loads the revocations from the file once
+  _load() {
+    if(!this._loading) {
+      this._loading = this._read().catch(e => {
+        // allow loading to be retried
+        this._loading = undefined;
+        throw e;
+      });
+    }
+    return this._loading;
+  }
+
+  async _read() {
+    let records;
+    try {
+      records = JSON.parse(await fs.readFile(this._path, 'utf8'));
+    } catch(e) {
+      if(e.code === 'ENOENT') {
+        return;
+      }
+      throw e;
+    }
+    for(const record of records) {
+      const revocation = {
+        ...record,
+        expires: new Date(record.expires),
+        revoked: new Date(record.revoked)
+      };
+      this._set({revocation});
+      this._nextPurge = Math.min(
+        this._nextPurge, this._getPurgeTime({revocation}));
+    }
+    this._purge();
+  }
+
+  // writes the revocations to the file; writes are serialized so that the
+  // last write always has every revocation and a failed write is rolled back
+  // before the next write starts
+  _save({rollback}) {
+    const write = this._writing.then(() => this._write()).catch(e => {
+      rollback();
+      throw e;
+    });
+    this._writing = write.catch(() => {});
+    return write;
+  }
+
+  async _write() {
+    this._purge();
+    const data = JSON.stringify([...this._getAll()], null, 2);
+    const tmpPath = `${this._path}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, this._path);
+  }
+}
@@ -0,0 +1,118 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {LRUCache} from 'lru-cache';
+
+/**
+ * An in-memory, LRU-bounded store of token buckets used to rate limit zcap
+ * invocations.
+ *
+ * Note: If more keys are seen than `maxSize`, the buckets of the least
+ * recently seen ones will be evicted early, at which point they will be
+ * refilled to capacity. This store is also local to a single process; servers
+ * that run multiple processes should use a shared backend that implements the
+ * `RateLimitStore` interface.
+ */
+export class MemoryRateLimitStore {
+  /**
+   * Creates a new in-memory rate limit store.
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {number} [options.maxSize=10000] - The maximum number of buckets
+   *   to keep in the store.
+   */
+  constructor({maxSize = 10000} = {}) {
+    assert.number(maxSize, 'options.maxSize');
+    this._cache = new LRUCache({max: maxSize});
+  }
+
+  /**
+   * Checks whether a bucket has enough tokens without taking any.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.key - The key that identifies the bucket.
+   * @param {number} options.capacity - The maximum number of tokens in the
+   *   bucket; a new bucket starts full.
+   * @param {number} options.refillRate - The number of tokens added to the
+   *   bucket per second.
+   * @param {number} [options.cost=1] - The number of tokens to check for.
+   *
+   * @returns {Promise<object>} Resolves to `{allowed, remaining, retryAfter}`
+   *   where `retryAfter` is the number of seconds until enough tokens will be
+   *   available if there are not enough now.
+   */
+  async check({key, capacity, refillRate, cost = 1}) {
+    const {tokens} = this._refill({key, capacity, refillRate, cost});
+    return _getResult({tokens, refillRate, cost});
+  }
+
+  /**
+   * Takes tokens from a bucket if it has enough of them.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.key - The key that identifies the bucket.
+   * @param {number} options.capacity - The maximum number of tokens in the
+   *   bucket; a new bucket starts full.
+   * @param {number} options.refillRate - The number of tokens added to the
+   *   bucket per second.
+   * @param {number} [options.cost=1] - The number of tokens to take.
+   *
+   * @returns {Promise<object>} Resolves to `{allowed, remaining, retryAfter}`
+   *   where `retryAfter` is the number of seconds until enough tokens will be
+   *   available if the tokens were not taken.
+   */
+  async take({key, capacity, refillRate, cost = 1}) {
+    const {tokens, now} = this._refill({key, capacity, refillRate, cost});
+    const result = _getResult({tokens, refillRate, cost});
+    this._cache.set(
+      key, {tokens: result.allowed ? tokens - cost : tokens, time: now});
+    return result;
+  }
+
+  // gets the number of tokens in a bucket after refilling it
+  _refill({key, capacity, refillRate, cost}) {
+    assert.string(key, 'key');
+    assert.number(capacity, 'capacity');
+    assert.number(refillRate, 'refillRate');
+    assert.number(cost, 'cost');
+
+    const now = Date.now();
+    const bucket = this._cache.get(key) ?? {tokens: capacity, time: now};
+    const elapsed = Math.max(0, now - bucket.time) / 1000;
+    const tokens = Math.min(capacity, bucket.tokens + elapsed * refillRate);
+    return {tokens, now};
+  }
+}
+
+function _getResult({tokens, refillRate, cost}) {
+  if(tokens < cost) {
+    return {
+      allowed: false,
+      remaining: Math.floor(tokens),
+      retryAfter: (cost - tokens) / refillRate
+    };
+  }
+  return {allowed: true, remaining: Math.floor(tokens - cost), retryAfter: 0};
+}
+
+// documentation typedefs
+
+/**
+ * A store of token buckets used to rate limit zcap invocations.
+ * Implementations backed by shared databases (e.g., Redis) MUST make `take`
+ * atomic, e.g., by running it as a Lua script in Redis.
+ *
+ * @typedef {object} RateLimitStore
+ * @property {Function} check - An async function that is passed `{key,
+ *   capacity, refillRate, cost}` and must resolve to `{allowed, remaining,
+ *   retryAfter}` like `take`, but without taking any tokens; it is used to
+ *   check every bucket for an invocation before taking tokens from any of
+ *   them.
+ * @property {Function} take - An async function that is passed `{key,
+ *   capacity, refillRate, cost}` and must refill the bucket identified by
+ *   `key` at `refillRate` tokens per second (up to `capacity`), take `cost`
+ *   tokens from it if it has that many, and resolve to `{allowed, remaining,
+ *   retryAfter}`, where `retryAfter` is the number of seconds until `cost`
+ *   tokens will be available if they were not taken.
+ */
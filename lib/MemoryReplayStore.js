@@ -0,0 +1,69 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {LRUCache} from 'lru-cache';
+
+/**
+ * An in-memory, LRU-bounded store that records HTTP signatures that have
+ * been used to invoke zcaps so that they cannot be replayed.
+ *
+ * Note: If more unexpired signatures are seen than `maxSize`, the least
+ * recently seen ones will be evicted early, at which point they could be
+ * replayed again within their validity window; `maxSize` must be set large
+ * enough to cover the expected request volume over that window. This store
+ * is also local to a single process; servers that run multiple processes
+ * should use a shared backend that implements the `ReplayStore` interface.
+ */
+export class MemoryReplayStore {
+  /**
+   * Creates a new in-memory replay store.
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {number} [options.maxSize=10000] - The maximum number of entries
+   *   to keep in the store.
+   */
+  constructor({maxSize = 10000} = {}) {
+    assert.number(maxSize, 'options.maxSize');
+    this._cache = new LRUCache({max: maxSize});
+  }
+
+  /**
+   * Adds an entry to the store if it is not already present.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.key - The key that identifies the signature.
+   * @param {Date} options.expires - The date after which the entry may be
+   *   forgotten.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the entry was added or
+   *   `false` if it was already present.
+   */
+  async add({key, expires}) {
+    assert.string(key, 'key');
+    assert.date(expires, 'expires');
+    if(this._cache.has(key)) {
+      return false;
+    }
+    const ttl = expires.getTime() - Date.now();
+    if(ttl > 0) {
+      this._cache.set(key, true, {ttl});
+    }
+    return true;
+  }
+}
+
+// documentation typedefs
+
+/**
+ * A store that records HTTP signatures that have been used to invoke zcaps.
+ * Implementations backed by shared databases (e.g., Redis, MongoDB) MUST
+ * make `add` atomic, e.g., by using `SET key value NX PX <ttl>` in Redis or
+ * by inserting into a collection with a unique index on `key` and a TTL index
+ * on `expires` in MongoDB.
+ *
+ * @typedef {object} ReplayStore
+ * @property {Function} add - An async function that is passed `{key,
+ *   expires}` and must resolve to `true` if `key` was not already present
+ *   (and is now recorded until at least `expires`) or `false` if it was.
+ */
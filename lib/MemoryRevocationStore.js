@@ -0,0 +1,289 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+
+/**
+ * An in-memory store of revoked zcaps. Each revocation is kept until the
+ * revoked zcap's `expires` date-time (plus `maxClockSkew`) has passed, after
+ * which the zcap can no longer be used and its revocation is purged
+ * automatically.
+ *
+ * Note: Revocations are never evicted before they expire, so memory use is
+ * bounded only by the number of unexpired revoked zcaps. This store is also
+ * local to a single process and its revocations are lost when the process
+ * exits; see `FileRevocationStore` for a store that persists revocations and
+ * use a shared backend that implements the `RevocationStore` interface for
+ * servers that run multiple processes.
+ */
+export class MemoryRevocationStore {
+  /**
+   * Creates a new in-memory revocation store.
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {number} [options.maxClockSkew=300] - The number of seconds to
+   *   keep a revocation after the revoked zcap expires; this must be at least
+   *   the `maxClockSkew` used when verifying zcaps.
+   */
+  constructor({maxClockSkew = 300} = {}) {
+    assert.number(maxClockSkew, 'options.maxClockSkew');
+    this._maxClockSkew = maxClockSkew;
+    // revocation records, keyed by revoked zcap ID and then by service object
+    // ID, as zcap IDs are chosen by delegators and are only unique within a
+    // service object
+    this._revocations = new Map();
+    // the earliest date-time (in ms) at which a revocation can be purged
+    this._nextPurge = Infinity;
+  }
+
+  /**
+   * Adds a revocation to the store if the zcap has not already been revoked
+   * for the service object.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.capability - The revoked zcap.
+   * @param {string} options.delegator - The ID of the party that delegated
+   *   the revoked zcap.
+   * @param {string} [options.serviceObjectId] - The ID of the service object
+   *   that the zcap was revoked for.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the revocation was
+   *   added or `false` if the zcap had already been revoked for the service
+   *   object.
+   */
+  async add({capability, delegator, serviceObjectId}) {
+    assert.object(capability, 'capability');
+    assert.string(capability.id, 'capability.id');
+    assert.string(capability.expires, 'capability.expires');
+    assert.string(delegator, 'delegator');
+    assert.optionalString(serviceObjectId, 'serviceObjectId');
+    this._purge();
+    if(this._revocations.get(capability.id)?.has(serviceObjectId)) {
+      return false;
+    }
+    const revocation = {
+      id: capability.id,
+      delegator,
+      serviceObjectId,
+      expires: new Date(capability.expires),
+      revoked: new Date(),
+      capability
+    };
+    const purgeTime = this._getPurgeTime({revocation});
+    // a zcap that has already expired need not be tracked
+    if(!(purgeTime > Date.now())) {
+      return true;
+    }
+    this._set({revocation});
+    this._nextPurge = Math.min(this._nextPurge, purgeTime);
+    return true;
+  }
+
+  /**
+   * Gets the revocation of a zcap.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} options.id - The ID of the zcap.
+   * @param {string} [options.serviceObjectId] - Only get the revocation if
+   *   the zcap was revoked for this service object; otherwise, the earliest
+   *   revocation of a zcap with the ID is returned.
+   *
+   * @returns {Promise<object|undefined>} Resolves to the `Revocation` or
+   *   `undefined` if the zcap has not been revoked.
+   */
+  async get({id, serviceObjectId}) {
+    assert.string(id, 'id');
+    assert.optionalString(serviceObjectId, 'serviceObjectId');
+    this._purge();
+    const revocations = this._revocations.get(id);
+    if(serviceObjectId !== undefined) {
+      return revocations?.get(serviceObjectId);
+    }
+    return revocations?.values().next().value;
+  }
+
+  /**
+   * Finds the revocations of any of the given zcaps.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Array<string>} options.ids - The IDs of the zcaps.
+   *
+   * @returns {Promise<Array<object>>} Resolves to every `Revocation` of a
+   *   zcap with any of the IDs, for any service object.
+   */
+  async find({ids}) {
+    assert.arrayOfString(ids, 'ids');
+    this._purge();
+    return [...new Set(ids)].flatMap(
+      id => [...this._revocations.get(id)?.values() ?? []]);
+  }
+
+  /**
+   * Lists revocations in the order in which they were made, optionally
+   * filtered by service object, by delegator, and by the date-time of
+   * revocation.
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {string} [options.serviceObjectId] - Only list revocations of
+   *   zcaps that were revoked for this service object.
+   * @param {string} [options.delegator] - Only list revocations of zcaps that
+   *   were delegated by this party.
+   * @param {Date} [options.revokedAfter] - Only list revocations made after
+   *   this date-time.
+   * @param {Date} [options.revokedBefore] - Only list revocations made before
+   *   this date-time.
+   * @param {number} [options.limit=100] - The maximum number of revocations
+   *   to list.
+   * @param {string} [options.cursor] - The `cursor` from a previous result to
+   *   get the next page of revocations from.
+   *
+   * @returns {Promise<object>} Resolves to `{revocations, cursor}` where
+   *   `cursor` is only set if there are more revocations to list.
+   */
+  async list({
+    serviceObjectId, delegator, revokedAfter, revokedBefore, limit = 100,
+    cursor
+  } = {}) {
+    assert.optionalString(serviceObjectId, 'serviceObjectId');
+    assert.optionalString(delegator, 'delegator');
+    assert.optionalDate(revokedAfter, 'revokedAfter');
+    assert.optionalDate(revokedBefore, 'revokedBefore');
+    assert.number(limit, 'limit');
+    assert.optionalString(cursor, 'cursor');
+    const after = cursor === undefined ? undefined : _parseCursor({cursor});
+    this._purge();
+    const revocations = [...this._getAll()]
+      .filter(revocation =>
+        (serviceObjectId === undefined ||
+          revocation.serviceObjectId === serviceObjectId) &&
+        (delegator === undefined || revocation.delegator === delegator) &&
+        (revokedAfter === undefined || revocation.revoked > revokedAfter) &&
+        (revokedBefore === undefined || revocation.revoked < revokedBefore) &&
+        (after === undefined || _compareRevocations(revocation, after) > 0))
+      .sort(_compareRevocations);
+    const page = revocations.slice(0, limit);
+    return {
+      revocations: page,
+      cursor: revocations.length > page.length ?
+        _createCursor({revocation: page.at(-1)}) : undefined
+    };
+  }
+
+  // removes every revocation of a zcap that has expired
+  _purge() {
+    const now = Date.now();
+    if(now < this._nextPurge) {
+      return;
+    }
+    this._nextPurge = Infinity;
+    for(const revocation of this._getAll()) {
+      const purgeTime = this._getPurgeTime({revocation});
+      if(purgeTime <= now) {
+        this._delete({revocation});
+      } else {
+        this._nextPurge = Math.min(this._nextPurge, purgeTime);
+      }
+    }
+  }
+
+  _set({revocation}) {
+    const {id, serviceObjectId} = revocation;
+    let revocations = this._revocations.get(id);
+    if(!revocations) {
+      revocations = new Map();
+      this._revocations.set(id, revocations);
+    }
+    revocations.set(serviceObjectId, revocation);
+  }
+
+  _delete({revocation}) {
+    const {id, serviceObjectId} = revocation;
+    const revocations = this._revocations.get(id);
+    revocations?.delete(serviceObjectId);
+    if(revocations?.size === 0) {
+      this._revocations.delete(id);
+    }
+  }
+
+  // returns every revocation
+  * _getAll() {
+    for(const revocations of this._revocations.values()) {
+      yield* revocations.values();
+    }
+  }
+
+  _getPurgeTime({revocation}) {
+    return revocation.expires.getTime() + this._maxClockSkew * 1000;
+  }
+}
+
+// orders revocations by date-time of revocation, then by ID
+function _compareRevocations(a, b) {
+  return (a.revoked - b.revoked) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+// a cursor identifies the last revocation in a page
+function _createCursor({revocation: {id, revoked}}) {
+  return Buffer.from(JSON.stringify([revoked.getTime(), id]))
+    .toString('base64url');
+}
+
+function _parseCursor({cursor}) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(cursor, 'base64url'));
+    if(Number.isSafeInteger(time) && typeof id === 'string') {
+      return {id, revoked: new Date(time)};
+    }
+  } catch(e) {}
+  const error = new Error(`Invalid cursor "${cursor}".`);
+  error.name = 'DataError';
+  error.httpStatusCode = 400;
+  throw error;
+}
+
+// documentation typedefs
+
+/**
+ * A record of a revoked zcap.
+ *
+ * @typedef {object} Revocation
+ * @property {string} id - The ID of the revoked zcap.
+ * @property {string} delegator - The ID of the party that delegated the
+ *   revoked zcap.
+ * @property {string} [serviceObjectId] - The ID of the service object that
+ *   the zcap was revoked for.
+ * @property {Date} expires - The date-time at which the revoked zcap expires.
+ * @property {Date} revoked - The date-time at which the zcap was revoked.
+ * @property {object} capability - The revoked zcap.
+ */
+
+/**
+ * A store of revoked zcaps that can be used to reject revoked zcaps via
+ * `createRevocationInspector`. Implementations MUST keep every revocation
+ * until at least the revoked zcap's `expires` date-time plus the maximum
+ * permitted clock skew has passed and SHOULD purge it afterwards. As the ID
+ * of a zcap is chosen by its delegator, revocations MUST be identified by
+ * both `serviceObjectId` and `id`; those backed by shared databases MUST
+ * make `add` atomic, e.g., by inserting into a MongoDB collection with a
+ * unique index on `serviceObjectId` and `id` and a TTL index on `expires`.
+ *
+ * @typedef {object} RevocationStore
+ * @property {Function} add - An async function that is passed `{capability,
+ *   delegator, serviceObjectId}` and must resolve to `true` if the zcap was
+ *   not already revoked for `serviceObjectId` (and is now recorded as
+ *   revoked) or `false` if it was.
+ * @property {Function} get - An async function that is passed `{id,
+ *   serviceObjectId}` and must resolve to the `Revocation` of the zcap with
+ *   that ID, if any, but only if it was revoked for `serviceObjectId` when
+ *   that is given.
+ * @property {Function} find - An async function that is passed `{ids}` and
+ *   must resolve to an array with every `Revocation` of a zcap with any of
+ *   those IDs, for any service object; `createRevocationInspector` only
+ *   applies a revocation to a zcap with the same proof.
+ * @property {Function} list - An async function that is passed
+ *   `{serviceObjectId, delegator, revokedAfter, revokedBefore, limit,
+ *   cursor}` and must resolve to `{revocations, cursor}`, a page of at most
+ *   `limit` matching revocations, ordered by date-time of revocation, and an
+ *   opaque `cursor` that can be passed to get the next page if there is
+ *   one.
+ */
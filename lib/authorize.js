@@ -1,29 +1,121 @@
 /*!
- * Copyright (c) 2021-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import * as helpers from './helpers.js';
 import assert from 'assert-plus';
-import asyncHandler from 'express-async-handler';
-import {verifyCapabilityInvocation} from
-  '@digitalbazaar/http-signature-zcap-verify';
+import {createInvocationAuthorizer} from './core.js';
+import {createMiddleware} from './express.js';
 
 /**
- * @typedef GetExpectedValues - See helpers.js.
+ * @typedef CapabilityChainCache - See CapabilityChainCache.js.
+ */
+
+/**
+ * @typedef CaveatHandler - See caveats.js.
+ */
+
+/**
+ * @typedef DelegationPolicy - See delegationPolicy.js.
+ */
+
+/**
+ * @typedef DigestPolicy - See digest.js.
+ */
+
+/**
+ * @typedef GetExpectedValues - See core.js.
+ */
+
+/**
+ * @typedef AuthorizationEvent - See core.js.
+ */
+
+/**
+ * @typedef RateLimitStore - See MemoryRateLimitStore.js.
+ */
+
+/**
+ * @typedef ReplayStore - See MemoryReplayStore.js.
  */
 
 /**
  * Authorizes an incoming request.
  *
+ * The zcap may be invoked using either a draft-cavage HTTP signature (via the
+ * `authorization` header) or an RFC 9421 HTTP Message Signature (via the
+ * `signature-input` and `signature` headers); the format that was used is
+ * exposed via `req.ezcap.signature.format`.
+ *
+ * A request without a (parseable) signature is rejected with HTTP 401 and a
+ * `WWW-Authenticate: Signature` challenge that lists the expected `realm`
+ * (host), the `headers` that must be covered by the signature, the accepted
+ * `algorithms`, and the expected `root-invocation-target` value(s) as given
+ * by `getExpectedValues`. A request with a signature that does not grant the
+ * required authority is rejected with HTTP 403 and a verified invocation that
+ * exceeds a rate limit (see `rateLimit`) is rejected with HTTP 429 and a
+ * `Retry-After` header.
+ *
  * @param {object} options - Options hashmap.
+ * @param {Array<string>} [options.acceptedAlgorithms=['ed25519']] - The
+ *   HTTP signature algorithms to list in `WWW-Authenticate` challenges; these
+ *   should be the algorithms supported by the verifiers from `getVerifier`.
+ * @param {object} [options.actionForMethod] - A map of HTTP method to the
+ *   capability action (or array of acceptable actions) expected when
+ *   `getExpectedValues` does not return an `action`, e.g.,
+ *   `{POST: 'append'}`; it overrides the default mapping of safe methods to
+ *   `read` and all other methods to `write`.
+ * @param {object} [options.actionHierarchy] - A map of capability action to
+ *   the actions it implies, e.g., `{admin: ['write'], write: ['read']}`; a
+ *   zcap invoked with an action that (transitively) implies an expected
+ *   action is accepted. The action that was expected is exposed via
+ *   `req.ezcap.expectedAction` and every action that would have been
+ *   accepted via `req.ezcap.acceptedActions`.
  * @param {boolean} [options.allowTargetAttenuation=true] - Allow the
  *   invocationTarget of a delegation chain to be increasingly restrictive
  *   based on a hierarchical RESTful URL structure.
+ * @param {object} [options.caveatHandlers] - A map of caveat type to the
+ *   `CaveatHandler` that checks whether a caveat of that type (an object
+ *   with a `type` in the `caveat` array of a zcap) is satisfied by the
+ *   request; every caveat of every zcap in the chain must be satisfied. The
+ *   `ClientIpCaveat` (`cidr`), `HttpMethodCaveat` (`methods`),
+ *   `MaxBodySizeCaveat` (`maxBytes`), `QueryParameterCaveat` (`name` and
+ *   optional `value`), and `TimeOfDayCaveat` (`start`, `end`, and optional
+ *   `timeZone`) types are supported by default; a caveat of any other type
+ *   without a handler is never satisfied. A zcap can only carry caveats if
+ *   one of its JSON-LD contexts defines their types and properties (see
+ *   `createCaveatChecker`).
+ * @param {CapabilityChainCache} [options.chainCache] - A cache for
+ *   capability delegation proof verification results; if given, previously
+ *   verified delegation proofs are not cryptographically re-verified (by the
+ *   same suite) until the zcap expires, the cache's `maxTtl` passes, or
+ *   `inspectCapabilityChain` reports its chain as invalid; the delegation
+ *   rules are still checked.
+ * @param {DelegationPolicy} [options.delegationPolicy] - A declarative
+ *   policy that every capability chain must satisfy, e.g., a maximum
+ *   delegation depth or the actions allowed for a root zcap, allow and deny
+ *   lists of controllers, or maximum times to live for invocation targets;
+ *   it is evaluated against the dereferenced chain before
+ *   `inspectCapabilityChain` and a chain that violates it is rejected with an
+ *   error that names the violated rule via its `policyRule` property.
+ * @param {string} [options.digestMode='body'] - How digest headers are
+ *   verified against the request body: `body` verifies against the exact
+ *   bytes received if they were captured via `captureRawBody` (as the
+ *   `verify` option of the body parser) and otherwise against the parsed
+ *   `req.body`; `raw` requires the bytes to have been captured; `stream`
+ *   does not read the body and instead exposes a transform stream via
+ *   `req.ezcap.bodyDigestVerifier` that the route handler MUST pipe the
+ *   request through (rejecting the body if the stream errors).
+ * @param {DigestPolicy} [options.digestPolicy] - The policy that determines
+ *   which digest headers ("content-digest", "repr-digest" and the legacy
+ *   "digest") are accepted or required when an HTTP body is present; by
+ *   default, any of them is accepted. Every digest header that is present is
+ *   verified against the body.
  * @param {object} options.documentLoader - Document loader used to load
  *   DID Documents, capability documents, and JSON-LD Contexts.
  * @param {GetExpectedValues} options.getExpectedValues - Used to get the
  *   expected values when checking the zcap invocation.
  * @param {Function} options.getRootController - Used to get the controller
- *   of the root capability in the invoked capability's chain.
+ *   of the root capability in the invoked capability's chain; see
+ *   `createCachedRootControllerGetter` to cache root controllers.
  * @param {Function} options.getVerifier - An async function to
  *   call to get a verifier and verification method for the key ID.
  * @param {Function} [options.inspectCapabilityChain] - A function that can
@@ -38,114 +130,68 @@ import {verifyCapabilityInvocation} from
  * @param {number} [options.maxDelegationTtl=1000*60*60*24*90] - The maximum
  *   milliseconds to live for a delegated zcap as measured by the time
  *   difference between `expires` and `created` on the delegation proof.
+ * @param {Function} [options.onAuthorizationEvent] - An async function that
+ *   is called with `{event, req}` for every authorization decision, allowed
+ *   or denied, e.g., for audit logging; `event` is an `AuthorizationEvent`
+ *   that includes the invoker, the capability ID, its delegation path, the
+ *   action, the target, the root controller, the client IP, timing, and the
+ *   reason for any failure. The decision is not enforced until it returns;
+ *   if it throws, the request fails with that error.
  * @param {Function} [options.onError] - An error handler handler for
  *   customizable error handling.
+ * @param {boolean|object} [options.problemDetails=false] - `true` to send
+ *   RFC 9457 `application/problem+json` error responses (with a stable
+ *   `type` URI for each class of failure; see `PROBLEM_TYPES`) instead of
+ *   empty HTTP 403 responses and thrown errors; `onError`, if given, is
+ *   called before the response is sent and may throw to override it. Pass
+ *   `{redact: true}` to omit the `detail` member, e.g., in production.
+ * @param {object} [options.rateLimit] - Rate limits to apply to verified
+ *   invocations, e.g., to cap the request rate of a third party that was
+ *   delegated a zcap; an invocation that exceeds any limit is rejected with
+ *   a `QuotaExceededError`.
+ * @param {Function} options.rateLimit.getLimits - An async function that is
+ *   passed `{req}` (with `req.zcap` set) and returns the token bucket limit(s)
+ *   for the invocation, if any: `{key, capacity, refillRate, cost}`, where
+ *   `key` is `invoker` (the invoker DID), `capability` (the invoked zcap's
+ *   ID) or `rootCapability` (the ID of the root zcap in its chain), the
+ *   bucket for that key holds up to `capacity` tokens and is refilled by
+ *   `refillRate` tokens per second, and each invocation takes `cost`
+ *   (default `1`) tokens; a `refillRate` of `0` sets a fixed quota.
+ * @param {RateLimitStore} [options.rateLimit.store] - The store for the
+ *   token buckets; defaults to a new `MemoryRateLimitStore`. Every bucket for
+ *   an invocation is checked before tokens are taken from any of them.
+ * @param {ReplayStore} [options.replayStore] - A store used to record the
+ *   HTTP signatures of verified invocations until they expire; if given, any
+ *   invocation that reuses a recorded signature (compared by its decoded
+ *   bytes and key ID) or, for RFC 9421 signatures, the signed `nonce`
+ *   parameter for the same key will be rejected as a replay.
  * @param {object} options.suiteFactory - A factory for creating the
  *   supported suite(s) to use when verifying zcap delegation chains; this is
  *   different from `getVerifier` which is used to produce a verifier for
  *   verifying HTTP signatures used to invoke zcaps.
+ * @param {string} [options.targetQueryMode='exact'] - How the query of the
+ *   request URL is compared to the invocation targets of zcaps and to the
+ *   expected target: `exact` compares it verbatim; `normalize` compares it
+ *   after sorting its parameters, so parameter order does not matter (and
+ *   the default expected target is canonicalized); `attenuate` also does
+ *   this and lets a zcap target pin query parameter values, e.g., a zcap for
+ *   `https://example.com/documents?collection=abc` matches any request to
+ *   `/documents` with exactly `collection=abc` in its query (other
+ *   parameters, e.g., `limit`, are not restricted), and every zcap in the
+ *   chain must have its pinned values matched. In `attenuate` mode, an
+ *   expected target returned by `getExpectedValues` matches in the same
+ *   way, e.g., `https://example.com/documents` matches a request to
+ *   `/documents?limit=10`. Delegated zcaps must still follow the target
+ *   attenuation rules, i.e., a zcap that pins a query parameter can only be
+ *   delegated with the same target or more parameters appended to it.
  *
  * @returns {Function} Returns an Express.js style middleware route handler.
  */
 export function authorizeZcapInvocation({
-  allowTargetAttenuation = true,
-  documentLoader, getExpectedValues, getRootController, getVerifier,
-  inspectCapabilityChain,
-  maxChainLength = 10,
-  // 300 second clock skew permitted by default
-  maxClockSkew = 300,
-  // 90 day max TTL by default
-  maxDelegationTtl = 1000 * 60 * 60 * 24 * 90,
-  onError,
-  suiteFactory
+  onError, problemDetails, ...options
 } = {}) {
-  // `helpers.createExpectationMiddleware` handles type checks on other params
-  assert.bool(allowTargetAttenuation, 'options.allowTargetAttenuation');
-  assert.func(documentLoader, 'options.documentLoader');
-  assert.func(getRootController, 'options.getRootController');
-  assert.func(getVerifier, 'options.getVerifier');
-  assert.number(maxChainLength, 'options.maxChainLength');
-  assert.number(maxClockSkew, 'options.maxClockSkew');
-  assert.number(maxDelegationTtl, 'options.maxDelegationTtl');
-  assert.optionalFunc(inspectCapabilityChain, 'options.inspectCapabilityChain');
-  assert.func(suiteFactory, 'options.suiteFactory');
-
-  return [
-    helpers.createExpectationMiddleware({
-      getExpectedValues, onError
-    }),
-    authorizeZcapInvocationAfterParse({
-      allowTargetAttenuation, documentLoader, getRootController, getVerifier,
-      inspectCapabilityChain,
-      maxChainLength, maxClockSkew, maxDelegationTtl,
-      onError, suiteFactory
-    })
-  ];
-}
-
-export function authorizeZcapInvocationAfterParse({
-  allowTargetAttenuation = true,
-  documentLoader, getRootController, getVerifier, inspectCapabilityChain,
-  maxChainLength = 10,
-  // 300 second clock skew permitted by default
-  maxClockSkew = 300,
-  // 90 day max TTL by default
-  maxDelegationTtl = 1000 * 60 * 60 * 24 * 90,
-  onError, suiteFactory
-} = {}) {
-  return asyncHandler(async (req, res, next) => {
-    const {
-      expectedAction, expectedHost, expectedRootCapability, expectedTarget,
-      signature: {params: {keyId}}
-    } = req.ezcap;
-
-    // perform the capability invocation...
-    // `originalUrl` must be used to support nested express routers
-    const {originalUrl: url, method, headers} = req;
-    const result = await verifyCapabilityInvocation({
-      url,
-      method,
-      suite: await suiteFactory({req}),
-      headers,
-      expectedHost,
-      async beforeValidatePurpose({
-        purpose, proof, capability, capabilityAction
-      }) {
-        // provide access to invocation parameters
-        req.ezcap.invocationParameters = {
-          purpose, proof, capability, capabilityAction
-        };
-      },
-      documentLoader: helpers.createRootCapabilityLoader({
-        documentLoader, getRootController, req
-      }),
-      getVerifier,
-      expectedAction,
-      expectedTarget,
-      expectedRootCapability,
-      inspectCapabilityChain,
-      keyId,
-      allowTargetAttenuation,
-      maxChainLength,
-      maxClockSkew,
-      maxDelegationTtl
-    });
-
-    // return HTTP 403 if verification fails
-    if(!result.verified) {
-      res.status(403);
-      helpers.handleError({
-        res, error: result.error, onError, throwError: false
-      });
-      return res.send();
-    }
-
-    // provide zcap verification results if verification succeeds
-    req.zcap = result;
-
-    // call `next` on the next tick to ensure the promise from this function
-    // resolves and does not reject because some subsequent middleware throws
-    // an error
-    process.nextTick(next);
-  });
+  // `createInvocationAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createInvocationAuthorizer(options);
+  return [createMiddleware({authorize, onError, problemDetails})];
 }
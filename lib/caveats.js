@@ -0,0 +1,275 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {BlockList, isIP} from 'node:net';
+import assert from 'assert-plus';
+import {PROBLEM_TYPES} from './problems.js';
+
+// handlers for the caveat types that are supported by default
+const DEFAULT_CAVEAT_HANDLERS = {
+  ClientIpCaveat: _checkClientIp,
+  HttpMethodCaveat: _checkHttpMethod,
+  MaxBodySizeCaveat: _checkMaxBodySize,
+  QueryParameterCaveat: _checkQueryParameter,
+  TimeOfDayCaveat: _checkTimeOfDay
+};
+
+const TIME_OF_DAY_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Creates a function that enforces the caveats of every zcap in a verified
+ * capability chain against the request the chain was invoked with. A caveat
+ * is an object with a `type` in a zcap's `caveat` array; any caveat with a
+ * type that has no handler is not satisfied, i.e., unknown caveats fail
+ * closed.
+ *
+ * The zcap context defines the `caveat` term but not any caveat type or
+ * caveat property, so a zcap can only carry caveats if one of its JSON-LD
+ * contexts defines the types and properties of its caveats; otherwise, the
+ * zcap cannot be signed (and its delegation proof cannot be verified) in
+ * JSON-LD safe mode. The context must be loadable by the `documentLoader` of
+ * the delegator and of the verifier.
+ *
+ * @example
+ * // a context that defines caveat types with type-scoped contexts for
+ * // their properties; a context for every supported type is in the tests
+ * const CAVEAT_CONTEXT = {
+ *   '@context': {
+ *     '@protected': true,
+ *     HttpMethodCaveat: {
+ *       '@id': 'https://example.com/vocab#HttpMethodCaveat',
+ *       '@context': {
+ *         '@protected': true,
+ *         methods: 'https://example.com/vocab#methods'
+ *       }
+ *     }
+ *   }
+ * };
+ * const zcap = {
+ *   '@context': [ZCAP_CONTEXT_URL, 'https://example.com/caveats/v1'],
+ *   ...,
+ *   caveat: [{type: 'HttpMethodCaveat', methods: ['GET']}]
+ * };
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} [options.caveatHandlers] - A map of caveat type to
+ *   `CaveatHandler`; these are added to (and may replace) the handlers for
+ *   the types supported by default.
+ *
+ * @returns {Function} An async function that is passed `{capabilityChain,
+ *   req, request}` and resolves to `{valid, error}`.
+ */
+export function createCaveatChecker({caveatHandlers = {}} = {}) {
+  assert.object(caveatHandlers, 'options.caveatHandlers');
+  for(const [type, handler] of Object.entries(caveatHandlers)) {
+    assert.func(handler, `options.caveatHandlers.${type}`);
+  }
+  const handlers = new Map(Object.entries(
+    {...DEFAULT_CAVEAT_HANDLERS, ...caveatHandlers}));
+
+  return async function checkCaveats({capabilityChain, req, request}) {
+    for(const capability of capabilityChain) {
+      const {caveat} = capability;
+      if(caveat === undefined) {
+        continue;
+      }
+      for(const c of [].concat(caveat)) {
+        const type = c?.type;
+        const handler = typeof type === 'string' ?
+          handlers.get(type) : undefined;
+        if(!handler) {
+          return _createCaveatResult({
+            capability, message: typeof type === 'string' ?
+              `Unsupported caveat type "${type}".` :
+              'Caveats must be objects with a string "type".'
+          });
+        }
+        const result = await handler({caveat: c, capability, req, request});
+        if(!result?.valid) {
+          return _createCaveatResult({
+            capability, cause: result?.error,
+            message: `The "${type}" caveat is not satisfied.`
+          });
+        }
+      }
+    }
+    return {valid: true};
+  };
+}
+
+function _createCaveatResult({capability, message, cause}) {
+  const error = new Error(
+    `Capability "${capability.id}" cannot be invoked: ${message}` +
+    (cause?.message ? ` ${cause.message}` : ''));
+  error.name = 'NotAllowedError';
+  error.problemType = PROBLEM_TYPES.caveatNotSatisfied;
+  if(cause) {
+    error.cause = cause;
+  }
+  return {valid: false, error};
+}
+
+// `{type: 'ClientIpCaveat', cidr}` where `cidr` is one or more IPv4 or IPv6
+// addresses or CIDR ranges that the client IP must be in
+function _checkClientIp({caveat: {cidr}, request: {ip}}) {
+  const ranges = [].concat(cidr);
+  if(!(ranges.length > 0 && ranges.every(r => typeof r === 'string'))) {
+    return _invalid('"cidr" must be a string or an array of strings.');
+  }
+  const clientIp = _normalizeIp({ip});
+  const family = _getIpFamily({ip: clientIp});
+  if(!family) {
+    return _invalid('The client IP address is not known.');
+  }
+  const blockList = new BlockList();
+  for(const range of ranges) {
+    const [address, prefix] = range.split('/');
+    const rangeFamily = _getIpFamily({ip: address});
+    const maxPrefix = rangeFamily === 'ipv4' ? 32 : 128;
+    const prefixLength = prefix === undefined ? maxPrefix : Number(prefix);
+    if(!(rangeFamily && Number.isInteger(prefixLength) &&
+      prefixLength >= 0 && prefixLength <= maxPrefix)) {
+      return _invalid(`Invalid CIDR range "${range}".`);
+    }
+    blockList.addSubnet(address, prefixLength, rangeFamily);
+  }
+  if(!blockList.check(clientIp, family)) {
+    return _invalid(`The client IP address "${ip}" is not allowed.`);
+  }
+  return {valid: true};
+}
+
+// `{type: 'HttpMethodCaveat', methods}` where `methods` is one or more HTTP
+// methods that the request must use
+function _checkHttpMethod({caveat: {methods}, request: {method}}) {
+  const allowed = [].concat(methods);
+  if(!(allowed.length > 0 && allowed.every(m => typeof m === 'string'))) {
+    return _invalid('"methods" must be a string or an array of strings.');
+  }
+  if(!allowed.some(m => m.toUpperCase() === method.toUpperCase())) {
+    return _invalid(`The HTTP method "${method}" is not allowed.`);
+  }
+  return {valid: true};
+}
+
+// `{type: 'MaxBodySizeCaveat', maxBytes}` where `maxBytes` is the maximum
+// size of the request body in bytes
+function _checkMaxBodySize({caveat: {maxBytes}, request}) {
+  if(!(Number.isSafeInteger(maxBytes) && maxBytes >= 0)) {
+    return _invalid('"maxBytes" must be a non-negative integer.');
+  }
+  const {headers, rawBody} = request;
+  let size;
+  if(rawBody instanceof Uint8Array) {
+    size = rawBody.length;
+  } else if(headers['content-length'] !== undefined) {
+    size = Number(headers['content-length']);
+  } else if(headers['transfer-encoding'] === undefined) {
+    size = 0;
+  }
+  // a body of unknown size does not satisfy the caveat
+  if(!(size <= maxBytes)) {
+    return _invalid(
+      `The request body must be no more than ${maxBytes} bytes.`);
+  }
+  return {valid: true};
+}
+
+// `{type: 'QueryParameterCaveat', name, value}` where the request URL must
+// have a query parameter `name`, with the value `value` if given
+function _checkQueryParameter({caveat: {name, value}, request: {url}}) {
+  if(!(typeof name === 'string' &&
+    (value === undefined || typeof value === 'string'))) {
+    return _invalid('"name" and "value", if given, must be strings.');
+  }
+  const idx = url.indexOf('?');
+  const params = new URLSearchParams(idx === -1 ? '' : url.slice(idx + 1));
+  const values = params.getAll(name);
+  if(values.length === 0) {
+    return _invalid(`The query parameter "${name}" is required.`);
+  }
+  if(value !== undefined && !values.every(v => v === value)) {
+    return _invalid(`The query parameter "${name}" must be "${value}".`);
+  }
+  return {valid: true};
+}
+
+// `{type: 'TimeOfDayCaveat', start, end, timeZone}` where the request must
+// be made between the `start` (inclusive) and `end` (exclusive) times, given
+// as `HH:MM`, in `timeZone` (default `UTC`); a window with an `end` before its
+// `start` spans midnight
+function _checkTimeOfDay({caveat: {start, end, timeZone = 'UTC'}}) {
+  const startMinutes = _parseTimeOfDay({time: start});
+  const endMinutes = _parseTimeOfDay({time: end});
+  if(startMinutes === undefined || endMinutes === undefined) {
+    return _invalid('"start" and "end" must be times in the form "HH:MM".');
+  }
+  let now;
+  try {
+    now = _getMinutesOfDay({date: new Date(), timeZone});
+  } catch(e) {
+    return _invalid(`Invalid time zone "${timeZone}".`);
+  }
+  const inWindow = startMinutes <= endMinutes ?
+    (now >= startMinutes && now < endMinutes) :
+    (now >= startMinutes || now < endMinutes);
+  if(!inWindow) {
+    return _invalid(
+      `Requests are only allowed from ${start} to ${end} (${timeZone}).`);
+  }
+  return {valid: true};
+}
+
+function _getIpFamily({ip}) {
+  if(typeof ip !== 'string') {
+    return;
+  }
+  const version = isIP(ip);
+  return version === 4 ? 'ipv4' : version === 6 ? 'ipv6' : undefined;
+}
+
+// IPv4 addresses may be given as IPv4-mapped IPv6 addresses by servers that
+// listen on IPv6 sockets, so those are converted to match IPv4 ranges
+function _normalizeIp({ip}) {
+  if(typeof ip === 'string' && ip.toLowerCase().startsWith('::ffff:') &&
+    isIP(ip.slice(7)) === 4) {
+    return ip.slice(7);
+  }
+  return ip;
+}
+
+function _parseTimeOfDay({time}) {
+  const match = typeof time === 'string' && time.match(TIME_OF_DAY_REGEX);
+  if(match) {
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+}
+
+function _getMinutesOfDay({date, timeZone}) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+function _invalid(message) {
+  return {valid: false, error: new Error(message)};
+}
+
+// documentation typedefs
+
+/**
+ * A function that checks whether a caveat of a zcap in the chain of an
+ * invoked zcap is satisfied by the request.
+ *
+ * @typedef {Function} CaveatHandler
+ * @param {object} options - Options hashmap.
+ * @param {object} options.caveat - The caveat, with its `type`.
+ * @param {object} options.capability - The zcap with the caveat.
+ * @param {object} options.req - The framework's request object.
+ * @param {object} options.request - The request information, i.e.,
+ *   `{method, url, headers, params, ip, body, rawBody}`.
+ * @returns {Promise<object>|object} `{valid, error}`, where `valid` is `true`
+ *   only if the caveat is satisfied.
+ */
@@ -0,0 +1,1642 @@
+/*!
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  canonicalizeTarget, isAttenuatedTarget, TARGET_QUERY_MODES
+} from './targets.js';
+import {
+  CAVAGE_REQUIRED_HEADERS, verifyCapabilityInvocation, verifyHttpSignature
+} from './verify.js';
+import {
+  createAuthorizationMetrics, withSpan, withSpans
+} from './telemetry.js';
+import {
+  createDigestVerifierStream, DEFAULT_DIGEST_POLICY, DIGEST_HEADERS,
+  DIGEST_MODES, verifyDigestHeaders
+} from './digest.js';
+import {getProblemType, PROBLEM_TYPES} from './problems.js';
+import assert from 'assert-plus';
+import {CapabilityDelegation} from '@digitalbazaar/zcap';
+import {createCaveatChecker} from './caveats.js';
+import {createDelegationPolicyChecker} from './delegationPolicy.js';
+import jsigs from 'jsonld-signatures';
+import {MemoryRateLimitStore} from './MemoryRateLimitStore.js';
+import {parseMessageSignature} from './httpMessageSignatures.js';
+import {parseSignatureHeader} from '@digitalbazaar/http-signature-header';
+
+/* Note: This module is the framework-neutral core that every adapter (e.g.,
+express, fastify) uses to authorize requests. Adapters convert their
+framework's request into a `RequestInfo` object and pass it along with the
+framework's own request object, `req`, which is given to any user-provided
+functions (e.g., `getExpectedValues`, `getRootController`) and on which the
+`ezcap`, `zcap`, `zcapRevocation`, `zcapRevocationQuery`, and
+`zcapDelegation` results are set.
+
+Authorizer functions throw errors with an `httpStatusCode` for invalid
+requests and return a `{verified, error}` result for capability invocations
+that could not be verified. */
+
+// HTTP signature algorithms listed in `WWW-Authenticate` challenges by default
+const DEFAULT_ACCEPTED_ALGORITHMS = ['ed25519'];
+
+const DEFAULT_ACTION_FOR_METHOD = new Map([
+  ['GET', 'read'],
+  ['HEAD', 'read'],
+  ['OPTIONS', 'read'],
+  ['POST', 'write'],
+  ['PUT', 'write'],
+  ['PATCH', 'write'],
+  ['DELETE', 'write'],
+  ['CONNECT', 'write'],
+  ['TRACE', 'write'],
+  ['PATCH', 'write']
+]);
+
+// path segment(s) that revocation routes end with, after the service object
+const DEFAULT_REVOCATION_PATH = '/zcaps/revocations';
+
+// path segment(s) that delegation routes end with, after the service object
+const DEFAULT_DELEGATION_PATH = '/zcaps/delegations';
+
+// creates a function that authorizes a zcap invocation made via an HTTP
+// request; see `authorizeZcapInvocation` for a description of the options
+export function createInvocationAuthorizer({
+  acceptedAlgorithms = DEFAULT_ACCEPTED_ALGORITHMS,
+  actionForMethod,
+  actionHierarchy,
+  allowTargetAttenuation = true,
+  caveatHandlers,
+  chainCache,
+  delegationPolicy,
+  digestMode = 'body',
+  digestPolicy = DEFAULT_DIGEST_POLICY,
+  documentLoader, getExpectedValues, getRootController, getVerifier,
+  inspectCapabilityChain,
+  maxChainLength = 10,
+  // 300 second clock skew permitted by default
+  maxClockSkew = 300,
+  // 90 day max TTL by default
+  maxDelegationTtl = 1000 * 60 * 60 * 24 * 90,
+  onAuthorizationEvent,
+  rateLimit,
+  replayStore,
+  suiteFactory,
+  targetQueryMode = 'exact'
+} = {}) {
+  _checkDigestOptions({digestMode, digestPolicy});
+  if(!TARGET_QUERY_MODES.includes(targetQueryMode)) {
+    throw new Error(
+      '"options.targetQueryMode" must be one of: ' +
+      `${TARGET_QUERY_MODES.join(', ')}.`);
+  }
+  assert.arrayOfString(acceptedAlgorithms, 'options.acceptedAlgorithms');
+  assert.optionalObject(actionForMethod, 'options.actionForMethod');
+  assert.optionalObject(actionHierarchy, 'options.actionHierarchy');
+  assert.bool(allowTargetAttenuation, 'options.allowTargetAttenuation');
+  assert.optionalObject(chainCache, 'options.chainCache');
+  assert.func(documentLoader, 'options.documentLoader');
+  assert.func(getExpectedValues, 'options.getExpectedValues');
+  assert.func(getRootController, 'options.getRootController');
+  assert.func(getVerifier, 'options.getVerifier');
+  assert.number(maxChainLength, 'options.maxChainLength');
+  assert.number(maxClockSkew, 'options.maxClockSkew');
+  assert.number(maxDelegationTtl, 'options.maxDelegationTtl');
+  assert.optionalFunc(inspectCapabilityChain, 'options.inspectCapabilityChain');
+  assert.optionalFunc(onAuthorizationEvent, 'options.onAuthorizationEvent');
+  assert.optionalObject(rateLimit, 'options.rateLimit');
+  if(rateLimit) {
+    assert.func(rateLimit.getLimits, 'options.rateLimit.getLimits');
+    assert.optionalObject(rateLimit.store, 'options.rateLimit.store');
+    rateLimit = {
+      getLimits: rateLimit.getLimits,
+      store: rateLimit.store ?? new MemoryRateLimitStore()
+    };
+  }
+  assert.optionalObject(replayStore, 'options.replayStore');
+  assert.func(suiteFactory, 'options.suiteFactory');
+
+  const actionMap = _createActionMap({actionForMethod});
+  const impliedActions = _createImpliedActions({actionHierarchy});
+  const fns = _instrumentFunctions({
+    documentLoader, getRootController, getVerifier, inspectCapabilityChain
+  });
+  const inspectChain = _createChainInspector(
+    {delegationPolicy, inspectCapabilityChain: fns.inspectCapabilityChain});
+  const checkCaveats = createCaveatChecker({caveatHandlers});
+  const authorizationMetrics = createAuthorizationMetrics();
+
+  async function authorizeInvocation({req, request}) {
+    await _checkExpectations({
+      req, request, acceptedAlgorithms, actionMap, digestMode, digestPolicy,
+      getExpectedValues, impliedActions, targetQueryMode
+    });
+    const result = await _verifyInvocation({
+      req, request,
+      allowTargetAttenuation, chainCache, checkCaveats,
+      documentLoader: fns.documentLoader,
+      getRootController: fns.getRootController,
+      getVerifier: fns.getVerifier,
+      inspectCapabilityChain: inspectChain,
+      maxChainLength, maxClockSkew, maxDelegationTtl,
+      replayStore, suiteFactory, targetQueryMode
+    });
+    // only rate limit verified invocations so that limits are charged to
+    // the invoker and capabilities that were actually used
+    if(result.verified && rateLimit) {
+      await withSpan({
+        name: 'ezcap.check_rate_limits',
+        fn: () => helpers.checkRateLimits({rateLimit, req})
+      });
+    }
+    return result;
+  }
+  return _emitAuthorizationEvents({
+    type: 'invocation',
+    authorize: _instrumentAuthorizer({
+      type: 'invocation', authorize: authorizeInvocation, authorizationMetrics
+    }),
+    onAuthorizationEvent
+  });
+}
+
+// creates a function that authorizes a request to submit a zcap revocation;
+// see `authorizeZcapRevocation` for a description of the options and the
+// route the request must be made to
+export function createRevocationAuthorizer({
+  acceptedAlgorithms = DEFAULT_ACCEPTED_ALGORITHMS,
+  caveatHandlers, delegationPolicy, documentLoader, expectedHost,
+  getRootController, getServiceObjectId, getVerifier, inspectCapabilityChain,
+  onAuthorizationEvent,
+  revocationPath = DEFAULT_REVOCATION_PATH, suiteFactory
+} = {}) {
+  assert.arrayOfString(acceptedAlgorithms, 'options.acceptedAlgorithms');
+  assert.func(documentLoader, 'options.documentLoader');
+  assert.string(expectedHost, 'options.expectedHost');
+  assert.func(getRootController, 'options.getRootController');
+  assert.func(getVerifier, 'options.getVerifier');
+  assert.optionalFunc(inspectCapabilityChain, 'options.inspectCapabilityChain');
+  assert.optionalFunc(onAuthorizationEvent, 'options.onAuthorizationEvent');
+  assert.func(suiteFactory, 'options.suiteFactory');
+  const resolveServiceObjectId = _createServiceObjectIdResolver({
+    expectedHost, getServiceObjectId,
+    routePath: revocationPath, pathOption: 'revocationPath'
+  });
+
+  const fns = _instrumentFunctions({
+    documentLoader, getRootController, getVerifier, inspectCapabilityChain
+  });
+  const inspectChain = _createChainInspector(
+    {delegationPolicy, inspectCapabilityChain: fns.inspectCapabilityChain});
+  const checkCaveats = createCaveatChecker({caveatHandlers});
+  const authorizationMetrics = createAuthorizationMetrics();
+
+  async function authorizeRevocation({req, request}) {
+    // ensure authorizer is attached to opinionated route
+    const {params: {revocationId} = {}} = request;
+    const serviceObjectId = await resolveServiceObjectId({
+      req, request, middleware: 'Revocation middleware',
+      route: `${revocationPath}/:revocationId`,
+      collection: false
+    });
+    const zcapSpecificRootTarget = `${serviceObjectId}${revocationPath}/` +
+      encodeURIComponent(revocationId);
+
+    // computes expected values for the invocation
+    async function getExpectedValues() {
+      return {
+        host: expectedHost,
+        rootInvocationTarget: [serviceObjectId, zcapSpecificRootTarget]
+      };
+    }
+
+    /* Note: Here we wrap `getRootController` to support the zcap-specific
+    root zcap. This will be used for checking both the invocation and the
+    revocation, though the revocation has an additional check below to
+    ensure that the submitted revocation's chain has a root zcap with an
+    acceptable invocation target. See the note below in
+    `getRevocationRootController`. */
+    const getServiceRootController = _wrapGetRootController({
+      getRootController: fns.getRootController, zcapSpecificRootTarget
+    });
+
+    async function getRevocationRootController(
+      {req, rootCapabilityId, rootInvocationTarget}) {
+      /* Note: This check prevents the client from successfully submitting
+      revocations for unrelated service objects or services that could then
+      use update storage in a revocation database. */
+      if(!(rootInvocationTarget === serviceObjectId ||
+        rootInvocationTarget.startsWith(`${serviceObjectId}/`))) {
+        const error = new Error(
+          `The root capability from the revocation's delegation chain must ` +
+          `have an invocation target that starts with "${serviceObjectId}".`);
+        error.name = 'NotAllowedError';
+        error.httpStatusCode = 403;
+        throw error;
+      }
+      return getServiceRootController(
+        {req, rootCapabilityId, rootInvocationTarget});
+    }
+
+    await _checkExpectations(
+      {req, request, acceptedAlgorithms, getExpectedValues});
+    await _checkRevocation({
+      req, request, serviceObjectId,
+      documentLoader: fns.documentLoader,
+      getRootController: getRevocationRootController,
+      inspectCapabilityChain: inspectChain, suiteFactory
+    });
+    return _verifyInvocation({
+      req, request,
+      // target attenuation is always allowed on this endpoint
+      allowTargetAttenuation: true,
+      checkCaveats,
+      documentLoader: fns.documentLoader,
+      getRootController: getServiceRootController,
+      getVerifier: fns.getVerifier,
+      inspectCapabilityChain: inspectChain, suiteFactory
+    });
+  }
+  return _emitAuthorizationEvents({
+    type: 'revocation',
+    authorize: _instrumentAuthorizer({
+      type: 'revocation', authorize: authorizeRevocation, authorizationMetrics
+    }),
+    onAuthorizationEvent
+  });
+}
+
+// creates a function that authorizes a request to submit a batch of zcap
+// revocations; see `authorizeZcapBatchRevocation` for a description of the
+// options and the route the request must be made to
+export function createBatchRevocationAuthorizer({
+  acceptedAlgorithms = DEFAULT_ACCEPTED_ALGORITHMS,
+  caveatHandlers, delegationPolicy, documentLoader, expectedHost,
+  getRootController, getServiceObjectId, getVerifier, inspectCapabilityChain,
+  maxBatchSize = 20,
+  onAuthorizationEvent, revocationPath = DEFAULT_REVOCATION_PATH,
+  suiteFactory
+} = {}) {
+  assert.arrayOfString(acceptedAlgorithms, 'options.acceptedAlgorithms');
+  assert.func(documentLoader, 'options.documentLoader');
+  assert.string(expectedHost, 'options.expectedHost');
+  assert.func(getRootController, 'options.getRootController');
+  assert.func(getVerifier, 'options.getVerifier');
+  assert.optionalFunc(inspectCapabilityChain, 'options.inspectCapabilityChain');
+  assert.number(maxBatchSize, 'options.maxBatchSize');
+  assert.optionalFunc(onAuthorizationEvent, 'options.onAuthorizationEvent');
+  assert.func(suiteFactory, 'options.suiteFactory');
+  const resolveServiceObjectId = _createServiceObjectIdResolver({
+    expectedHost, getServiceObjectId,
+    routePath: revocationPath, pathOption: 'revocationPath'
+  });
+
+  const fns = _instrumentFunctions({
+    documentLoader, getRootController, getVerifier, inspectCapabilityChain
+  });
+  const inspectChain = _createChainInspector(
+    {delegationPolicy, inspectCapabilityChain: fns.inspectCapabilityChain});
+  const checkCaveats = createCaveatChecker({caveatHandlers});
+  const authorizationMetrics = createAuthorizationMetrics();
+
+  async function authorizeBatchRevocation({req, request}) {
+    // ensure authorizer is attached to opinionated route
+    const serviceObjectId = await resolveServiceObjectId({
+      req, request, middleware: 'Batch revocation middleware',
+      route: revocationPath, collection: true
+    });
+    const batchRootTarget = `${serviceObjectId}${revocationPath}`;
+
+    // computes expected values for the invocation
+    async function getExpectedValues() {
+      return {
+        host: expectedHost,
+        rootInvocationTarget: [serviceObjectId, batchRootTarget]
+      };
+    }
+
+    await _checkExpectations(
+      {req, request, acceptedAlgorithms, getExpectedValues});
+    const {body: capabilities} = request;
+    _checkBatch({capabilities, maxBatchSize});
+
+    // the HTTP signature is checked before any (costly) delegation chain is
+    // verified so that an unauthenticated request cannot cause that work
+    const {url, method, headers} = request;
+    const signatureResult = await verifyHttpSignature({
+      signature: req.ezcap.signature, url, method, headers, expectedHost,
+      documentLoader: fns.documentLoader, getVerifier: fns.getVerifier
+    });
+    if(!signatureResult.verified) {
+      return signatureResult;
+    }
+
+    /* Note: Each capability's delegation is verified independently and any
+    failure is recorded instead of thrown, so that the other revocations in
+    the batch can proceed. Every delegation chain must have the service
+    object's root zcap as its root. */
+    const expectedRootCapability =
+      `${helpers.ZCAP_ROOT_PREFIX}${encodeURIComponent(serviceObjectId)}`;
+    const revocations = req.zcapRevocations = [];
+    for(const capability of capabilities) {
+      try {
+        _checkNotRootCapability({capability});
+        revocations.push({
+          capability, serviceObjectId,
+          ...await _verifyRevocation({
+            req, capability,
+            documentLoader: fns.documentLoader,
+            getRootController: fns.getRootController,
+            inspectCapabilityChain: inspectChain, suiteFactory,
+            expectedRootCapability
+          })
+        });
+      } catch(error) {
+        revocations.push({capability, error});
+      }
+    }
+
+    /* Note: Like the zcap-specific root zcap for a single revocation, the
+    root zcap for the batch endpoint is controlled by every controller in the
+    delegation chains of the capabilities to be revoked. A revocation made by
+    invoking it (or a zcap delegated from it) is only accepted if the invoker
+    is a controller in that capability's own chain; the service object's root
+    zcap (or a zcap delegated from it) can revoke any of the capabilities. */
+    async function getBatchRootController({
+      req, rootCapabilityId, rootInvocationTarget
+    }) {
+      if(rootInvocationTarget !== batchRootTarget) {
+        return fns.getRootController(
+          {req, rootCapabilityId, rootInvocationTarget});
+      }
+      const controllers = new Set(revocations.flatMap(
+        ({chainControllers = []}) => chainControllers));
+      return [...controllers];
+    }
+
+    const result = await _verifyInvocation({
+      req, request,
+      // target attenuation is always allowed on this endpoint
+      allowTargetAttenuation: true,
+      checkCaveats,
+      documentLoader: fns.documentLoader,
+      getRootController: getBatchRootController,
+      getVerifier: fns.getVerifier,
+      inspectCapabilityChain: inspectChain, suiteFactory
+    });
+    if(result.verified &&
+      result.dereferencedChain[0].invocationTarget === batchRootTarget) {
+      for(const revocation of revocations) {
+        if(!revocation.error &&
+          !revocation.chainControllers.includes(result.invoker)) {
+          const error = new Error(
+            `The capability "${revocation.capability.id}" can only be ` +
+            'revoked by a controller in its delegation chain.');
+          error.name = 'NotAllowedError';
+          error.httpStatusCode = 403;
+          revocation.error = error;
+        }
+      }
+    }
+    return result;
+  }
+  return _emitAuthorizationEvents({
+    type: 'revocation', batch: true,
+    authorize: _instrumentAuthorizer({
+      type: 'revocation', authorize: authorizeBatchRevocation,
+      authorizationMetrics
+    }),
+    onAuthorizationEvent
+  });
+}
+
+// creates a function that authorizes a request to read the revocations of
+// a service object; see `authorizeZcapRevocationQuery` for a description of
+// the options and the routes the request must be made to
+export function createRevocationQueryAuthorizer({
+  expectedHost, getServiceObjectId, revocationPath = DEFAULT_REVOCATION_PATH,
+  ...options
+} = {}) {
+  assert.string(expectedHost, 'options.expectedHost');
+  if(options.getExpectedValues !== undefined) {
+    throw new TypeError(
+      '"options.getExpectedValues" must not be given; expected values are ' +
+      'derived from the service object ID.');
+  }
+  const resolveServiceObjectId = _createServiceObjectIdResolver({
+    expectedHost, getServiceObjectId,
+    routePath: revocationPath, pathOption: 'revocationPath'
+  });
+
+  // the service object ID of each request, set before it is authorized
+  const serviceObjectIds = new WeakMap();
+  const authorizeInvocation = createInvocationAuthorizer({
+    ...options,
+    getExpectedValues({req}) {
+      return {
+        host: expectedHost,
+        rootInvocationTarget: serviceObjectIds.get(req),
+        action: 'read'
+      };
+    }
+  });
+
+  return async function authorizeRevocationQuery({req, request}) {
+    // ensure authorizer is attached to opinionated route; status routes have
+    // a `revocationId` param and list routes do not
+    const collection = request.params?.revocationId === undefined;
+    const serviceObjectId = await resolveServiceObjectId({
+      req, request, middleware: 'Revocation query middleware',
+      route: collection ? revocationPath : `${revocationPath}/:revocationId`,
+      collection
+    });
+    serviceObjectIds.set(req, serviceObjectId);
+    const result = await authorizeInvocation({req, request});
+    if(result.verified) {
+      // only the revocations of this service object may be read
+      req.zcapRevocationQuery = {serviceObjectId};
+    }
+    return result;
+  };
+}
+
+// creates a function that authorizes a request for the service to delegate a
+// zcap for a service object to a client; see `authorizeZcapDelegation` for a
+// description of the options and the route the request must be made to
+export function createDelegationAuthorizer({
+  delegationPath = DEFAULT_DELEGATION_PATH,
+  expectedHost, getServiceObjectId,
+  // 90 day max TTL by default
+  maxDelegationTtl = 1000 * 60 * 60 * 24 * 90,
+  ...options
+} = {}) {
+  assert.string(expectedHost, 'options.expectedHost');
+  assert.number(maxDelegationTtl, 'options.maxDelegationTtl');
+  if(options.getExpectedValues !== undefined) {
+    throw new TypeError(
+      '"options.getExpectedValues" must not be given; expected values are ' +
+      'derived from the service object ID.');
+  }
+  const resolveServiceObjectId = _createServiceObjectIdResolver({
+    expectedHost, getServiceObjectId,
+    routePath: delegationPath, pathOption: 'delegationPath'
+  });
+
+  // the service object ID of each request, set before it is authorized
+  const serviceObjectIds = new WeakMap();
+  const authorizeInvocation = createInvocationAuthorizer({
+    ...options,
+    getExpectedValues({req}) {
+      return {
+        host: expectedHost,
+        rootInvocationTarget: serviceObjectIds.get(req),
+        action: 'write'
+      };
+    },
+    maxDelegationTtl
+  });
+
+  return async function authorizeDelegation({req, request}) {
+    // ensure authorizer is attached to opinionated route
+    const serviceObjectId = await resolveServiceObjectId({
+      req, request, middleware: 'Delegation middleware',
+      route: delegationPath, collection: true
+    });
+    serviceObjectIds.set(req, serviceObjectId);
+
+    // reject malformed delegation requests before verifying the invocation
+    const delegationRequest = _parseDelegationRequest(
+      {body: request.body, maxDelegationTtl});
+
+    const result = await authorizeInvocation({req, request});
+    if(!result.verified) {
+      return result;
+    }
+
+    // the delegated zcap must not grant more authority than the invoked
+    // capability, which is the last in its dereferenced chain
+    req.zcapDelegation = {
+      serviceObjectId,
+      ..._attenuateDelegation({
+        delegationRequest, capability: result.dereferencedChain.at(-1)
+      })
+    };
+    return result;
+  };
+}
+
+/**
+ * Returns whether or not the given request has a body that has been read.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {RequestInfo} options.request - The request information.
+ *
+ * @returns {boolean} `true` if the request has a body.
+ */
+export function hasBody({request}) {
+  // a request has a body if `transfer-encoding` or `content-length` headers
+  // are set: http://www.w3.org/Protocols/rfc2616/rfc2616-sec4.html#sec4.3
+  const {body, rawBody, headers} = request;
+  // bytes captured from a body are always present with a body, even if, e.g.,
+  // a Fetch API `Request` has no `content-length` header
+  if(rawBody instanceof Uint8Array && rawBody.length > 0) {
+    return true;
+  }
+  return !!body &&
+    (headers['transfer-encoding'] !== undefined ||
+    headers['content-length'] !== undefined);
+}
+
+/**
+ * Returns the HTTP response headers to send for an error thrown by an
+ * authorizer, i.e., a `WWW-Authenticate` challenge for a request without
+ * credentials or a `Retry-After` header for a rate limited request.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Error} options.error - The error.
+ *
+ * @returns {object} A map of header name to value.
+ */
+export function getErrorHeaders({error}) {
+  const headers = {};
+  if(error.wwwAuthenticate) {
+    headers['WWW-Authenticate'] = error.wwwAuthenticate;
+  }
+  if(error.retryAfter !== undefined) {
+    headers['Retry-After'] = String(error.retryAfter);
+  }
+  return headers;
+}
+
+// collects expected values for zcap authorization
+async function _checkExpectations({
+  req, request, acceptedAlgorithms = DEFAULT_ACCEPTED_ALGORITHMS,
+  actionMap = DEFAULT_ACTION_FOR_METHOD,
+  digestMode = 'body', digestPolicy = DEFAULT_DIGEST_POLICY,
+  getExpectedValues, impliedActions = new Map(), targetQueryMode = 'exact'
+}) {
+  // cache ezcap info
+  req.ezcap = {};
+
+  // parse signature header(s) for zcap invocation; RFC 9421 HTTP Message
+  // Signatures are used if a `signature-input` header is present, otherwise
+  // a draft-cavage `authorization` header is expected
+  const {headers} = request;
+  if(headers['signature-input'] !== undefined) {
+    try {
+      req.ezcap.signature = {
+        format: helpers.SIGNATURE_FORMATS.rfc9421,
+        ...parseMessageSignature({headers})
+      };
+    } catch(e) {
+      throw await _createMissingCredentialsError({
+        message: 'Missing or invalid "signature-input" or "signature" header.',
+        cause: e, req, request, acceptedAlgorithms, getExpectedValues
+      });
+    }
+  } else {
+    try {
+      const {params} = parseSignatureHeader(headers.authorization);
+      req.ezcap.signature = {format: helpers.SIGNATURE_FORMATS.cavage, params};
+    } catch(e) {
+      throw await _createMissingCredentialsError({
+        message: 'Missing or invalid "authorization" header.',
+        cause: e, req, request, acceptedAlgorithms, getExpectedValues
+      });
+    }
+  }
+
+  // if body is present, ensure digest header values match digest of body
+  if(digestMode === 'stream') {
+    // body has not been read; provide a stream to verify it when it is
+    if(_hasBodyHeaders({headers})) {
+      try {
+        req.ezcap.bodyDigestVerifier = createDigestVerifierStream({
+          headers, policy: digestPolicy
+        });
+      } catch(error) {
+        error.httpStatusCode = 400;
+        error.problemType = PROBLEM_TYPES.invalidDigest;
+        throw error;
+      }
+    }
+  } else if(hasBody({request})) {
+    // use the exact bytes received if they were captured
+    const {rawBody} = request;
+    if(digestMode === 'raw' && !(rawBody instanceof Uint8Array)) {
+      const error = new Error(
+        'The raw request body was not captured; use "captureRawBody" as ' +
+        'the "verify" option for the body parser.');
+      error.httpStatusCode = 500;
+      throw error;
+    }
+    const {verified, error} = await withSpan({
+      name: 'ezcap.verify_digest',
+      fn: () => verifyDigestHeaders({
+        data: rawBody instanceof Uint8Array ? rawBody : request.body,
+        headers, policy: digestPolicy
+      })
+    });
+    if(!verified) {
+      error.httpStatusCode = 400;
+      error.problemType = PROBLEM_TYPES.invalidDigest;
+      throw error;
+    }
+  }
+
+  // get all expected values; `getExpectedValues` may throw
+  const expected = await withSpan({
+    name: 'ezcap.get_expected_values', fn: () => getExpectedValues({req})
+  });
+  _checkExpectedValues({expected});
+
+  // default expected target is always the full request URL, with its query
+  // canonicalized if the query is not compared exactly
+  if(expected.target === undefined) {
+    expected.target = `https://${expected.host}${request.url}`;
+    if(targetQueryMode !== 'exact') {
+      expected.target = canonicalizeTarget({target: expected.target});
+    }
+  }
+
+  // get default expected action
+  /* Note: This is safe as long as the server's request handling
+  infrastructure differentiates based on HTTP method (as is typical practice
+  with express/connect routing). So, while the client specifies the HTTP
+  method, the server specifies the handler for that HTTP method. For example,
+  this middleware will ensure that if a client specifies "POST" then it
+  must be invoking a zcap that grants "write" action authority. Then,
+  provided that the server's router ensures that only the "POST" handler will
+  be executed (typical routing practice), all is well. If the handler code is
+  chosen via some other means, e.g., via the request body, then the caller
+  MUST provide the expected action and not rely on default behavior. */
+  if(expected.action === undefined) {
+    expected.action = actionMap.get(request.method);
+    if(expected.action === undefined) {
+      const error = new Error(
+        `The HTTP method ${request.method} has no expected capability ` +
+        'action.');
+      error.name = 'NotSupportedError';
+      error.httpStatusCode = 400;
+      error.problemType = PROBLEM_TYPES.unsupportedMethod;
+      throw error;
+    }
+  }
+
+  // produce expected root capability from expected root invocation target
+  let expectedRootCapability;
+  const {rootInvocationTarget} = expected;
+  if(Array.isArray(rootInvocationTarget)) {
+    expectedRootCapability = rootInvocationTarget.map(
+      t => `${helpers.ZCAP_ROOT_PREFIX}${encodeURIComponent(t)}`);
+  } else {
+    expectedRootCapability =
+      `${helpers.ZCAP_ROOT_PREFIX}${encodeURIComponent(rootInvocationTarget)}`;
+  }
+
+  // save expected values
+  req.ezcap.expectedAction = expected.action;
+  req.ezcap.acceptedActions = _getAcceptedActions(
+    {expectedAction: expected.action, impliedActions});
+  req.ezcap.expectedHost = expected.host;
+  req.ezcap.expectedRootCapability = expectedRootCapability;
+  req.ezcap.expectedTarget = expected.target;
+}
+
+async function _verifyInvocation({
+  req, request,
+  allowTargetAttenuation = true, chainCache, checkCaveats,
+  documentLoader, getRootController, getVerifier, inspectCapabilityChain,
+  maxChainLength = 10,
+  // 300 second clock skew permitted by default
+  maxClockSkew = 300,
+  // 90 day max TTL by default
+  maxDelegationTtl = 1000 * 60 * 60 * 24 * 90,
+  replayStore, suiteFactory, targetQueryMode
+}) {
+  const {
+    acceptedActions, expectedHost, expectedRootCapability, expectedTarget,
+    signature
+  } = req.ezcap;
+
+  // perform the capability invocation...
+  const {url, method, headers} = request;
+  const verify = async () => verifyCapabilityInvocation({
+    signature,
+    url,
+    method,
+    suite: await suiteFactory({req}),
+    headers,
+    expectedHost,
+    async beforeValidatePurpose({
+      purpose, proof, capability, capabilityAction
+    }) {
+      // provide access to invocation parameters
+      req.ezcap.invocationParameters = {
+        purpose, proof, capability, capabilityAction
+      };
+    },
+    documentLoader: helpers.createRootCapabilityLoader({
+      documentLoader, getRootController, req
+    }),
+    getVerifier,
+    expectedAction: acceptedActions,
+    expectedTarget,
+    expectedRootCapability,
+    inspectCapabilityChain,
+    allowTargetAttenuation,
+    chainCache,
+    maxChainLength,
+    maxClockSkew,
+    maxDelegationTtl,
+    targetQueryMode
+  });
+
+  let result = await withSpan({name: 'ezcap.verify_invocation', fn: verify});
+
+  // if a cached root controller was used, it may be stale, so retry once
+  // with fresh root controllers if verification failed because of it
+  if(!result.verified && req.ezcap.usedCachedRootController &&
+    _isRootControllerError({error: result.error})) {
+    req.ezcap.refreshRootController = true;
+    result = await withSpan({name: 'ezcap.verify_invocation', fn: verify});
+  }
+  if(!result.verified) {
+    return result;
+  }
+
+  // the caveats of every zcap in the chain must be satisfied by the request
+  const {valid, error} = await withSpan({
+    name: 'ezcap.check_caveats',
+    fn: () => checkCaveats(
+      {capabilityChain: result.dereferencedChain, req, request})
+  });
+  if(!valid) {
+    return {verified: false, error};
+  }
+
+  // only record signatures that have been verified to prevent unauthorized
+  // parties from filling the store with values that could block legitimate
+  // invocations
+  if(replayStore) {
+    await helpers.checkReplay({
+      replayStore, signature: req.ezcap.signature, maxClockSkew
+    });
+  }
+
+  // provide zcap verification results if verification succeeds
+  req.zcap = result;
+  return result;
+}
+
+async function _checkRevocation({
+  req, request, serviceObjectId, documentLoader, getRootController,
+  inspectCapabilityChain, suiteFactory
+}) {
+  const {body: capability} = request;
+
+  // early-disallow revocation of root zcaps
+  _checkNotRootCapability({capability});
+
+  // set capability to be revoked to enable access in other helpers
+  req.ezcap.capabilityToRevoke = capability;
+
+  req.zcapRevocation = {
+    serviceObjectId,
+    ...await _verifyRevocation({
+      req, capability, documentLoader, getRootController,
+      inspectCapabilityChain, suiteFactory
+    })
+  };
+}
+
+function _checkBatch({capabilities, maxBatchSize}) {
+  if(!(Array.isArray(capabilities) && capabilities.length > 0 &&
+    capabilities.length <= maxBatchSize &&
+    capabilities.every(c => c && typeof c === 'object' &&
+      typeof c.id === 'string'))) {
+    const error = new Error(
+      'The request body must be an array of 1 to ' +
+      `${maxBatchSize} capabilities.`);
+    error.name = 'DataError';
+    error.httpStatusCode = 400;
+    throw error;
+  }
+}
+
+// parses the `{controller, invocationTarget, allowedAction, expires}` body
+// of a delegation request
+function _parseDelegationRequest({body, maxDelegationTtl}) {
+  if(!(body && typeof body === 'object' && !Array.isArray(body))) {
+    throw _createDelegationRequestError(
+      {message: 'The request body must be an object.'});
+  }
+  const {controller, invocationTarget, allowedAction, expires} = body;
+  if(!_isAbsoluteUri(controller)) {
+    throw _createDelegationRequestError({
+      message: '"controller" must be a string expressing an absolute URI.'
+    });
+  }
+  if(invocationTarget !== undefined && !_isAbsoluteUri(invocationTarget)) {
+    throw _createDelegationRequestError({
+      message: '"invocationTarget" must be a string expressing an absolute URI.'
+    });
+  }
+  const allowedActions = typeof allowedAction === 'string' ?
+    [allowedAction] : allowedAction;
+  if(allowedActions !== undefined && !(Array.isArray(allowedActions) &&
+    allowedActions.length > 0 &&
+    allowedActions.every(action => typeof action === 'string'))) {
+    throw _createDelegationRequestError({
+      message: '"allowedAction" must be a string or a non-empty array of ' +
+        'strings.'
+    });
+  }
+  const expiresTime = typeof expires === 'string' ?
+    Date.parse(expires) : NaN;
+  if(Number.isNaN(expiresTime)) {
+    throw _createDelegationRequestError(
+      {message: '"expires" must be an XML Schema date-time string.'});
+  }
+  const now = Date.now();
+  if(!(expiresTime > now && expiresTime <= now + maxDelegationTtl)) {
+    throw _createDelegationRequestError({
+      message: '"expires" must be in the future and no more than ' +
+        `${maxDelegationTtl} milliseconds from now.`
+    });
+  }
+  return {
+    controller, invocationTarget, allowedAction: allowedActions,
+    // use second precision
+    expires: new Date(expiresTime).toISOString().slice(0, -5) + 'Z'
+  };
+}
+
+function _createDelegationRequestError({message}) {
+  const error = new Error(message);
+  error.name = 'DataError';
+  error.httpStatusCode = 400;
+  return error;
+}
+
+// returns the delegation request, attenuated to the given capability, or
+// throws if it requests authority that the capability does not have
+function _attenuateDelegation({delegationRequest, capability}) {
+  const {controller, expires} = delegationRequest;
+  const {
+    invocationTarget = capability.invocationTarget,
+    allowedAction = capability.allowedAction
+  } = delegationRequest;
+
+  // the target must be attenuated as when verifying delegations
+  const parentTarget = capability.invocationTarget;
+  if(!isAttenuatedTarget(
+    {target: invocationTarget, baseTarget: parentTarget})) {
+    const error = new Error(
+      `The requested invocation target "${invocationTarget}" is not ` +
+      `within the invoked capability's invocation target "${parentTarget}".`);
+    error.name = 'NotAllowedError';
+    error.httpStatusCode = 403;
+    error.problemType = PROBLEM_TYPES.invalidTarget;
+    throw error;
+  }
+
+  // a capability without `allowedAction` allows any action
+  if(capability.allowedAction !== undefined) {
+    const parentActions = [].concat(capability.allowedAction);
+    const actions = [].concat(allowedAction);
+    const disallowed = actions.find(action => !parentActions.includes(action));
+    if(disallowed !== undefined) {
+      const error = new Error(
+        `The requested capability action "${disallowed}" is not allowed by ` +
+        'the invoked capability.');
+      error.name = 'NotAllowedError';
+      error.httpStatusCode = 403;
+      error.problemType = PROBLEM_TYPES.invalidAction;
+      throw error;
+    }
+  }
+
+  // root zcaps do not expire
+  if(capability.expires !== undefined &&
+    Date.parse(expires) > Date.parse(capability.expires)) {
+    const error = new Error(
+      `The requested expiration date-time "${expires}" is after the invoked ` +
+      `capability's expiration date-time "${capability.expires}".`);
+    error.name = 'NotAllowedError';
+    error.httpStatusCode = 403;
+    throw error;
+  }
+
+  const delegation = {controller, invocationTarget, expires};
+  if(allowedAction !== undefined) {
+    delegation.allowedAction = [].concat(allowedAction);
+  }
+  return delegation;
+}
+
+function _isAbsoluteUri(value) {
+  return typeof value === 'string' && value.includes(':');
+}
+
+function _checkNotRootCapability({capability}) {
+  if(capability.id.startsWith(helpers.ZCAP_ROOT_PREFIX)) {
+    const error = new Error('A root capability cannot be revoked.');
+    error.name = 'NotAllowedError';
+    error.httpStatusCode = 400;
+    throw error;
+  }
+}
+
+// verifies the delegation of a capability to be revoked
+async function _verifyRevocation({
+  req, capability, documentLoader, getRootController, inspectCapabilityChain,
+  suiteFactory, expectedRootCapability
+}) {
+  let delegator;
+  const capture = {};
+  const chainControllers = [];
+  try {
+    const results = await withSpan({
+      name: 'ezcap.verify_delegation',
+      fn: () => _verifyDelegation({
+        req,
+        capability,
+        documentLoader: helpers.createRootCapabilityLoader({
+          documentLoader, getRootController, req
+        }),
+        inspectCapabilityChain: _captureChainControllers({
+          inspectCapabilityChain,
+          capabilityToRevoke: capability,
+          chainControllers,
+          capture
+        }),
+        suiteFactory,
+        expectedRootCapability
+      })
+    });
+    ({delegator} = results[0].purposeResult);
+    delegator = delegator.id || delegator;
+  } catch(e) {
+    const error = new Error('The provided capability delegation is invalid.');
+    error.name = 'DataError';
+    error.cause = e;
+    error.httpStatusCode = 400;
+    throw error;
+  }
+
+  const {capabilityChain} = capture;
+  return {delegator, capabilityChain, chainControllers};
+}
+
+async function _verifyDelegation({
+  req, capability, documentLoader, inspectCapabilityChain, suiteFactory,
+  // the expected values for the invocation are the same as those for checking
+  // the revocation delegation chain per the reasoning given in notes in
+  // `authorizeZcapRevocation`
+  expectedRootCapability = req.ezcap.expectedRootCapability
+}) {
+  const {verified, error, results} = await jsigs.verify(capability, {
+    documentLoader,
+    purpose: new CapabilityDelegation({
+      /* Note: Path-based target attenuation must always be true to support the
+      convention described above. This is not a security problem even if the
+      to-be-revoked zcap cannot be invoked (because the invocation endpoint
+      doesn't allow such attenuation). It just means zcaps that can be
+      delegated with attenuation rules that aren't supported by the invocation
+      endpoint can still be revoked. */
+      allowTargetAttenuation: true,
+      expectedRootCapability,
+      inspectCapabilityChain,
+      suite: await suiteFactory({req})
+    }),
+    suite: await suiteFactory({req})
+  });
+  if(!verified) {
+    throw error;
+  }
+  return results;
+}
+
+// returns whether an error (or any error it wraps) was raised because the
+// controller of a root zcap did not match the invoking or delegating
+// verification method
+function _isRootControllerError({error}) {
+  if(!error) {
+    return false;
+  }
+  const id = error.details?.capability?.id;
+  if(typeof id === 'string' && id.startsWith(helpers.ZCAP_ROOT_PREFIX) &&
+    error.details.verificationMethod) {
+    return true;
+  }
+  const errors = Array.isArray(error.errors) ? error.errors : [];
+  return [error.cause, ...errors].some(
+    error => _isRootControllerError({error}));
+}
+
+function _wrapGetRootController({getRootController, zcapSpecificRootTarget}) {
+  return async function _getRootController({
+    req, rootCapabilityId, rootInvocationTarget
+  }) {
+    // if `rootInvocationTarget` doesn't match the zcap-specific root
+    // invocation target, then use user-provided `getRootController` to provide
+    // the controller
+    if(rootInvocationTarget !== zcapSpecificRootTarget) {
+      return getRootController({req, rootCapabilityId, rootInvocationTarget});
+    }
+
+    /* Note: If the root invocation target is a zcap-specific revocation
+    endpoint, we use all zcap controllers from the to-be-revoked zcap's chain
+    as the root controller. This applies to populating the controller for the
+    root zcap in the invoked zcap's chain and for the root zcap in the
+    to-be-revoked zcap's chain.
+
+    This approach allows any party that has delegated a zcap or received one
+    (where the root zcap includes `serviceObjectId` as a prefix in its
+    invocation target) to be able to send it for revocation. Other code
+    (in the revocation route handler) will confirm that the delegation is
+    proper and the zcap from which it was delegated has not itself been
+    revoked.
+
+    As an example, if the delegation chain is:
+
+    root -> A -> B
+
+    Any zcap controller in the chain of B may invoke a root zcap with an
+    `invocationTarget` of `<baseUrl>/zcaps/revocations/<ID of B>` (and an ID of
+    `urn:zcap:root:encodeURIComponent(<baseUrl>/zcaps/revocations/<ID of B>)`).
+    This means that `root`, `A`, or `B` may revoke `B`.
+
+    As long no other zcap in the chain of `B` (e.g., `A`) has already been
+    revoked, then `B` will be revoked and stored as a revocation (storage must
+    be done after this middleware, e.g., via `handleZcapRevocation`) until `B`
+    expires. */
+
+    // use all `chainControllers`
+    // presumes `_checkRevocation` already called
+    return req.zcapRevocation.chainControllers;
+  };
+}
+
+function _captureChainControllers({
+  inspectCapabilityChain, capabilityToRevoke, chainControllers, capture
+}) {
+  return async function _inspectCapabilityChain(chainDetails) {
+    // collect every controller in the chain
+    const {capabilityChain} = chainDetails;
+    capture.capabilityChain = capabilityChain;
+    for(const capability of capabilityChain.values()) {
+      chainControllers.push(..._getCapabilityControllers({capability}));
+    }
+    if(!inspectCapabilityChain) {
+      return {valid: true};
+    }
+    // let `inspectCapabilityChain` distinguish this chain from the invoked one
+    return inspectCapabilityChain({...chainDetails, capabilityToRevoke});
+  };
+}
+
+// combines the checks of the delegation policy, if any, with those of the
+// user-provided `inspectCapabilityChain`, if any
+function _createChainInspector({delegationPolicy, inspectCapabilityChain}) {
+  const inspect = _tagRevocationErrors({inspectCapabilityChain});
+  if(!delegationPolicy) {
+    return inspect;
+  }
+  const checkDelegationPolicy = createDelegationPolicyChecker(
+    {delegationPolicy});
+  return async function _inspectCapabilityChain(chainDetails) {
+    // zcaps that violate the policy can still be revoked
+    if(!chainDetails.capabilityToRevoke) {
+      const result = checkDelegationPolicy(chainDetails);
+      if(!result.valid) {
+        return result;
+      }
+    }
+    return inspect ? inspect(chainDetails) : {valid: true};
+  };
+}
+
+// `inspectCapabilityChain` is used to check for revoked zcaps, so any error
+// it reports is tagged as a revocation for problem details responses
+function _tagRevocationErrors({inspectCapabilityChain}) {
+  if(!inspectCapabilityChain) {
+    return;
+  }
+  return async function _inspectCapabilityChain(chainDetails) {
+    const result = await inspectCapabilityChain(chainDetails);
+    if(result && !result.valid && result.error instanceof Error &&
+      !result.error.problemType) {
+      result.error.problemType = PROBLEM_TYPES.revokedCapability;
+    }
+    return result;
+  };
+}
+
+function _getCapabilityControllers({capability}) {
+  const {controller} = capability;
+  return Array.isArray(controller) ? controller : [controller];
+}
+
+// creates a function that gets the service object ID for a request to a
+// route under a service object (e.g., a revocation route), either via
+// `getServiceObjectId` or from the request URL; `pathOption` is the name of
+// the option that `routePath` was given as
+function _createServiceObjectIdResolver({
+  expectedHost, getServiceObjectId, routePath, pathOption
+}) {
+  assert.optionalFunc(getServiceObjectId, 'options.getServiceObjectId');
+  assert.string(routePath, `options.${pathOption}`);
+  if(!(routePath.startsWith('/') && !routePath.endsWith('/'))) {
+    throw new Error(
+      `"options.${pathOption}" must start with "/" and must not end with ` +
+      '"/".');
+  }
+
+  return async function resolveServiceObjectId({
+    req, request, middleware, route, collection
+  }) {
+    if(!collection && !request.params?.revocationId) {
+      throw _createRouteError({middleware, route});
+    }
+    if(getServiceObjectId) {
+      const serviceObjectId = await getServiceObjectId({req});
+      if(!(typeof serviceObjectId === 'string' &&
+        serviceObjectId.includes(':'))) {
+        const error = new Error(
+          '"getServiceObjectId" must return an absolute URL.');
+        error.httpStatusCode = 500;
+        throw error;
+      }
+      return serviceObjectId;
+    }
+    const serviceObjectId = _parseServiceObjectId(
+      {url: request.url, expectedHost, routePath, collection});
+    if(serviceObjectId === undefined) {
+      throw _createRouteError({middleware, route});
+    }
+    return serviceObjectId;
+  };
+}
+
+function _createRouteError({middleware, route}) {
+  const error = new Error(
+    `${middleware} must be attached to a route ending in "${route}".`);
+  error.httpStatusCode = 500;
+  return error;
+}
+
+function _parseServiceObjectId({
+  url, expectedHost, routePath, collection
+}) {
+  // `serviceObjectId` is the full URL prior to the last occurrence of
+  // `routePath`, which must be followed by a single path segment (e.g., the
+  // revocation ID, in which any `/` is percent-encoded) or, for collection
+  // routes, nothing; earlier occurrences are part of the service object ID
+  let [path] = url.split('?');
+  let idx;
+  if(collection) {
+    if(path.endsWith('/')) {
+      path = path.slice(0, -1);
+    }
+    if(!path.endsWith(routePath)) {
+      return;
+    }
+    idx = path.length - routePath.length;
+  } else {
+    idx = path.lastIndexOf(`${routePath}/`);
+    if(idx === -1 || path.includes('/', idx + routePath.length + 1)) {
+      return;
+    }
+  }
+  return `https://${expectedHost}${path.substring(0, idx)}`;
+}
+
+function _checkDigestOptions({digestMode, digestPolicy}) {
+  if(!DIGEST_MODES.includes(digestMode)) {
+    throw new Error(
+      `"options.digestMode" must be one of: ${DIGEST_MODES.join(', ')}.`);
+  }
+  assert.object(digestPolicy, 'options.digestPolicy');
+  const {accepted = DIGEST_HEADERS, required = []} = digestPolicy;
+  assert.arrayOfString(accepted, 'options.digestPolicy.accepted');
+  assert.arrayOfString(required, 'options.digestPolicy.required');
+  const unsupported = [...accepted, ...required].find(
+    h => !DIGEST_HEADERS.includes(h));
+  if(unsupported !== undefined) {
+    throw new Error(`Unsupported digest header "${unsupported}".`);
+  }
+  if(accepted.length === 0) {
+    throw new Error('"options.digestPolicy.accepted" must not be empty.');
+  }
+}
+
+// creates a map of HTTP method to expected action(s) with any custom
+// mappings overriding the defaults
+function _createActionMap({actionForMethod}) {
+  if(actionForMethod === undefined) {
+    return DEFAULT_ACTION_FOR_METHOD;
+  }
+  const actionMap = new Map(DEFAULT_ACTION_FOR_METHOD);
+  for(const [method, action] of Object.entries(actionForMethod)) {
+    if(!_isActions(action)) {
+      throw new TypeError(
+        `"options.actionForMethod.${method}" must be a string or a ` +
+        'non-empty array of strings.');
+    }
+    actionMap.set(method.toUpperCase(), action);
+  }
+  return actionMap;
+}
+
+// creates a map of action to every action it implies, directly or
+// transitively, according to the given hierarchy
+function _createImpliedActions({actionHierarchy}) {
+  const impliedActions = new Map();
+  if(actionHierarchy === undefined) {
+    return impliedActions;
+  }
+  for(const [action, implied] of Object.entries(actionHierarchy)) {
+    if(!(Array.isArray(implied) &&
+      implied.every(a => typeof a === 'string'))) {
+      throw new TypeError(
+        `"options.actionHierarchy.${action}" must be an array of strings.`);
+    }
+  }
+  for(const action of Object.keys(actionHierarchy)) {
+    // walk the hierarchy; cycles are permitted and are simply stopped at
+    const implied = new Set();
+    const next = [...actionHierarchy[action]];
+    while(next.length > 0) {
+      const a = next.pop();
+      if(a !== action && !implied.has(a)) {
+        implied.add(a);
+        next.push(...(actionHierarchy[a] ?? []));
+      }
+    }
+    impliedActions.set(action, implied);
+  }
+  return impliedActions;
+}
+
+// gets every action that satisfies the expected action(s): each expected
+// action and any action that implies one of them
+function _getAcceptedActions({expectedAction, impliedActions}) {
+  const expected = Array.isArray(expectedAction) ?
+    expectedAction : [expectedAction];
+  const accepted = new Set(expected);
+  for(const [action, implied] of impliedActions) {
+    if(expected.some(a => implied.has(a))) {
+      accepted.add(action);
+    }
+  }
+  return [...accepted];
+}
+
+function _isActions(action) {
+  return typeof action === 'string' ||
+    (Array.isArray(action) && action.length > 0 &&
+    action.every(a => typeof a === 'string'));
+}
+
+// wraps user-provided functions so that every call runs within a span
+function _instrumentFunctions({
+  documentLoader, getRootController, getVerifier, inspectCapabilityChain
+}) {
+  return {
+    documentLoader: withSpans({
+      name: 'ezcap.load_document', fn: documentLoader,
+      attributes: url => ({'ezcap.document_url': url})
+    }),
+    getRootController: withSpans({
+      name: 'ezcap.get_root_controller', fn: getRootController,
+      attributes: ({rootCapabilityId}) => ({
+        'ezcap.root_capability_id': rootCapabilityId
+      })
+    }),
+    getVerifier: withSpans({
+      name: 'ezcap.get_verifier', fn: getVerifier,
+      attributes: ({keyId}) => ({'ezcap.key_id': keyId})
+    }),
+    inspectCapabilityChain: inspectCapabilityChain && withSpans({
+      name: 'ezcap.inspect_capability_chain', fn: inspectCapabilityChain
+    })
+  };
+}
+
+// wraps an authorizer to run it within a span and record its outcome
+function _instrumentAuthorizer({type, authorize, authorizationMetrics}) {
+  return function instrumentedAuthorize({req, request}) {
+    return withSpan({
+      name: `ezcap.authorize_${type}`,
+      attributes: () => ({'http.request.method': request.method}),
+      async fn(span) {
+        const start = performance.now();
+        let result;
+        let error;
+        try {
+          result = await authorize({req, request});
+        } catch(e) {
+          error = e;
+        }
+        const allowed = !error && result.verified;
+        const decision = allowed ? 'allow' : 'deny';
+        authorizationMetrics.record({
+          type, decision,
+          durationMs: performance.now() - start,
+          dereferencedChain: allowed ? result.dereferencedChain : undefined,
+          problemType: allowed ? undefined : getProblemType({
+            error: error ?? result.error,
+            status: error ? (error.httpStatusCode ?? 500) : 403
+          }).type
+        });
+        span.setAttribute('ezcap.decision', decision);
+        if(error) {
+          throw error;
+        }
+        return result;
+      }
+    });
+  };
+}
+
+// wraps an authorizer to pass an `AuthorizationEvent` to
+// `onAuthorizationEvent` for every decision it makes; a batch revocation
+// request results in a revocation event for each capability to be revoked
+function _emitAuthorizationEvents({
+  type, batch = false, authorize, onAuthorizationEvent
+}) {
+  if(!onAuthorizationEvent) {
+    return authorize;
+  }
+  return async function authorizeAndEmit({req, request}) {
+    const time = new Date();
+    const start = performance.now();
+    let result;
+    let error;
+    try {
+      result = await authorize({req, request});
+    } catch(e) {
+      error = e;
+    }
+    const duration = performance.now() - start;
+    const revocations = batch ?
+      _getBatchRevocations({req, request}) : [req.zcapRevocation];
+    for(const revocation of revocations) {
+      const event = _createAuthorizationEvent({
+        type, req, request, result, error, time, duration, revocation
+      });
+      // an error from `onAuthorizationEvent` fails the request
+      await onAuthorizationEvent({event, req});
+    }
+    if(error) {
+      throw error;
+    }
+    return result;
+  };
+}
+
+// gets the revocations of a batch revocation request to create events for;
+// if the request was rejected before they were verified, they are taken from
+// the request body (which may not be an array of capabilities)
+function _getBatchRevocations({req, request}) {
+  if(req.zcapRevocations) {
+    return req.zcapRevocations;
+  }
+  const {body} = request;
+  if(Array.isArray(body) && body.length > 0) {
+    return body.map(capability => ({capability}));
+  }
+  return [undefined];
+}
+
+function _createAuthorizationEvent({
+  type, req, request, result, error, time, duration, revocation
+}) {
+  // `req.ezcap` is not set if the request was rejected before parsing
+  const ezcap = req.ezcap ?? {};
+  const {invocationParameters: {capability, capabilityAction} = {}} = ezcap;
+  // an authorized batch revocation may still fail for a single capability
+  const allowed = !error && result.verified && !revocation?.error;
+  const event = {
+    type,
+    decision: allowed ? 'allow' : 'deny',
+    time: time.toISOString(),
+    duration,
+    method: request.method,
+    url: request.url,
+    ip: request.ip,
+    keyId: ezcap.signature?.params?.keyId,
+    capability: typeof capability === 'string' ? capability : capability?.id,
+    action: capabilityAction,
+    expectedAction: ezcap.expectedAction,
+    target: ezcap.expectedTarget
+  };
+  if(allowed) {
+    const {dereferencedChain, invoker} = result;
+    event.invoker = invoker;
+    event.delegationPath = dereferencedChain.map(({id}) => id);
+    event.rootController = dereferencedChain[0].controller;
+  } else {
+    const reason = error ?? result.error ?? revocation.error;
+    event.status = error ? (error.httpStatusCode ?? 500) :
+      result.verified ? (reason.httpStatusCode ?? 500) : 403;
+    event.reason = {
+      name: reason?.name,
+      message: reason?.message,
+      type: getProblemType({error: reason, status: event.status}).type
+    };
+  }
+  if(type === 'revocation') {
+    event.capabilityToRevoke = revocation?.capability ??
+      ezcap.capabilityToRevoke;
+    event.delegator = revocation?.delegator;
+  }
+  return event;
+}
+
+// creates an error for a request without (parseable) credentials; it has a
+// `WWW-Authenticate` challenge that describes the signature that is expected
+async function _createMissingCredentialsError({
+  message, cause, req, request, acceptedAlgorithms, getExpectedValues
+}) {
+  const error = new Error(message);
+  error.name = 'DataError';
+  error.cause = cause;
+  error.httpStatusCode = 401;
+  error.problemType = PROBLEM_TYPES.missingAuthorization;
+
+  // expected values are included if they can be computed; an error from
+  // `getExpectedValues` is not exposed, as the request is already invalid
+  let expected;
+  try {
+    expected = await getExpectedValues({req});
+    _checkExpectedValues({expected});
+  } catch(e) {
+    expected = undefined;
+  }
+
+  // list the headers that must be covered by a draft-cavage signature; RFC
+  // 9421 signatures must cover the equivalent components
+  const headers = [...CAVAGE_REQUIRED_HEADERS];
+  if(request.headers['content-type']) {
+    headers.push('content-type', 'digest');
+  }
+  const params = [];
+  if(expected) {
+    params.push(['realm', expected.host]);
+  }
+  params.push(['headers', headers.join(' ')]);
+  params.push(['algorithms', acceptedAlgorithms.join(' ')]);
+  if(expected) {
+    const {rootInvocationTarget} = expected;
+    params.push(['root-invocation-target', Array.isArray(rootInvocationTarget) ?
+      rootInvocationTarget.join(' ') : rootInvocationTarget]);
+  }
+  error.wwwAuthenticate = 'Signature ' + params
+    .map(([name, value]) => `${name}="${value.replace(/["\\]/g, '\\$&')}"`)
+    .join(', ');
+  return error;
+}
+
+function _checkExpectedValues({expected}) {
+  if(!(expected && typeof expected === 'object')) {
+    throw new TypeError('"getExpectedValues" must return an object.');
+  }
+
+  const {action, host, rootInvocationTarget, target} = expected;
+
+  // expected `action` is optional
+  if(!(action === undefined || _isActions(action))) {
+    throw new TypeError(
+      'Expected "action" must be a string or a non-empty array of strings.');
+  }
+
+  // expected `host` is required
+  if(typeof host !== 'string') {
+    throw new TypeError('Expected "host" must be a string.');
+  }
+
+  // expected `rootInvocationTarget` is required
+  if(!_checkExpectedRootInvocationTarget({rootInvocationTarget})) {
+    throw new Error(
+      'Expected "rootInvocationTarget" must be a string or an array of ' +
+      'strings, each of which expresses an absolute URI.');
+  }
+
+  // expected `target` is optional
+  if(target !== undefined && !(typeof target === 'string') &&
+    target.includes(':')) {
+    throw new Error(
+      'Expected "target" must be a string that expresses an absolute ' +
+      'URI.');
+  }
+}
+
+function _checkExpectedRootInvocationTarget({rootInvocationTarget}) {
+  // must be a string or an array of strings each of which represents an
+  // absolute URI
+  if(typeof rootInvocationTarget === 'string') {
+    return rootInvocationTarget.includes(':');
+  }
+  if(Array.isArray(rootInvocationTarget) && rootInvocationTarget.length > 0) {
+    return rootInvocationTarget.every(
+      s => typeof s === 'string' && s.includes(':'));
+  }
+  return false;
+}
+
+function _hasBodyHeaders({headers}) {
+  // used when the body has not been read (and `body` is not set)
+  const contentLength = headers['content-length'];
+  return headers['transfer-encoding'] !== undefined ||
+    (contentLength !== undefined && contentLength !== '0');
+}
+
+// documentation typedefs
+
+/**
+ * Framework-neutral information about an HTTP request.
+ *
+ * @typedef {object} RequestInfo
+ * @property {string} method - The HTTP method.
+ * @property {string} url - The full relative request URL (including any
+ *   router mount path and query string).
+ * @property {object} headers - The request headers with lower-cased header
+ *   names.
+ * @property {object} [params] - The route parameters.
+ * @property {string} [ip] - The client IP address, if known.
+ * @property {*} [body] - The parsed request body, if it has been read.
+ * @property {Uint8Array} [rawBody] - The exact bytes of the request body, if
+ *   they have been captured.
+ */
+
+/**
+ * An event describing an authorization decision, passed to the
+ * `onAuthorizationEvent` option.
+ *
+ * @typedef {object} AuthorizationEvent
+ * @property {string} type - `invocation` or `revocation`.
+ * @property {string} decision - `allow` or `deny`.
+ * @property {string} time - The date-time the request was received.
+ * @property {number} duration - The milliseconds taken to decide.
+ * @property {string} method - The HTTP method.
+ * @property {string} url - The relative request URL.
+ * @property {string} [ip] - The client IP address, if known.
+ * @property {string} [keyId] - The key ID from the HTTP signature.
+ * @property {string} [capability] - The ID of the invoked capability.
+ * @property {string} [action] - The invoked capability action.
+ * @property {string|Array<string>} [expectedAction] - The expected action.
+ * @property {string} [target] - The expected invocation target.
+ * @property {string} [invoker] - The invoker, if allowed.
+ * @property {Array<string>} [delegationPath] - The IDs of every capability
+ *   in the delegation chain, starting with the root capability, if allowed.
+ * @property {string|Array<string>} [rootController] - The root controller,
+ *   if allowed.
+ * @property {number} [status] - The HTTP status code, if denied.
+ * @property {object} [reason] - The `name`, `message`, and problem `type`
+ *   (see `PROBLEM_TYPES`) of the failure, if denied.
+ * @property {object} [capabilityToRevoke] - The capability to be revoked,
+ *   for revocation events; a batch revocation request results in an event
+ *   for each capability in the batch, which is denied if that capability
+ *   cannot be revoked.
+ * @property {string} [delegator] - The delegator of the capability to be
+ *   revoked, for revocation events, if its delegation was verified.
+ */
+
+/**
+ * A function for returning expected values when checking a zcap invocation.
+ *
+ * @typedef {Function} GetExpectedValues
+ * @param {object} options - The options passed to the function.
+ * @param {object} options.req - The framework request (e.g., express or
+ *   fastify request).
+ * @returns {ExpectedValues} - The expected values.
+ */
+
+/**
+ * The expected values for checking a zcap invocation performed via an HTTP
+ * request.
+ *
+ * @typedef {object} ExpectedValues
+ * @property {string|Array<string>} [action] - The expected capability
+ *   action or, if more than one action is acceptable, an array of actions; a
+ *   zcap invoked with an action that implies an expected action (per the
+ *   `actionHierarchy` option) is also accepted. If no action is specified
+ *   during an invocation check, then a default action will be determined
+ *   based on the HTTP method from the request -- which is only safe
+ *   provided that the handler code path is also determined based on the HTTP
+ *   method in the request (i.e., typical method-based express/connect
+ *   routing); if the handler code path is determined by some other means,
+ *   e.g., the request body, then `action` MUST be set.
+ * @property {string} host - The expected host in the request header.
+ * @property {string|Array} rootInvocationTarget - The expected invocation
+ *   target for every acceptable root capability; each string must express an
+ *   absolute URI.
+ * @property {string} [target] - The expected invocation target; if no target
+ *   is specified during an invocation check, then the target will default to
+ *   the absolute URL computed from the relative request URL and expected host
+ *   value (with its query canonicalized unless `targetQueryMode` is
+ *   `exact`).
+ */
@@ -0,0 +1,71 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {createDelegationAuthorizer} from './core.js';
+import {createMiddleware} from './express.js';
+
+/**
+ * Authorizes a request for the service to delegate a zcap for a service
+ * object to a client, e.g., after the client has logged in via OAuth.
+ *
+ * Like `authorizeZcapRevocation`, this middleware is opinionated; it MUST be
+ * attached to a `POST` endpoint that terminates in `/zcaps/delegations`
+ * (or the given `delegationPath`), i.e., `<serviceObjectId>/zcaps/delegations`,
+ * and the `serviceObjectId` is computed in the same way (or via
+ * `getServiceObjectId`). The invoked zcap must have the `write` action and a
+ * root zcap with an invocation target of `<serviceObjectId>`, i.e., the
+ * expected values are:
+ *
+ * host: `<expectedHost>`,
+ * rootInvocationTarget: `<serviceObjectId>`,
+ * action: 'write'
+ * .
+ *
+ * The request body must be a JSON object with the `controller` of the zcap to
+ * delegate, its `expires` date-time, and, optionally, its `invocationTarget`
+ * and `allowedAction` (a string or an array of strings), which default to
+ * those of the invoked zcap. The request is rejected with HTTP 400 if the body
+ * is malformed or `expires` is more than `maxDelegationTtl` in the future and
+ * with HTTP 403 if the requested zcap would not be an attenuation of the
+ * invoked zcap, i.e., if its invocation target is not the same as or an
+ * attenuation of the invoked zcap's per the rules used when verifying
+ * delegations (a path or a query may be appended to a target without a
+ * query; only parameters, starting with `&`, may be appended to a target
+ * with a query), if it has any action that the invoked zcap does not allow,
+ * or if it expires after the invoked zcap.
+ *
+ * The attenuated delegation request is exposed via `req.zcapDelegation` as
+ * `{serviceObjectId, controller, invocationTarget, allowedAction, expires}`
+ * for the route handler that delegates the zcap, e.g., the one created by
+ * `handleZcapDelegation`.
+ *
+ * @param {object} options - Options hashmap; any options other than those
+ *   below are the same as for `authorizeZcapInvocation`, except for
+ *   `getExpectedValues`, which must not be given.
+ * @param {string} [options.delegationPath='/zcaps/delegations'] - The path
+ *   that follows `serviceObjectId` in the delegation route; it must start
+ *   with `/` and must not end with `/`.
+ * @param {string} options.expectedHost - The expected host header value
+ *   when checking the zcap invocation.
+ * @param {Function} [options.getServiceObjectId] - An async function that is
+ *   called with `{req}` and must return the `serviceObjectId` (an absolute
+ *   URL) for the request; by default, it is computed from the request URL.
+ * @param {number} [options.maxDelegationTtl=1000*60*60*24*90] - The maximum
+ *   milliseconds to live for the invoked zcap and for the zcap to delegate.
+ * @param {Function} [options.onError] - An error handler handler for
+ *   customizable error handling.
+ * @param {boolean|object} [options.problemDetails=false] - `true` to send
+ *   RFC 9457 `application/problem+json` error responses; see
+ *   `authorizeZcapInvocation`.
+ *
+ * @returns {Function} Returns an Express.js style middleware route handler.
+ */
+export function authorizeZcapDelegation({
+  onError, problemDetails, ...options
+} = {}) {
+  // `createDelegationAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createDelegationAuthorizer(options);
+  return [createMiddleware({authorize, onError, problemDetails})];
+}
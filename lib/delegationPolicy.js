@@ -0,0 +1,218 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {PROBLEM_TYPES} from './problems.js';
+
+/**
+ * Creates a function that checks a dereferenced capability chain (root zcap
+ * first) against a delegation policy. It is used internally as part of the
+ * `inspectCapabilityChain` function that is run when verifying zcaps; the
+ * options passed to `authorizeZcapInvocation` and the revocation middleware
+ * are validated when the middleware is created.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {DelegationPolicy} options.delegationPolicy - The policy.
+ *
+ * @returns {Function} A function that is passed `{capabilityChain}` and
+ *   returns `{valid, error}`, where `error` names the violated rule via its
+ *   `policyRule` property.
+ */
+export function createDelegationPolicyChecker({delegationPolicy}) {
+  _checkDelegationPolicy({delegationPolicy});
+  const {
+    controllers = {}, requireActionNarrowing = false, roots = [],
+    targetTtls = []
+  } = delegationPolicy;
+  const rootRules = new Map(roots.map(rule => [rule.invocationTarget, rule]));
+  // more specific targets are checked first
+  const ttlRules = [...targetTtls].sort(
+    (a, b) => b.invocationTarget.length - a.invocationTarget.length);
+
+  return function checkDelegationPolicy({capabilityChain}) {
+    const [root, ...delegated] = capabilityChain;
+    const rootRule = rootRules.get(root.invocationTarget);
+    const error =
+      _checkDepth({root, delegated, rootRule}) ??
+      _checkControllers({delegated, controllers}) ??
+      _checkActions({root, delegated, rootRule, requireActionNarrowing}) ??
+      _checkTtls({delegated, ttlRules});
+    if(error) {
+      error.name = 'NotAllowedError';
+      error.problemType = PROBLEM_TYPES.delegationPolicyViolation;
+      return {valid: false, error};
+    }
+    return {valid: true};
+  };
+}
+
+function _checkDepth({root, delegated, rootRule}) {
+  const maxDepth = rootRule?.maxDepth;
+  if(maxDepth !== undefined && delegated.length > maxDepth) {
+    return _createPolicyError({
+      rule: 'maxDepth',
+      message:
+        `The capability chain has ${delegated.length} delegation(s), but ` +
+        `the delegation policy allows at most ${maxDepth} from the root ` +
+        `capability "${root.id}".`
+    });
+  }
+}
+
+function _checkControllers({delegated, controllers: {allow, deny}}) {
+  for(const capability of delegated) {
+    for(const controller of [].concat(capability.controller)) {
+      if(deny && _matchesController({controller, patterns: deny})) {
+        return _createPolicyError({
+          rule: 'controllers',
+          message:
+            `The controller "${controller}" of the capability ` +
+            `"${capability.id}" is denied by the delegation policy.`
+        });
+      }
+      if(allow && !_matchesController({controller, patterns: allow})) {
+        return _createPolicyError({
+          rule: 'controllers',
+          message:
+            `The controller "${controller}" of the capability ` +
+            `"${capability.id}" is not allowed by the delegation policy.`
+        });
+      }
+    }
+  }
+}
+
+function _checkActions({root, delegated, rootRule, requireActionNarrowing}) {
+  const allowedActions = rootRule?.allowedActions;
+  for(const capability of delegated) {
+    // a zcap without `allowedAction` allows every action of its parent
+    const {allowedAction} = capability;
+    if(allowedAction === undefined) {
+      if(requireActionNarrowing || allowedActions) {
+        return _createPolicyError({
+          rule: requireActionNarrowing ? 'requireActionNarrowing' : 'roots',
+          message:
+            `The capability "${capability.id}" must restrict its actions ` +
+            'via "allowedAction" per the delegation policy.'
+        });
+      }
+      continue;
+    }
+    const disallowed = allowedActions &&
+      [].concat(allowedAction).find(a => !allowedActions.includes(a));
+    if(disallowed !== undefined) {
+      return _createPolicyError({
+        rule: 'roots',
+        message:
+          `The action "${disallowed}" of the capability "${capability.id}" ` +
+          'is not allowed by the delegation policy for the root capability ' +
+          `"${root.id}".`
+      });
+    }
+  }
+}
+
+function _checkTtls({delegated, ttlRules}) {
+  for(const capability of delegated) {
+    const rule = ttlRules.find(({invocationTarget}) => _isTargetWithin(
+      {target: capability.invocationTarget, baseTarget: invocationTarget}));
+    if(!rule) {
+      continue;
+    }
+    const proof = [].concat(capability.proof).find(
+      p => p?.proofPurpose === 'capabilityDelegation');
+    const ttl = Date.parse(capability.expires) - Date.parse(proof?.created);
+    // a TTL that cannot be computed does not satisfy the rule
+    if(!(ttl <= rule.maxTtl)) {
+      return _createPolicyError({
+        rule: 'targetTtls',
+        message:
+          `The capability "${capability.id}" has a time to live that ` +
+          `exceeds the ${rule.maxTtl} milliseconds allowed by the ` +
+          `delegation policy for "${rule.invocationTarget}".`
+      });
+    }
+  }
+}
+
+function _createPolicyError({rule, message}) {
+  const error = new Error(message);
+  error.policyRule = rule;
+  return error;
+}
+
+// a pattern is either a DID or a DID method, e.g., `did:key`, which matches
+// every DID of that method
+function _matchesController({controller, patterns}) {
+  return patterns.some(pattern => controller === pattern ||
+    (pattern.split(':').length === 2 && controller.startsWith(`${pattern}:`)));
+}
+
+// a target is within a base target if it is the same or is a path under it,
+// as for target attenuation
+function _isTargetWithin({target, baseTarget}) {
+  return target === baseTarget ||
+    target.startsWith(`${baseTarget}/`) || target.startsWith(`${baseTarget}?`);
+}
+
+function _checkDelegationPolicy({delegationPolicy}) {
+  assert.object(delegationPolicy, 'options.delegationPolicy');
+  const {
+    controllers, requireActionNarrowing, roots, targetTtls
+  } = delegationPolicy;
+  assert.optionalObject(controllers, 'options.delegationPolicy.controllers');
+  if(controllers) {
+    assert.optionalArrayOfString(
+      controllers.allow, 'options.delegationPolicy.controllers.allow');
+    assert.optionalArrayOfString(
+      controllers.deny, 'options.delegationPolicy.controllers.deny');
+  }
+  assert.optionalBool(
+    requireActionNarrowing, 'options.delegationPolicy.requireActionNarrowing');
+  assert.optionalArrayOfObject(roots, 'options.delegationPolicy.roots');
+  for(const [i, rule] of (roots ?? []).entries()) {
+    const name = `options.delegationPolicy.roots[${i}]`;
+    assert.string(rule.invocationTarget, `${name}.invocationTarget`);
+    assert.optionalArrayOfString(rule.allowedActions, `${name}.allowedActions`);
+    assert.optionalNumber(rule.maxDepth, `${name}.maxDepth`);
+  }
+  assert.optionalArrayOfObject(
+    targetTtls, 'options.delegationPolicy.targetTtls');
+  for(const [i, rule] of (targetTtls ?? []).entries()) {
+    const name = `options.delegationPolicy.targetTtls[${i}]`;
+    assert.string(rule.invocationTarget, `${name}.invocationTarget`);
+    assert.number(rule.maxTtl, `${name}.maxTtl`);
+  }
+}
+
+// documentation typedefs
+
+/**
+ * A declarative policy that every delegated zcap in a capability chain must
+ * satisfy, in addition to the checks made by `@digitalbazaar/zcap` (and
+ * `maxChainLength` and `maxDelegationTtl`).
+ *
+ * @typedef {object} DelegationPolicy
+ * @property {object} [controllers] - Lists of controllers of delegated zcaps
+ *   that are allowed or denied; each entry is a DID or a DID method, e.g.,
+ *   `did:key`, which matches every DID of that method.
+ * @property {Array<string>} [controllers.allow] - If given, every controller
+ *   of a delegated zcap must match an entry.
+ * @property {Array<string>} [controllers.deny] - No controller of a delegated
+ *   zcap may match an entry.
+ * @property {boolean} [requireActionNarrowing=false] - `true` to require every
+ *   delegated zcap to restrict its actions via `allowedAction` (which must be
+ *   a subset of its parent's); by default, a delegated zcap without
+ *   `allowedAction` has all of its parent's actions.
+ * @property {Array<object>} [roots] - Rules for chains with the root zcap
+ *   with the given `invocationTarget`: `{invocationTarget, allowedActions,
+ *   maxDepth}`, where every delegated zcap in the chain must have an
+ *   `allowedAction` within `allowedActions` and there may be at most
+ *   `maxDepth` delegated zcaps in the chain.
+ * @property {Array<object>} [targetTtls] - Maximum times to live:
+ *   `{invocationTarget, maxTtl}`, where a delegated zcap with an invocation
+ *   target that is the same as or a path under `invocationTarget` must not
+ *   have a time to live (the difference between its `expires` and the
+ *   `created` date-time of its delegation proof) of more than `maxTtl`
+ *   milliseconds; the rule with the most specific `invocationTarget` applies.
+ */
@@ -0,0 +1,96 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  CapabilityDelegation, constants as zcapConstants
+} from '@digitalbazaar/zcap';
+import {getProblemDetailsOptions, sendProblemDetails} from './problems.js';
+import assert from 'assert-plus';
+import asyncHandler from 'express-async-handler';
+import jsigs from 'jsonld-signatures';
+
+/**
+ * Creates an Express.js style route handler that delegates the zcap that has
+ * been authorized by `authorizeZcapDelegation`; it must be attached to the
+ * same route, after that middleware.
+ *
+ * The zcap is delegated from the invoked zcap, i.e., the last zcap in the
+ * verified chain (`req.zcap.capability`), using `delegationSigner` and sent
+ * as JSON with HTTP 201, so revoking the invoked zcap (or any zcap in its
+ * chain) also revokes the delegated zcap. Therefore, the controller of
+ * `delegationSigner` MUST be a controller of the invoked zcap, e.g., it must
+ * be returned by `getRootController` if the service object's root zcap is
+ * invoked; otherwise, the request is rejected with HTTP 403.
+ *
+ * @example
+ * app.post('/service-objects/:id/zcaps/delegations',
+ *   authorizeZcapDelegation({...}),
+ *   handleZcapDelegation({
+ *     delegationSigner, documentLoader, SuiteClass: Ed25519Signature2020
+ *   }));
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.delegationSigner - The signer to sign the
+ *   delegated zcap with; it must have `id` and `controller` properties.
+ * @param {Function} options.documentLoader - Document loader used to load
+ *   JSON-LD Contexts when signing the delegated zcap.
+ * @param {Function} options.SuiteClass - The class of the signature suite to
+ *   sign the delegated zcap with, e.g., `Ed25519Signature2020`.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to send RFC 9457 problem details responses instead of
+ *   throwing errors; see `authorizeZcapDelegation`.
+ *
+ * @returns {Function} Returns an Express.js style route handler.
+ */
+export function handleZcapDelegation({
+  delegationSigner, documentLoader, SuiteClass, problemDetails
+} = {}) {
+  assert.object(delegationSigner, 'options.delegationSigner');
+  assert.string(delegationSigner.id, 'options.delegationSigner.id');
+  assert.string(
+    delegationSigner.controller, 'options.delegationSigner.controller');
+  assert.func(documentLoader, 'options.documentLoader');
+  assert.func(SuiteClass, 'options.SuiteClass');
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+
+  return asyncHandler(async (req, res) => {
+    // the invoked zcap is the parent; a root zcap is invoked by its ID
+    const {capability: parentCapability, dereferencedChain} = req.zcap;
+    const parentControllers = [].concat(dereferencedChain.at(-1).controller);
+    if(!parentControllers.includes(delegationSigner.controller)) {
+      const error = new Error(
+        'The delegation signer is not a controller of the invoked capability.');
+      error.name = 'NotAllowedError';
+      error.httpStatusCode = 403;
+      if(problemOptions) {
+        return sendProblemDetails({
+          error, status: error.httpStatusCode, ...problemOptions,
+          send: ({status, type, body}) =>
+            res.status(status).type(type).send(body)
+        });
+      }
+      return helpers.handleError({res, error});
+    }
+
+    const delegation = req.zcapDelegation;
+    const capability = {
+      '@context': zcapConstants.ZCAP_CONTEXT_URL,
+      id: `urn:uuid:${crypto.randomUUID()}`,
+      controller: delegation.controller,
+      parentCapability: typeof parentCapability === 'string' ?
+        parentCapability : parentCapability.id,
+      invocationTarget: delegation.invocationTarget,
+      expires: delegation.expires
+    };
+    if(delegation.allowedAction !== undefined) {
+      capability.allowedAction = delegation.allowedAction;
+    }
+    const delegatedCapability = await jsigs.sign(capability, {
+      documentLoader,
+      suite: new SuiteClass({signer: delegationSigner}),
+      purpose: new CapabilityDelegation({parentCapability})
+    });
+    res.status(201).json(delegatedCapability);
+  });
+}
@@ -0,0 +1,300 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createHash} from 'node:crypto';
+import {parseDictionary} from 'structured-headers';
+import {Transform} from 'node:stream';
+import {verifyHeaderValue} from '@digitalbazaar/http-digest-header';
+
+const {crypto} = globalThis;
+
+// RFC 9530 hash algorithm keys mapped to Web Crypto algorithm names
+const RFC9530_ALGORITHMS = new Map([
+  ['sha-256', 'SHA-256'],
+  ['sha-512', 'SHA-512']
+]);
+
+// Web Crypto algorithm names mapped to node.js hash names for streaming
+const NODE_HASH_NAMES = new Map([
+  ['SHA-256', 'sha256'],
+  ['SHA-512', 'sha512']
+]);
+
+// all supported digest headers; `digest` is the legacy (RFC 3230) header
+export const DIGEST_HEADERS = ['content-digest', 'repr-digest', 'digest'];
+
+/**
+ * The supported modes for verifying digest headers against a request body:
+ *
+ * `body`: verify against `req.rawBody` if it was captured via
+ *   `captureRawBody`, otherwise against the parsed `req.body`.
+ * `raw`: verify against `req.rawBody`, which MUST have been captured via
+ *   `captureRawBody`.
+ * `stream`: do not read the body; instead expose a transform stream via
+ *   `req.ezcap.bodyDigestVerifier` that verifies the body as it is streamed.
+ */
+export const DIGEST_MODES = ['body', 'raw', 'stream'];
+
+/**
+ * The default digest policy: any supported digest header is accepted and
+ * none are individually required.
+ */
+export const DEFAULT_DIGEST_POLICY = {
+  accepted: DIGEST_HEADERS,
+  required: []
+};
+
+/**
+ * A `verify` hook for `express.json()`, `express.raw()`, `express.text()`,
+ * and `express.urlencoded()` that exposes the exact bytes that were received
+ * via `req.rawBody` so that digest headers can be verified against them
+ * instead of against the parsed body. The bytes are not copied; `req.rawBody`
+ * references the buffer that the body parser has already read.
+ *
+ * @example
+ * app.use(express.json({verify: captureRawBody}));
+ *
+ * @param {object} req - The express request.
+ * @param {object} res - The express response.
+ * @param {Buffer} buf - The raw request body.
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Creates a transform stream that passes an HTTP body through unchanged
+ * while hashing it and that errors when the body ends if any digest header
+ * present in `headers` does not match. This allows large bodies to be
+ * verified as they are streamed (e.g., to storage) without buffering them;
+ * consumers MUST NOT treat any data as valid until the stream has finished
+ * without error.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.headers - The request headers with lower-cased
+ *   header names.
+ * @param {DigestPolicy} [options.policy=DEFAULT_DIGEST_POLICY] - The digest
+ *   policy to apply.
+ *
+ * @returns {Transform} The transform stream.
+ */
+export function createDigestVerifierStream({
+  headers, policy = DEFAULT_DIGEST_POLICY
+}) {
+  const error = _checkPresentHeaders({headers, policy});
+  if(error) {
+    throw error;
+  }
+
+  // parse all expected digests up front
+  const expected = [];
+  for(const header of DIGEST_HEADERS) {
+    if(headers[header] === undefined) {
+      continue;
+    }
+    const digests = _parseExpectedDigests({header, value: headers[header]});
+    if(digests.length === 0) {
+      throw _createMismatchError({header});
+    }
+    expected.push(...digests);
+  }
+
+  const hashes = new Map();
+  for(const {algorithm} of expected) {
+    if(!hashes.has(algorithm)) {
+      hashes.set(algorithm, createHash(NODE_HASH_NAMES.get(algorithm)));
+    }
+  }
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      for(const hash of hashes.values()) {
+        hash.update(chunk);
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      const actual = new Map();
+      for(const [algorithm, hash] of hashes) {
+        actual.set(algorithm, new Uint8Array(hash.digest()));
+      }
+      for(const {header, algorithm, digest} of expected) {
+        if(!_equals(actual.get(algorithm), digest)) {
+          const error = _createMismatchError({header});
+          error.httpStatusCode = 400;
+          return callback(error);
+        }
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Verifies every digest header present in `headers` against `data`. At
+ * least one of the headers in `policy.accepted` and every header in
+ * `policy.required` must be present.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string|object|Uint8Array} options.data - The HTTP body.
+ * @param {object} options.headers - The request headers with lower-cased
+ *   header names.
+ * @param {DigestPolicy} [options.policy=DEFAULT_DIGEST_POLICY] - The digest
+ *   policy to apply.
+ *
+ * @returns {Promise<object>} Resolves to `{verified, error}`.
+ */
+export async function verifyDigestHeaders({
+  data, headers, policy = DEFAULT_DIGEST_POLICY
+}) {
+  const error = _checkPresentHeaders({headers, policy});
+  if(error) {
+    return {verified: false, error};
+  }
+
+  // verify every digest header that is present; this also ensures that
+  // digest headers cannot disagree with one another
+  const bytes = _normalizeData(data);
+  for(const header of DIGEST_HEADERS) {
+    const headerValue = headers[header];
+    if(headerValue === undefined) {
+      continue;
+    }
+    let verified;
+    if(header === 'digest') {
+      ({verified} = await verifyHeaderValue({data: bytes, headerValue}));
+    } else {
+      verified = await _verifyStructuredDigest({data: bytes, headerValue});
+    }
+    if(!verified) {
+      return {verified: false, error: _createMismatchError({header})};
+    }
+  }
+  return {verified: true};
+}
+
+function _checkPresentHeaders({headers, policy}) {
+  const {accepted = DIGEST_HEADERS, required = []} = policy;
+  const present = DIGEST_HEADERS.filter(h => headers[h] !== undefined);
+  if(!accepted.some(h => present.includes(h))) {
+    const names = accepted.map(h => `"${h}"`);
+    const list = names.length > 1 ?
+      `${names.slice(0, -1).join(', ')} or ${names.at(-1)}` : names[0];
+    const error = new Error(
+      `A ${list} header must be present when an HTTP body is present.`);
+    error.name = 'DataError';
+    return error;
+  }
+  const missing = required.find(h => !present.includes(h));
+  if(missing) {
+    const error = new Error(
+      `A "${missing}" header must be present when an HTTP body is present.`);
+    error.name = 'DataError';
+    return error;
+  }
+}
+
+function _createMismatchError({header}) {
+  const error = new Error(
+    `The "${header}" header value does not match digest of body.`);
+  error.name = 'DataError';
+  return error;
+}
+
+function _parseExpectedDigests({header, value}) {
+  // legacy `digest` header only supports sha-256, either as a multihash
+  // (`mh=u...`) or as base64 (`SHA-256=...`)
+  if(header === 'digest') {
+    const [key, encoded = ''] = value.split(/=(.+)/);
+    let digest;
+    if(key === 'mh' && encoded.startsWith('uEi')) {
+      digest = Buffer.from(encoded.slice(1), 'base64url').subarray(2);
+    } else if(key.replace('-', '').toLowerCase() === 'sha256') {
+      digest = Buffer.from(encoded.replace(/^:(.*):$/, '$1'), 'base64');
+    } else {
+      return [];
+    }
+    return [{header, algorithm: 'SHA-256', digest: new Uint8Array(digest)}];
+  }
+
+  let dictionary;
+  try {
+    dictionary = parseDictionary(value);
+  } catch(e) {
+    return [];
+  }
+  const digests = [];
+  for(const [key, [digest]] of dictionary) {
+    const algorithm = RFC9530_ALGORITHMS.get(key);
+    if(!algorithm) {
+      continue;
+    }
+    // a supported algorithm with a value that is not a byte sequence is a
+    // mismatch, as when verifying a body that has been read
+    if(!(digest instanceof ArrayBuffer)) {
+      return [];
+    }
+    digests.push({header, algorithm, digest: new Uint8Array(digest)});
+  }
+  return digests;
+}
+
+async function _verifyStructuredDigest({data, headerValue}) {
+  let dictionary;
+  try {
+    dictionary = parseDictionary(headerValue);
+  } catch(e) {
+    return false;
+  }
+
+  // every supported algorithm must match and at least one must be present;
+  // unsupported algorithms are ignored per RFC 9530
+  let checked = 0;
+  for(const [key, [value]] of dictionary) {
+    const algorithm = RFC9530_ALGORITHMS.get(key);
+    if(!algorithm) {
+      continue;
+    }
+    if(!(value instanceof ArrayBuffer)) {
+      return false;
+    }
+    const digest = new Uint8Array(
+      await crypto.subtle.digest({name: algorithm}, data));
+    if(!_equals(digest, new Uint8Array(value))) {
+      return false;
+    }
+    checked++;
+  }
+  return checked > 0;
+}
+
+function _equals(a, b) {
+  return a !== undefined && a.length === b.length &&
+    a.every((x, i) => x === b[i]);
+}
+
+// normalize body to bytes the same way `@digitalbazaar/http-digest-header`
+// does so that every digest header is computed over the same data
+function _normalizeData(data) {
+  if(data instanceof Uint8Array) {
+    return data;
+  }
+  if(typeof data !== 'string') {
+    data = JSON.stringify(data);
+  }
+  return new TextEncoder().encode(data);
+}
+
+// documentation typedefs
+
+/**
+ * A policy that determines which digest headers are accepted or required
+ * when an HTTP body is present. Every supported digest header that is
+ * present is always verified, regardless of this policy.
+ *
+ * @typedef {object} DigestPolicy
+ * @property {Array<string>} [accepted] - The digest headers (any of
+ *   "content-digest", "repr-digest", "digest") at least one of which must be
+ *   present; defaults to all of them.
+ * @property {Array<string>} [required] - The digest headers that must all
+ *   be present; defaults to none.
+ */
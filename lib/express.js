@@ -0,0 +1,63 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {getErrorHeaders, hasBody} from './core.js';
+import {getProblemDetailsOptions, sendProblemDetails} from './problems.js';
+import asyncHandler from 'express-async-handler';
+
+// creates express middleware that runs a core authorizer
+export function createMiddleware({authorize, onError, problemDetails}) {
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+  const sendProblem = ({res, error, status}) => sendProblemDetails({
+    error, status, onError, ...problemOptions,
+    send: ({status, type, body}) => res.status(status).type(type).send(body)
+  });
+
+  return asyncHandler(async (req, res, next) => {
+    const request = getRequestInfo({req});
+
+    // prevent any unhandled `req.body` from being erroneously used
+    if(!hasBody({request})) {
+      req.body = request.body = undefined;
+      req.rawBody = request.rawBody = undefined;
+    }
+
+    let result;
+    try {
+      result = await authorize({req, request});
+    } catch(error) {
+      // requests without credentials are sent a challenge and rate limited
+      // requests are told when to retry
+      res.set(getErrorHeaders({error}));
+      if(problemOptions) {
+        return sendProblem(
+          {res, error, status: error.httpStatusCode ?? 500});
+      }
+      return helpers.handleError({res, error, onError});
+    }
+
+    // return HTTP 403 if verification fails
+    if(!result.verified) {
+      if(problemOptions) {
+        return sendProblem({res, error: result.error, status: 403});
+      }
+      res.status(403);
+      helpers.handleError({
+        res, error: result.error, onError, throwError: false
+      });
+      return res.send();
+    }
+
+    // call `next` on the next tick to ensure the promise from this function
+    // resolves and does not reject because some subsequent middleware throws
+    // an error
+    process.nextTick(next);
+  });
+}
+
+export function getRequestInfo({req}) {
+  const {method, headers, params, ip, body, rawBody} = req;
+  // `originalUrl` must be used to support nested express routers
+  return {method, url: req.originalUrl, headers, params, ip, body, rawBody};
+}
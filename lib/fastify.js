@@ -0,0 +1,127 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  createInvocationAuthorizer, createRevocationAuthorizer, getErrorHeaders,
+  hasBody
+} from './core.js';
+import {getProblemDetailsOptions, sendProblemDetails} from './problems.js';
+import assert from 'assert-plus';
+
+/**
+ * Creates a Fastify `preHandler` hook that authorizes an incoming request.
+ * This is the Fastify equivalent of `authorizeZcapInvocation` and it accepts
+ * the same options; `getExpectedValues`, `getRootController`, and
+ * `suiteFactory` are passed the Fastify request as `req`. The zcap
+ * verification results are exposed via `request.zcap` and `request.ezcap`.
+ *
+ * To verify digest headers against the exact bytes received, expose them as
+ * a `Buffer` via `request.rawBody` (e.g., using a custom content type
+ * parser).
+ *
+ * @example
+ * fastify.post('/documents', {
+ *   preHandler: fastifyAuthorizeZcapInvocation({...})
+ * }, async request => {...});
+ *
+ * @param {object} options - Options hashmap; see `authorizeZcapInvocation`.
+ * @param {Function} [options.onError] - An error handler handler for
+ *   customizable error handling; if it does not throw, the error will be
+ *   thrown (or, if the invocation could not be verified, an empty HTTP 403
+ *   response will be sent) once it returns.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to send RFC 9457 problem details error responses; see
+ *   `authorizeZcapInvocation`.
+ *
+ * @returns {Function} Returns a Fastify `preHandler` hook.
+ */
+export function fastifyAuthorizeZcapInvocation({
+  onError, problemDetails, ...options
+} = {}) {
+  // `createInvocationAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createInvocationAuthorizer(options);
+  return _createHook({authorize, onError, problemDetails});
+}
+
+/**
+ * Creates a Fastify `preHandler` hook that authorizes a request to submit a
+ * zcap revocation. This is the Fastify equivalent of
+ * `authorizeZcapRevocation` and it accepts the same options; it MUST be used
+ * on a route that terminates in `/zcaps/revocations/:revocationId` (or the
+ * given `revocationPath` followed by `/:revocationId`). The revocation and
+ * zcap verification results are exposed via `request.zcapRevocation`,
+ * `request.zcap`, and `request.ezcap`.
+ *
+ * @param {object} options - Options hashmap; see `authorizeZcapRevocation`.
+ * @param {Function} [options.onError] - An error handler handler for
+ *   customizable error handling; see `fastifyAuthorizeZcapInvocation`.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to send RFC 9457 problem details error responses; see
+ *   `authorizeZcapInvocation`.
+ *
+ * @returns {Function} Returns a Fastify `preHandler` hook.
+ */
+export function fastifyAuthorizeZcapRevocation({
+  onError, problemDetails, ...options
+} = {}) {
+  // `createRevocationAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createRevocationAuthorizer(options);
+  return _createHook({authorize, onError, problemDetails});
+}
+
+function _createHook({authorize, onError, problemDetails}) {
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+  const sendProblem = ({reply, error, status}) => sendProblemDetails({
+    error, status, onError, ...problemOptions,
+    send: ({status, type, body}) => reply.code(status).type(type).send(body)
+  });
+
+  return async function authorizeZcapHook(request, reply) {
+    const requestInfo = _getRequestInfo({request});
+
+    // prevent any unhandled `request.body` from being erroneously used
+    if(!hasBody({request: requestInfo})) {
+      request.body = requestInfo.body = undefined;
+      request.rawBody = requestInfo.rawBody = undefined;
+    }
+
+    let result;
+    try {
+      result = await authorize({req: request, request: requestInfo});
+    } catch(error) {
+      // requests without credentials are sent a challenge and rate limited
+      // requests are told when to retry
+      reply.headers(getErrorHeaders({error}));
+      if(problemOptions) {
+        return sendProblem(
+          {reply, error, status: error.httpStatusCode ?? 500});
+      }
+      if(error.httpStatusCode) {
+        reply.code(error.httpStatusCode);
+      }
+      if(onError) {
+        await onError({error});
+      }
+      throw error;
+    }
+
+    // return HTTP 403 if verification fails
+    if(!result.verified) {
+      if(problemOptions) {
+        return sendProblem({reply, error: result.error, status: 403});
+      }
+      reply.code(403);
+      if(onError) {
+        await onError({error: result.error});
+      }
+      return reply.send();
+    }
+  };
+}
+
+function _getRequestInfo({request}) {
+  const {method, url, headers, params, ip, body, rawBody} = request;
+  return {method, url, headers, params, ip, body, rawBody};
+}
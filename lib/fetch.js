@@ -0,0 +1,142 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createInvocationAuthorizer, getErrorHeaders} from './core.js';
+import {createProblemDetails, getProblemDetailsOptions} from './problems.js';
+
+/**
+ * Authorizes a zcap invocation made via a WHATWG Fetch API `Request`, e.g.,
+ * in a service worker or a server built on Hono or Node.js' native fetch
+ * primitives. This is the framework-neutral equivalent of
+ * `authorizeZcapInvocation` and it accepts the same options (except
+ * `onError`); `getExpectedValues`, `getRootController`, and `suiteFactory`
+ * are passed the `Request` as `req`.
+ *
+ * The request body, if any, is read from a clone of `request` so that it can
+ * still be consumed after authorization; digest headers are verified against
+ * the exact bytes received. If `digestMode` is `stream`, the body is not read
+ * and `ezcap.bodyDigestVerifier` is a transform stream that MUST be used to
+ * verify the body as it is read (see `authorizeZcapInvocation`).
+ *
+ * Note: The options are processed on every call, so `rateLimit.store` must
+ * be given if `rateLimit` is; use `createZcapRequestAuthorizer` to process
+ * them once and reuse the resulting authorizer for every request.
+ *
+ * @example
+ * const {verified, status, headers} = await authorizeZcapRequest({
+ *   request, ...
+ * });
+ * if(!verified) {
+ *   return new Response(null, {status, headers});
+ * }
+ *
+ * @param {object} options - Options hashmap; see `authorizeZcapInvocation`.
+ * @param {Request} options.request - The Fetch API request to authorize.
+ * @param {string} [options.ip] - The client IP address, if known, to include
+ *   in authorization events; see `authorizeZcapInvocation`.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to include an RFC 9457 problem details object, `problem`, in
+ *   the result if the invocation was not authorized; it is to be sent with
+ *   the content type `application/problem+json`. See
+ *   `authorizeZcapInvocation`.
+ *
+ * @returns {Promise<object>} Resolves to `{verified, zcap, ezcap}` if the
+ *   invocation was authorized, otherwise to `{verified, ezcap, error,
+ *   status, headers, problem}` where `status` is the HTTP status code and
+ *   `headers` are the headers (e.g., a `WWW-Authenticate` challenge or a
+ *   `Retry-After` header) to respond with.
+ */
+export async function authorizeZcapRequest({request, ip, ...options} = {}) {
+  // a default rate limit store would be recreated (and emptied) every call
+  if(options.rateLimit && !options.rateLimit.store) {
+    throw new TypeError(
+      '"options.rateLimit.store" must be given; use ' +
+      '`createZcapRequestAuthorizer` to use the default store.');
+  }
+  const authorize = createZcapRequestAuthorizer(options);
+  return authorize({request, ip});
+}
+
+/**
+ * Creates a function that authorizes zcap invocations made via WHATWG Fetch
+ * API `Request`s, as `authorizeZcapRequest` does, processing the given
+ * options only once. This allows state created from the options, e.g., the
+ * default `MemoryRateLimitStore` for `rateLimit`, to be shared by every
+ * request.
+ *
+ * @example
+ * const authorize = createZcapRequestAuthorizer({...});
+ * const {verified, status, headers} = await authorize({request});
+ *
+ * @param {object} options - Options hashmap; see `authorizeZcapInvocation`.
+ * @param {boolean|object} [options.problemDetails=false] - See
+ *   `authorizeZcapRequest`.
+ *
+ * @returns {Function} An async function that is passed `{request, ip}` and
+ *   resolves like `authorizeZcapRequest`.
+ */
+export function createZcapRequestAuthorizer({problemDetails, ...options} = {}) {
+  // `createInvocationAuthorizer` handles type checks on other params
+  const authorize = createInvocationAuthorizer(options);
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+
+  return async function authorizeRequest({request, ip} = {}) {
+    if(!(request && typeof request.clone === 'function')) {
+      throw new TypeError('"options.request" must be a Fetch API Request.');
+    }
+    let result;
+    try {
+      result = await authorize({
+        req: request,
+        request: await _getRequestInfo(
+          {request, ip, digestMode: options.digestMode})
+      });
+    } catch(error) {
+      return _createFailure({
+        request, error, status: error.httpStatusCode ?? 500, problemOptions
+      });
+    }
+    if(!result.verified) {
+      return _createFailure(
+        {request, error: result.error, status: 403, problemOptions});
+    }
+    return {verified: true, zcap: request.zcap, ezcap: request.ezcap};
+  };
+}
+
+function _createFailure({request, error, status, problemOptions}) {
+  // requests without credentials are sent a challenge and rate limited
+  // requests are told when to retry
+  const headers = Object.fromEntries(Object.entries(getErrorHeaders({error}))
+    .map(([name, value]) => [name.toLowerCase(), value]));
+  const failure = {
+    verified: false, ezcap: request.ezcap, error, status, headers
+  };
+  if(problemOptions) {
+    failure.problem = createProblemDetails({error, status, ...problemOptions});
+  }
+  return failure;
+}
+
+async function _getRequestInfo({request, ip, digestMode}) {
+  const {method} = request;
+  const {host, pathname, search} = new URL(request.url);
+
+  // header names are always lower-cased by `Headers`
+  const headers = Object.fromEntries(request.headers);
+  if(headers.host === undefined) {
+    headers.host = host;
+  }
+
+  // read body bytes without consuming the body of `request`
+  let rawBody;
+  if(request.body !== null && digestMode !== 'stream') {
+    rawBody = new Uint8Array(await request.clone().arrayBuffer());
+    if(rawBody.length === 0) {
+      rawBody = undefined;
+    }
+  }
+  return {
+    method, url: `${pathname}${search}`, headers, ip, body: rawBody, rawBody
+  };
+}
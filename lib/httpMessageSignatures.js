@@ -0,0 +1,240 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  isInnerList, parseDictionary, serializeInnerList, serializeString
+} from 'structured-headers';
+
+// component identifiers that must be covered by every RFC 9421 signature
+// used to invoke a zcap; these match the draft-cavage required headers
+const REQUIRED_COMPONENTS = [
+  '@method', '@target-uri', '@authority', 'capability-invocation'
+];
+
+/**
+ * Parses an RFC 9421 HTTP Message Signature from the `signature-input` and
+ * `signature` headers in the given request headers.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.headers - The request headers with lower-cased
+ *   header names.
+ * @param {string} [options.label] - The label of the signature to use; if
+ *   not given, the first signature in `signature-input` is used.
+ *
+ * @returns {object} The parsed signature with its `label`, covered
+ *   `components`, serialized `signatureParams`, and `params` (which include
+ *   `keyId`, `created`, `expires`, `nonce`, `alg`, `tag`, and the base64
+ *   encoded `signature`).
+ */
+export function parseMessageSignature({headers, label} = {}) {
+  const {'signature-input': signatureInput, signature} = headers;
+  if(typeof signatureInput !== 'string' || typeof signature !== 'string') {
+    throw new TypeError(
+      '"signature-input" and "signature" headers must both be present.');
+  }
+
+  const inputs = parseDictionary(signatureInput);
+  const signatures = parseDictionary(signature);
+  if(label === undefined) {
+    [label] = inputs.keys();
+  }
+  const input = inputs.get(label);
+  const value = signatures.get(label);
+  if(!(input && isInnerList(input))) {
+    throw new Error(
+      `Signature "${label}" not found in "signature-input" header.`);
+  }
+  if(!(value && value[0] instanceof ArrayBuffer)) {
+    throw new Error(`Signature "${label}" not found in "signature" header.`);
+  }
+
+  const [items, parameters] = input;
+  const components = [];
+  for(const [name, componentParams] of items) {
+    if(typeof name !== 'string') {
+      throw new Error('Covered component identifiers must be strings.');
+    }
+    // component parameters (e.g., `sf`, `key`, `req`) are not supported
+    if(componentParams.size > 0) {
+      throw new Error(
+        `Parameters on covered component "${name}" are not supported.`);
+    }
+    components.push(name);
+  }
+
+  const signatureBytes = new Uint8Array(value[0]);
+  return {
+    label,
+    components,
+    signatureParams: serializeInnerList(input),
+    signatureBytes,
+    params: {
+      keyId: parameters.get('keyid'),
+      created: parameters.get('created'),
+      expires: parameters.get('expires'),
+      nonce: parameters.get('nonce'),
+      alg: parameters.get('alg'),
+      tag: parameters.get('tag'),
+      signature: Buffer.from(signatureBytes).toString('base64')
+    }
+  };
+}
+
+/**
+ * Creates the RFC 9421 signature base for the given request and covered
+ * components.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Array<string>} options.components - The covered component
+ *   identifiers, in order.
+ * @param {string} options.signatureParams - The serialized signature
+ *   parameters (the inner list from the `signature-input` header).
+ * @param {string} options.method - The HTTP request method.
+ * @param {string} options.url - The relative request URL.
+ * @param {object} options.headers - The request headers with lower-cased
+ *   header names.
+ *
+ * @returns {string} The signature base.
+ */
+export function createSignatureBase({
+  components, signatureParams, method, url, headers
+}) {
+  const lines = [];
+  const seen = new Set();
+  for(const component of components) {
+    if(seen.has(component)) {
+      throw new Error(`Duplicate covered component "${component}".`);
+    }
+    seen.add(component);
+    const value = _getComponentValue({component, method, url, headers});
+    lines.push(`${serializeString(component)}: ${value}`);
+  }
+  lines.push(`"@signature-params": ${signatureParams}`);
+  return lines.join('\n');
+}
+
+/**
+ * Checks that an RFC 9421 signature covers the components and includes the
+ * parameters required to invoke a zcap and that it is within its validity
+ * period, then returns the data that was signed.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.signature - The signature as returned from
+ *   `parseMessageSignature`.
+ * @param {string} options.method - The HTTP request method.
+ * @param {string} options.url - The relative request URL.
+ * @param {object} options.headers - The request headers with lower-cased
+ *   header names.
+ * @param {number} options.maxClockSkew - The maximum clock skew in seconds.
+ * @param {number} options.now - A unix timestamp.
+ *
+ * @returns {object} An object with the `keyId`, the `created` time, the
+ *   signed `data`, and the `signature` bytes.
+ */
+export function getSignedMessageData({
+  signature, method, url, headers, maxClockSkew, now
+}) {
+  const {components, signatureParams, signatureBytes, params} = signature;
+  const {keyId, created, expires} = params;
+
+  // ensure required components and parameters are covered
+  const required = [...REQUIRED_COMPONENTS];
+  if(headers['content-type'] !== undefined) {
+    required.push('content-type');
+    if(!(components.includes('content-digest') ||
+      components.includes('repr-digest') || components.includes('digest'))) {
+      required.push('content-digest');
+    }
+  }
+  for(const component of required) {
+    if(!components.includes(component)) {
+      const error = new Error(
+        `"${component}" was not a covered component of the signature.`);
+      error.name = 'DataError';
+      throw error;
+    }
+  }
+  if(typeof keyId !== 'string') {
+    const error = new Error('Signature "keyid" parameter must be a string.');
+    error.name = 'DataError';
+    throw error;
+  }
+  if(!(Number.isInteger(created) && Number.isInteger(expires))) {
+    const error = new Error(
+      'Signature "created" and "expires" parameters must be integers.');
+    error.name = 'DataError';
+    throw error;
+  }
+  if(created > now + maxClockSkew) {
+    const error = new Error(
+      'Invalid signature; the signature creation time is in the future.');
+    error.name = 'ConstraintError';
+    throw error;
+  }
+  if(expires < now - maxClockSkew) {
+    const error = new Error('The signature has expired.');
+    error.name = 'ConstraintError';
+    throw error;
+  }
+
+  let signatureBase;
+  try {
+    signatureBase = createSignatureBase({
+      components, signatureParams, method, url, headers
+    });
+  } catch(error) {
+    error.name = 'DataError';
+    throw error;
+  }
+  return {
+    keyId,
+    created,
+    data: new TextEncoder().encode(signatureBase),
+    signature: signatureBytes
+  };
+}
+
+/**
+ * Gets the absolute target URI for a request; relative URLs are resolved
+ * against the `host` header.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.url - The request URL.
+ * @param {object} options.headers - The request headers with lower-cased
+ *   header names.
+ *
+ * @returns {string} The target URI.
+ */
+export function getTargetUri({url, headers}) {
+  return url.startsWith('/') ? `https://${headers.host}${url}` : url;
+}
+
+function _getComponentValue({component, method, url, headers}) {
+  if(!component.startsWith('@')) {
+    const value = headers[component];
+    if(value === undefined) {
+      throw new Error(`Covered component "${component}" was not found.`);
+    }
+    return Array.isArray(value) ?
+      value.map(v => v.trim()).join(', ') : `${value}`.trim();
+  }
+  const {pathname, search} = new URL(url, 'https://localhost');
+  switch(component) {
+    case '@method':
+      return method.toUpperCase();
+    case '@target-uri':
+      return getTargetUri({url, headers});
+    case '@authority':
+      return `${headers.host}`.toLowerCase();
+    case '@scheme':
+      return 'https';
+    case '@request-target':
+      return url;
+    case '@path':
+      return pathname;
+    case '@query':
+      return search || '?';
+    default:
+      throw new Error(`Unsupported covered component "${component}".`);
+  }
+}
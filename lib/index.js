@@ -2,4 +2,29 @@
  * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
  */
 export {authorizeZcapInvocation} from './authorize.js';
-export {authorizeZcapRevocation} from './revoke.js';
+export {authorizeZcapDelegation} from './delegate.js';
+export {
+  authorizeZcapBatchRevocation, authorizeZcapRevocation,
+  authorizeZcapRevocationQuery
+} from './revoke.js';
+export {CapabilityChainCache} from './CapabilityChainCache.js';
+export {captureRawBody, createDigestVerifierStream} from './digest.js';
+export {authorizeZcapRequest, createZcapRequestAuthorizer} from './fetch.js';
+export {
+  fastifyAuthorizeZcapInvocation, fastifyAuthorizeZcapRevocation
+} from './fastify.js';
+export {
+  koaAuthorizeZcapInvocation, koaAuthorizeZcapRevocation
+} from './koa.js';
+export {createCachedRootControllerGetter} from './rootController.js';
+export {createZcapRouter} from './router.js';
+export {MemoryRateLimitStore} from './MemoryRateLimitStore.js';
+export {MemoryReplayStore} from './MemoryReplayStore.js';
+export {FileRevocationStore} from './FileRevocationStore.js';
+export {MemoryRevocationStore} from './MemoryRevocationStore.js';
+export {
+  createRevocationInspector, handleZcapBatchRevocation, handleZcapRevocation,
+  handleZcapRevocationList, handleZcapRevocationStatus
+} from './revocations.js';
+export {handleZcapDelegation} from './delegations.js';
+export {createProblemDetails, PROBLEM_TYPES} from './problems.js';
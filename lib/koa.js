@@ -0,0 +1,152 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  createInvocationAuthorizer, createRevocationAuthorizer, getErrorHeaders,
+  hasBody
+} from './core.js';
+import {getProblemDetailsOptions, sendProblemDetails} from './problems.js';
+import assert from 'assert-plus';
+
+/**
+ * Creates Koa middleware that authorizes an incoming request. This is the
+ * Koa equivalent of `authorizeZcapInvocation` and it accepts the same
+ * options; `getExpectedValues`, `getRootController`, and `suiteFactory` are
+ * passed the Koa context as `req`. The zcap verification results are exposed
+ * via `ctx.zcap` and `ctx.ezcap`.
+ *
+ * A body parser that sets `ctx.request.body` (and, to verify digest headers
+ * against the exact bytes received, `ctx.request.rawBody`) must run first;
+ * route parameters are read from `ctx.params`.
+ *
+ * @param {object} options - Options hashmap; see `authorizeZcapInvocation`.
+ * @param {Function} [options.onError] - An error handler handler for
+ *   customizable error handling.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to send RFC 9457 problem details error responses; see
+ *   `authorizeZcapInvocation`.
+ *
+ * @returns {Function} Returns a Koa `async (ctx, next)` middleware.
+ */
+export function koaAuthorizeZcapInvocation({
+  onError, problemDetails, ...options
+} = {}) {
+  // `createInvocationAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createInvocationAuthorizer(options);
+  return _createMiddleware({authorize, onError, problemDetails});
+}
+
+/**
+ * Creates Koa middleware that authorizes a request to submit a zcap
+ * revocation. This is the Koa equivalent of `authorizeZcapRevocation` and it
+ * accepts the same options; it MUST be used on a route that terminates in
+ * `/zcaps/revocations/:revocationId` (or the given `revocationPath` followed
+ * by `/:revocationId`). The revocation and zcap verification results are
+ * exposed via `ctx.zcapRevocation`, `ctx.zcap`, and `ctx.ezcap`.
+ *
+ * @param {object} options - Options hashmap; see `authorizeZcapRevocation`.
+ * @param {Function} [options.onError] - An error handler handler for
+ *   customizable error handling.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to send RFC 9457 problem details error responses; see
+ *   `authorizeZcapInvocation`.
+ *
+ * @returns {Function} Returns a Koa `async (ctx, next)` middleware.
+ */
+export function koaAuthorizeZcapRevocation({
+  onError, problemDetails, ...options
+} = {}) {
+  // `createRevocationAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createRevocationAuthorizer(options);
+  return _createMiddleware({authorize, onError, problemDetails});
+}
+
+function _createMiddleware({authorize, onError, problemDetails}) {
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+  const sendProblem = ({ctx, error, status}) => sendProblemDetails({
+    error, status, onError, ...problemOptions,
+    send({status, type, body}) {
+      // type must be set before the body to not be overwritten
+      ctx.status = status;
+      ctx.type = type;
+      ctx.body = body;
+    }
+  });
+
+  return async function authorizeZcapMiddleware(ctx, next) {
+    const request = _getRequestInfo({ctx});
+
+    // prevent any unhandled `ctx.request.body` from being erroneously used
+    if(!hasBody({request})) {
+      ctx.request.body = request.body = undefined;
+      ctx.request.rawBody = request.rawBody = undefined;
+    }
+
+    let result;
+    try {
+      result = await authorize({req: ctx, request});
+    } catch(error) {
+      // requests without credentials are sent a challenge and rate limited
+      // requests are told when to retry
+      const headers = getErrorHeaders({error});
+      if(Object.keys(headers).length > 0) {
+        ctx.set(headers);
+        // koa replaces response headers with `error.headers` when
+        // responding to thrown errors
+        if(error.headers === undefined) {
+          error.headers = headers;
+        }
+      }
+      if(problemOptions) {
+        return sendProblem({ctx, error, status: error.httpStatusCode ?? 500});
+      }
+      return _handleError({ctx, error, onError});
+    }
+
+    // return HTTP 403 if verification fails
+    if(!result.verified) {
+      if(problemOptions) {
+        return sendProblem({ctx, error: result.error, status: 403});
+      }
+      // explicitly empty body; must be set before the status
+      ctx.body = null;
+      ctx.status = 403;
+      return _handleError({
+        ctx, error: result.error, onError, throwError: false
+      });
+    }
+
+    await next();
+  };
+}
+
+// same semantics as `helpers.handleError` for express
+function _handleError({ctx, error, onError, throwError = true}) {
+  if(error.httpStatusCode) {
+    ctx.status = error.httpStatusCode;
+    // koa uses `error.status` when responding to thrown errors
+    if(error.status === undefined) {
+      error.status = error.httpStatusCode;
+    }
+  }
+  if(onError) {
+    return onError({error});
+  }
+  if(throwError) {
+    throw error;
+  }
+}
+
+function _getRequestInfo({ctx}) {
+  const {method, headers, params, ip} = ctx;
+  const {body} = ctx.request;
+  let {rawBody} = ctx.request;
+  // body parsers for koa expose the raw body as a string
+  if(typeof rawBody === 'string') {
+    rawBody = new TextEncoder().encode(rawBody);
+  }
+  // `originalUrl` must be used to support mounted koa apps
+  return {method, url: ctx.originalUrl, headers, params, ip, body, rawBody};
+}
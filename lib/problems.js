@@ -0,0 +1,205 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/* Note: Problem type URIs are `tag:` URIs (RFC 4151) so that they are stable
+identifiers that clients can match against without implying that they can be
+dereferenced. */
+const PROBLEM_TYPE_PREFIX = 'tag:digitalbazaar.com,2026:ezcap:problems:';
+
+/**
+ * The problem types used in RFC 9457 problem details responses, keyed by
+ * failure class. Each entry has a stable `type` URI and a `title`.
+ */
+export const PROBLEM_TYPES = Object.freeze({
+  missingAuthorization: _problemType({
+    name: 'missing-authorization',
+    title: 'Missing or invalid authorization'
+  }),
+  invalidDigest: _problemType({
+    name: 'invalid-digest',
+    title: 'Invalid body digest'
+  }),
+  unsupportedMethod: _problemType({
+    name: 'unsupported-method',
+    title: 'Unsupported HTTP method'
+  }),
+  expiredCapability: _problemType({
+    name: 'expired-capability',
+    title: 'Expired capability'
+  }),
+  chainTooLong: _problemType({
+    name: 'capability-chain-too-long',
+    title: 'Capability chain too long'
+  }),
+  invalidTarget: _problemType({
+    name: 'invalid-target',
+    title: 'Invalid invocation target'
+  }),
+  invalidAction: _problemType({
+    name: 'invalid-action',
+    title: 'Invalid capability action'
+  }),
+  revokedCapability: _problemType({
+    name: 'revoked-capability',
+    title: 'Revoked capability'
+  }),
+  rateLimited: _problemType({
+    name: 'rate-limited',
+    title: 'Rate limit exceeded'
+  }),
+  delegationPolicyViolation: _problemType({
+    name: 'delegation-policy-violation',
+    title: 'Delegation policy violation'
+  }),
+  caveatNotSatisfied: _problemType({
+    name: 'caveat-not-satisfied',
+    title: 'Capability caveat not satisfied'
+  }),
+  // fallbacks for failures that are not in any of the above classes
+  notAuthorized: _problemType({
+    name: 'not-authorized',
+    title: 'Capability invocation not authorized'
+  }),
+  invalidRequest: _problemType({
+    name: 'invalid-request',
+    title: 'Invalid request'
+  }),
+  internalError: _problemType({
+    name: 'internal-error',
+    title: 'Internal error'
+  })
+});
+
+/* Note: Errors raised by `@digitalbazaar/zcap` do not have distinguishing
+names, so they are classified by message. The messages are matched
+loosely to tolerate minor wording changes. */
+const MESSAGE_CLASSIFIERS = [
+  [/capability\b.*\bexpired|expired capability/i,
+    PROBLEM_TYPES.expiredCapability],
+  [/exceeds the maximum allowed length/i, PROBLEM_TYPES.chainTooLong],
+  [/target .* does not match|does not match expected root/i,
+    PROBLEM_TYPES.invalidTarget],
+  [/capability action/i, PROBLEM_TYPES.invalidAction]
+];
+
+// maximum depth of nested errors (`cause` and `errors`) to classify
+const MAX_ERROR_DEPTH = 5;
+
+/**
+ * Creates an RFC 9457 problem details object for an error that occurred
+ * while authorizing a request. It is to be sent with the content type
+ * `application/problem+json`.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Error} [options.error] - The error that occurred, if known.
+ * @param {number} [options.status] - The HTTP status code of the response;
+ *   defaults to the error's `httpStatusCode` or 500.
+ * @param {boolean} [options.redact=false] - `true` to omit the `detail`
+ *   member so that internal details (e.g., the error message, which may
+ *   include expected hosts or targets) are not disclosed to clients.
+ *
+ * @returns {object} The problem details object with `type`, `title`,
+ *   `status`, and, if not redacted, `detail` members.
+ */
+export function createProblemDetails({
+  error, status = error?.httpStatusCode ?? 500, redact = false
+} = {}) {
+  const {type, title} = getProblemType({error, status});
+  const problem = {type, title, status};
+  if(!redact && error?.message) {
+    problem.detail = error.message;
+  }
+  return problem;
+}
+
+/**
+ * Gets the problem type for an error that occurred while authorizing a
+ * request; see `PROBLEM_TYPES`.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Error} [options.error] - The error that occurred, if known.
+ * @param {number} [options.status=500] - The HTTP status code of the
+ *   response.
+ *
+ * @returns {object} The problem type, with `type` and `title` properties.
+ */
+export function getProblemType({error, status = 500} = {}) {
+  if(error) {
+    const problemType = _classifyError({error, depth: 0});
+    if(problemType) {
+      return problemType;
+    }
+  }
+  if(status >= 500) {
+    return PROBLEM_TYPES.internalError;
+  }
+  if(status === 401 || status === 403) {
+    return PROBLEM_TYPES.notAuthorized;
+  }
+  return PROBLEM_TYPES.invalidRequest;
+}
+
+// sends a problem details response via a framework-specific `send` function
+export async function sendProblemDetails({
+  error, status, onError, redact, send
+}) {
+  // `onError` may be used for logging or may throw to override the response
+  if(onError) {
+    await onError({error});
+  }
+  return send({
+    status, type: 'application/problem+json',
+    body: JSON.stringify(createProblemDetails({error, status, redact}))
+  });
+}
+
+// gets problem details options from an adapter's `problemDetails` option
+export function getProblemDetailsOptions({problemDetails}) {
+  if(problemDetails === undefined || problemDetails === false) {
+    return;
+  }
+  if(problemDetails === true) {
+    return {redact: false};
+  }
+  if(!(problemDetails && typeof problemDetails === 'object')) {
+    throw new TypeError(
+      '"options.problemDetails" must be a boolean or an object.');
+  }
+  const {redact = false} = problemDetails;
+  if(typeof redact !== 'boolean') {
+    throw new TypeError(
+      '"options.problemDetails.redact" must be a boolean.');
+  }
+  return {redact};
+}
+
+function _classifyError({error, depth}) {
+  if(!error || depth > MAX_ERROR_DEPTH) {
+    return;
+  }
+  // errors raised by this library are tagged where they are created
+  if(error.problemType) {
+    return error.problemType;
+  }
+  // check nested errors first, they are more specific
+  const nested = [
+    ...(Array.isArray(error.errors) ? error.errors : []), error.cause
+  ];
+  for(const e of nested) {
+    const problemType = _classifyError({error: e, depth: depth + 1});
+    if(problemType) {
+      return problemType;
+    }
+  }
+  const message = typeof error.message === 'string' ? error.message : '';
+  for(const [regex, problemType] of MESSAGE_CLASSIFIERS) {
+    if(regex.test(message)) {
+      return problemType;
+    }
+  }
+}
+
+function _problemType({name, title}) {
+  return Object.freeze({type: `${PROBLEM_TYPE_PREFIX}${name}`, title});
+}
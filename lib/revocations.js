@@ -0,0 +1,380 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  createProblemDetails, getProblemDetailsOptions, PROBLEM_TYPES,
+  sendProblemDetails
+} from './problems.js';
+import assert from 'assert-plus';
+import asyncHandler from 'express-async-handler';
+
+/**
+ * @typedef RevocationStore - See MemoryRevocationStore.js.
+ */
+
+/**
+ * Creates an `inspectCapabilityChain` function that rejects any capability
+ * chain that includes a zcap that has been revoked according to the given
+ * store. It can be passed to `authorizeZcapInvocation` (and its equivalents)
+ * to enforce revocations. A zcap is only considered revoked if the stored
+ * revocation is of the same signed zcap (with the same proof) and not just a
+ * zcap with the same ID, so a store can be shared by many service objects.
+ *
+ * When passed to `authorizeZcapRevocation`, it only checks the chain of the
+ * invoked zcap; the chain of the zcap to be revoked is checked by
+ * `handleZcapRevocation` instead so that revocations are idempotent.
+ *
+ * @example
+ * const store = new MemoryRevocationStore();
+ * app.post('/documents', authorizeZcapInvocation({
+ *   inspectCapabilityChain: createRevocationInspector({store}),
+ *   ...
+ * }));
+ *
+ * @param {object} options - Options hashmap.
+ * @param {RevocationStore} options.store - The store of revoked zcaps.
+ *
+ * @returns {Function} An `inspectCapabilityChain` function.
+ */
+export function createRevocationInspector({store} = {}) {
+  assert.object(store, 'options.store');
+
+  return async function inspectCapabilityChain({
+    capabilityChain, capabilityToRevoke
+  }) {
+    if(capabilityToRevoke) {
+      return {valid: true};
+    }
+    // root zcaps cannot be revoked, so only delegated zcaps are checked
+    const revocation = await _findRevocation(
+      {store, capabilities: capabilityChain.slice(1)});
+    if(!revocation) {
+      return {valid: true};
+    }
+    const error = new Error(
+      `The capability "${revocation.id}" has been revoked.`);
+    error.name = 'NotAllowedError';
+    return {valid: false, error};
+  };
+}
+
+/**
+ * Creates an Express.js style route handler that stores a revocation that
+ * has been authorized by `authorizeZcapRevocation`; it must be attached to
+ * the same route, after that middleware.
+ *
+ * The revocation is rejected with HTTP 400 if the `revocationId` route
+ * parameter is not the ID of the to-be-revoked zcap and with HTTP 409 if any
+ * zcap that the to-be-revoked zcap was delegated from has already been
+ * revoked. Otherwise, the revocation is stored along with its delegator
+ * until the revoked zcap expires and HTTP 204 is sent; revoking an already
+ * revoked zcap also sends HTTP 204.
+ *
+ * @example
+ * const store = new MemoryRevocationStore();
+ * app.post('/service-objects/:id/zcaps/revocations/:revocationId',
+ *   authorizeZcapRevocation({
+ *     inspectCapabilityChain: createRevocationInspector({store}),
+ *     ...
+ *   }),
+ *   handleZcapRevocation({store}));
+ *
+ * @param {object} options - Options hashmap.
+ * @param {RevocationStore} options.store - The store of revoked zcaps.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to send RFC 9457 problem details responses instead of
+ *   throwing errors; see `authorizeZcapRevocation`.
+ *
+ * @returns {Function} Returns an Express.js style route handler.
+ */
+export function handleZcapRevocation({store, problemDetails} = {}) {
+  assert.object(store, 'options.store');
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+
+  return asyncHandler(async (req, res) => {
+    const {capabilityToRevoke: capability} = req.ezcap;
+    const {capabilityChain, delegator, serviceObjectId} = req.zcapRevocation;
+    try {
+      _checkRevocationId({revocationId: req.params.revocationId, capability});
+      await _storeRevocation({
+        store, capability, delegator, serviceObjectId, capabilityChain
+      });
+    } catch(error) {
+      return _sendError({res, error, problemOptions});
+    }
+    res.status(204).end();
+  });
+}
+
+/**
+ * Creates an Express.js style route handler that stores the revocations that
+ * have been authorized by `authorizeZcapBatchRevocation`; it must be attached
+ * to the same route, after that middleware.
+ *
+ * Each revocation is handled as by `handleZcapRevocation` and a JSON
+ * `{results}` object is sent with HTTP 200, where `results` has an entry for
+ * each zcap in the request body, in the same order: `{id, revoked: true}` if
+ * the zcap is (or already was) revoked, otherwise `{id, revoked: false,
+ * status, error: {name, message}}`, where `status` is the HTTP status code
+ * that a single revocation of the zcap would have been rejected with. If the
+ * `problemDetails` option is set, `error` is an RFC 9457 problem details
+ * object instead.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {RevocationStore} options.store - The store of revoked zcaps.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to give the error of each zcap that is not revoked as an
+ *   RFC 9457 problem details object; see `authorizeZcapBatchRevocation`.
+ *
+ * @returns {Function} Returns an Express.js style route handler.
+ */
+export function handleZcapBatchRevocation({store, problemDetails} = {}) {
+  assert.object(store, 'options.store');
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+
+  return asyncHandler(async (req, res) => {
+    const results = [];
+    for(const revocation of req.zcapRevocations) {
+      const {capability, delegator, serviceObjectId, capabilityChain} =
+        revocation;
+      let {error} = revocation;
+      if(!error) {
+        try {
+          await _storeRevocation({
+            store, capability, delegator, serviceObjectId, capabilityChain
+          });
+        } catch(e) {
+          error = e;
+        }
+      }
+      if(!error) {
+        results.push({id: capability.id, revoked: true});
+        continue;
+      }
+      const status = error.httpStatusCode ?? 500;
+      results.push({
+        id: capability.id,
+        revoked: false,
+        status,
+        error: problemOptions ?
+          createProblemDetails({error, status, ...problemOptions}) :
+          {name: error.name, message: error.message}
+      });
+    }
+    res.json({results});
+  });
+}
+
+// sends a problem details response if enabled, otherwise passes the error on
+function _sendError({res, error, problemOptions}) {
+  if(problemOptions) {
+    return sendProblemDetails({
+      error, status: error.httpStatusCode ?? 500, ...problemOptions,
+      send: ({status, type, body}) => res.status(status).type(type).send(body)
+    });
+  }
+  return helpers.handleError({res, error});
+}
+
+// the revocation ID in the URL must identify the zcap in the request body
+function _checkRevocationId({revocationId, capability}) {
+  if(revocationId !== capability.id) {
+    const error = new Error(
+      `The revocation ID "${revocationId}" does not match the ID of the ` +
+      `capability to revoke "${capability.id}".`);
+    error.name = 'DataError';
+    error.httpStatusCode = 400;
+    error.problemType = PROBLEM_TYPES.invalidRequest;
+    throw error;
+  }
+}
+
+// stores a revocation unless a zcap it was delegated from has been revoked
+async function _storeRevocation({
+  store, capability, delegator, serviceObjectId, capabilityChain
+}) {
+  // the chain starts with the root zcap, which cannot be revoked, and
+  // ends with the zcap to be revoked
+  const revocation = await _findRevocation(
+    {store, capabilities: capabilityChain.slice(1, -1)});
+  if(revocation) {
+    const error = new Error(
+      `The capability "${capability.id}" cannot be revoked because the ` +
+      `capability "${revocation.id}" it was delegated from has already ` +
+      'been revoked.');
+    error.name = 'NotAllowedError';
+    error.httpStatusCode = 409;
+    error.problemType = PROBLEM_TYPES.revokedCapability;
+    throw error;
+  }
+  await store.add({capability, delegator, serviceObjectId});
+}
+
+/**
+ * Creates an Express.js style route handler that responds with the
+ * revocation status of a zcap; it must be attached to a `GET` route ending
+ * in `/zcaps/revocations/:revocationId`, after `authorizeZcapRevocationQuery`.
+ *
+ * If the zcap with the ID `revocationId` has been revoked for the service
+ * object, a JSON `{id, delegator, expires, revoked}` object is sent, where
+ * `revoked` is the date-time of the revocation; otherwise, HTTP 404 is sent.
+ * Revocations of zcaps that have expired may have been purged.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {RevocationStore} options.store - The store of revoked zcaps.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to send RFC 9457 problem details responses instead of
+ *   throwing errors; see `authorizeZcapRevocationQuery`.
+ *
+ * @returns {Function} Returns an Express.js style route handler.
+ */
+export function handleZcapRevocationStatus({store, problemDetails} = {}) {
+  assert.object(store, 'options.store');
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+
+  return asyncHandler(async (req, res) => {
+    const {revocationId} = req.params;
+    const {serviceObjectId} = req.zcapRevocationQuery;
+    const revocation = await store.get({id: revocationId, serviceObjectId});
+    if(!revocation) {
+      const error = new Error(
+        `The capability "${revocationId}" has not been revoked.`);
+      error.name = 'NotFoundError';
+      error.httpStatusCode = 404;
+      return _sendError({res, error, problemOptions});
+    }
+    res.json(_toRevocationStatus({revocation}));
+  });
+}
+
+/**
+ * Creates an Express.js style route handler that responds with a page of the
+ * revocations of a service object; it must be attached to a `GET` route
+ * ending in `/zcaps/revocations`, after `authorizeZcapRevocationQuery`.
+ *
+ * The optional query parameters `delegator`, `revokedAfter`, and
+ * `revokedBefore` (date-times) filter the revocations, `limit` sets the
+ * page size (up to `maxLimit`), and `cursor` gets the next page. A JSON
+ * `{revocations, cursor}` object is sent, where each revocation is formatted
+ * as for `handleZcapRevocationStatus` and `cursor` is only set if there is a
+ * next page. Only the revocations that were made for the service object are
+ * listed, so a store can be shared by many service objects.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {RevocationStore} options.store - The store of revoked zcaps.
+ * @param {number} [options.maxLimit=100] - The maximum page size.
+ * @param {boolean|object} [options.problemDetails=false] - `true` or
+ *   `{redact}` to send RFC 9457 problem details responses instead of
+ *   throwing errors; see `authorizeZcapRevocationQuery`.
+ *
+ * @returns {Function} Returns an Express.js style route handler.
+ */
+export function handleZcapRevocationList({
+  store, maxLimit = 100, problemDetails
+} = {}) {
+  assert.object(store, 'options.store');
+  assert.number(maxLimit, 'options.maxLimit');
+  const problemOptions = getProblemDetailsOptions({problemDetails});
+
+  return asyncHandler(async (req, res) => {
+    let result;
+    try {
+      const query = _parseListQuery({query: req.query ?? {}, maxLimit});
+      const {serviceObjectId} = req.zcapRevocationQuery;
+      result = await store.list({...query, serviceObjectId});
+    } catch(error) {
+      return _sendError({res, error, problemOptions});
+    }
+    const body = {
+      revocations: result.revocations.map(
+        revocation => _toRevocationStatus({revocation}))
+    };
+    if(result.cursor !== undefined) {
+      body.cursor = result.cursor;
+    }
+    res.json(body);
+  });
+}
+
+function _parseListQuery({query, maxLimit}) {
+  const {delegator, revokedAfter, revokedBefore, limit, cursor} = query;
+  const parsed = {limit: maxLimit};
+  for(const [name, value] of Object.entries(
+    {delegator, revokedAfter, revokedBefore, limit, cursor})) {
+    if(value !== undefined && typeof value !== 'string') {
+      throw _createQueryError({name});
+    }
+  }
+  if(delegator !== undefined) {
+    parsed.delegator = delegator;
+  }
+  if(cursor !== undefined) {
+    parsed.cursor = cursor;
+  }
+  for(const [name, value] of Object.entries({revokedAfter, revokedBefore})) {
+    if(value !== undefined) {
+      const date = new Date(value);
+      if(Number.isNaN(date.getTime())) {
+        throw _createQueryError({name});
+      }
+      parsed[name] = date;
+    }
+  }
+  if(limit !== undefined) {
+    const number = Number(limit);
+    if(!(Number.isSafeInteger(number) && number > 0)) {
+      throw _createQueryError({name: 'limit'});
+    }
+    parsed.limit = Math.min(number, maxLimit);
+  }
+  return parsed;
+}
+
+// finds a revocation of any of the given zcaps; as the ID of a zcap is chosen
+// by its delegator, a revocation only applies to a zcap if it is of the same
+// signed zcap, i.e., it has the same proof(s), so that a zcap that reuses the
+// ID of another zcap (e.g., under another service object) cannot be used to
+// revoke it
+async function _findRevocation({store, capabilities}) {
+  if(capabilities.length === 0) {
+    return;
+  }
+  const revocations = await store.find(
+    {ids: capabilities.map(({id}) => id)});
+  return revocations.find(revocation => capabilities.some(
+    capability => capability.id === revocation.id &&
+      _isSameProof({a: capability, b: revocation.capability})));
+}
+
+function _isSameProof({a, b}) {
+  const proofsA = _getProofValues({capability: a});
+  const proofsB = _getProofValues({capability: b});
+  return proofsA.length > 0 && proofsA.length === proofsB.length &&
+    proofsA.every((value, i) => value === proofsB[i]);
+}
+
+// gets the (sorted) signature values of the proof(s) of a zcap
+function _getProofValues({capability}) {
+  return [].concat(capability?.proof ?? [])
+    .map(proof => proof?.proofValue ?? proof?.jws)
+    .filter(value => typeof value === 'string')
+    .sort();
+}
+
+function _createQueryError({name}) {
+  const error = new Error(`Invalid "${name}" query parameter.`);
+  error.name = 'DataError';
+  error.httpStatusCode = 400;
+  error.problemType = PROBLEM_TYPES.invalidRequest;
+  return error;
+}
+
+function _toRevocationStatus({revocation}) {
+  const {id, delegator, expires, revoked} = revocation;
+  return {
+    id, delegator,
+    expires: expires.toISOString(),
+    revoked: revoked.toISOString()
+  };
+}
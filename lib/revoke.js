@@ -1,12 +1,20 @@
 /*!
- * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import * as helpers from './helpers.js';
+import {
+  createBatchRevocationAuthorizer, createRevocationAuthorizer,
+  createRevocationQueryAuthorizer
+} from './core.js';
 import assert from 'assert-plus';
-import asyncHandler from 'express-async-handler';
-import {authorizeZcapInvocationAfterParse} from './authorize.js';
-import {CapabilityDelegation} from '@digitalbazaar/zcap';
-import jsigs from 'jsonld-signatures';
+import {createMiddleware} from './express.js';
+
+/**
+ * @typedef CaveatHandler - See caveats.js.
+ */
+
+/**
+ * @typedef DelegationPolicy - See delegationPolicy.js.
+ */
 
 /**
  * Authorizes a request to submit a zcap revocation.
@@ -28,15 +36,18 @@ import jsigs from 'jsonld-signatures';
  * `<serviceObjectId>/zcaps/revocations/:revocationId`.
  *
  * This middleware will compute `serviceObjectId` by combining the expected
- * host with the subpath from the request URL that occurs before
- * `/zcaps/revocations/`. It assumes that the request URL will have this
+ * host with the subpath from the request URL that occurs before the last
+ * `/zcaps/revocations/` in it. It assumes that the request URL will have this
  * pattern if the middleware code has been reached. IOW, `serviceObjectId` will
  * be set using:
  *
  * `https://<expectedHost>/<URL subpath before "/zcaps/revocations/">`.
  *
- * Note: This middleware does NOT support having `/zcaps/revocations/` appear
- * multiple places in the request URL.
+ * A different path can be given via `revocationPath`, e.g., `/revocations`
+ * for routes that terminate in `/revocations/:revocationId`, and
+ * `getServiceObjectId` can be given to compute `serviceObjectId` in another
+ * way, e.g., when the service is behind a gateway that rewrites request URLs
+ * or does not use the `https` scheme; the request URL is then not checked.
  *
  * Attaching this middleware will enable any zcaps delegated from the service
  * object's root zcap to be revoked without having to issue an additional zcap
@@ -57,6 +68,16 @@ import jsigs from 'jsonld-signatures';
  * other service objects -- or entirely other services -- cannot be revoked via
  * this middleware.
  *
+ * This middleware only verifies the revocation request; the results are
+ * exposed via `req.zcapRevocation`, an object with the `serviceObjectId` and
+ * the to-be-revoked zcap's `delegator`, `capabilityChain`, and
+ * `chainControllers`. The revocation must be stored (and enforced) by the
+ * route handler, e.g., the one created by `handleZcapRevocation`. A
+ * `RevocationStore` (e.g., `MemoryRevocationStore` or `FileRevocationStore`)
+ * can be used to store revocations and, via `createRevocationInspector`, to
+ * provide an `inspectCapabilityChain` function that rejects any chain that
+ * includes a revoked zcap.
+ *
  * This middleware will automatically generate two sets of expects values: one
  * for checking the invocation to revoke a capability and one for verifying the
  * delegation chain of the capability that is to be revoked. Only the expected
@@ -79,21 +100,51 @@ import jsigs from 'jsonld-signatures';
  * action: 'write'
  * .
  *
+ * A request without a (parseable) signature is rejected with HTTP 401 and a
+ * `WWW-Authenticate` challenge; see `authorizeZcapInvocation`.
+ *
  * @param {object} options - Options hashmap.
+ * @param {Array<string>} [options.acceptedAlgorithms=['ed25519']] - The
+ *   HTTP signature algorithms to list in `WWW-Authenticate` challenges.
+ * @param {object} [options.caveatHandlers] - A map of caveat type to the
+ *   `CaveatHandler` for the caveats of the zcaps in the chain of the invoked
+ *   capability; see `authorizeZcapInvocation`.
+ * @param {DelegationPolicy} [options.delegationPolicy] - A policy that the
+ *   chain of the invoked capability must satisfy; see
+ *   `authorizeZcapInvocation`. It is not applied to the chain of the
+ *   to-be-revoked capability so that capabilities that violate it can still
+ *   be revoked.
  * @param {object} options.documentLoader - Document loader used to load
  *   DID Documents, capability documents, and JSON-LD Contexts.
  * @param {string} options.expectedHost - The expected host header value
  *   when checking the zcap invocation.
  * @param {Function} options.getRootController - Used to get the controller
  *   of the root capability for the service object.
+ * @param {Function} [options.getServiceObjectId] - An async function that is
+ *   called with `{req}` and must return the `serviceObjectId` (an absolute
+ *   URL) for the request; by default, it is computed from the request URL.
  * @param {Function} options.getVerifier - An async function to
  *   call to get a verifier and verification method for the key ID.
  * @param {Function} [options.inspectCapabilityChain] - A function that can
  *   inspect a capability chain, e.g., to check for revocations; it will be
  *   used when verifying the invocation and the delegation chain for the
- *   to-be-revoked capability.
+ *   to-be-revoked capability, in which case it is also passed the
+ *   `capabilityToRevoke`.
+ * @param {Function} [options.onAuthorizationEvent] - An async function that
+ *   is called with `{event, req}` for every authorization decision; see
+ *   `authorizeZcapInvocation`. Revocation events also include the
+ *   `capabilityToRevoke` and its `delegator`.
  * @param {Function} [options.onError] - An error handler handler for
  *   customizable error handling.
+ * @param {boolean|object} [options.problemDetails=false] - `true` to send
+ *   RFC 9457 `application/problem+json` error responses (with a stable
+ *   `type` URI for each class of failure; see `PROBLEM_TYPES`) instead of
+ *   empty HTTP 403 responses and thrown errors; `onError`, if given, is
+ *   called before the response is sent and may throw to override it. Pass
+ *   `{redact: true}` to omit the `detail` member, e.g., in production.
+ * @param {string} [options.revocationPath='/zcaps/revocations'] - The path
+ *   that follows `serviceObjectId` in revocation routes; it must start with
+ *   `/` and must not end with `/`.
  * @param {object} options.suiteFactory - A factory for creating the
  *   supported suite(s) to use when verifying zcap delegation chains; this is
  *   different from `getVerifier` which is used to produce a verifier for
@@ -102,234 +153,118 @@ import jsigs from 'jsonld-signatures';
  * @returns {Function} Returns an Express.js style middleware route handler.
  */
 export function authorizeZcapRevocation({
-  documentLoader, expectedHost, getRootController, getVerifier,
-  inspectCapabilityChain, onError, suiteFactory
-}) {
-  // other middleware created below checks other params
-  assert.string(expectedHost, 'options.expectedHost');
-
-  /* Note: Here we wrap `getRootController` to support the aforementioned
-  zcap-specific root zcap. This will be used for checking both the invocation
-  and the revocation, though the revocation has an additional check below to
-  ensure that the submitted revocation's chain has a root zcap with an
-  acceptable invocation target. See the note below in
-  `getRevocationRootController`. */
-  getRootController = _wrapGetRootController({expectedHost, getRootController});
-
-  // computes expected values for the invocation
-  async function getExpectedValues({req}) {
-    const serviceObjectId = _parseServiceObjectId({req, expectedHost});
-    const {revocationId} = req.params;
-    return {
-      host: expectedHost,
-      rootInvocationTarget: [
-        serviceObjectId,
-        `${serviceObjectId}/zcaps/revocations/` +
-          encodeURIComponent(revocationId)
-      ]
-    };
-  }
-
-  async function getRevocationRootController(
-    {req, rootCapabilityId, rootInvocationTarget}) {
-    /* Note: This check prevents the client from successfully submitting
-    revocations for unrelated service objects or services that could then use
-    update storage in a revocation database. */
-    const serviceObjectId = _parseServiceObjectId({req, expectedHost});
-    if(!(rootInvocationTarget === serviceObjectId ||
-      rootInvocationTarget.startsWith(`${serviceObjectId}/`))) {
-      const error = new Error(
-        `The root capability from the revocation's delegation chain must ` +
-        `have an invocation target that starts with "${serviceObjectId}".`);
-      error.name = 'NotAllowedError';
-      error.httpStatusCode = 403;
-      throw error;
-    }
-    return getRootController({req, rootCapabilityId, rootInvocationTarget});
-  }
-
-  return [
-    asyncHandler(async function(req, res, next) {
-      // ensure middleware is attached to opinionated route
-      if(!req.originalUrl.includes('/zcaps/revocations/') ||
-        !req.params.revocationId) {
-        const error = new Error(
-          'Revocation middleware must be attached to a route ending in ' +
-          '"/zcaps/revocations/:revocationId".');
-        error.httpStatusCode = 500;
-        return helpers.handleError({res, error, onError});
-      }
-      // proceed to next middleware on next tick to prevent subsequent
-      // middleware from potentially throwing here
-      process.nextTick(next);
-    }),
-    helpers.createExpectationMiddleware({getExpectedValues, onError}),
-    createCheckRevocationMiddleware({
-      documentLoader, getRootController: getRevocationRootController,
-      inspectCapabilityChain, onError, suiteFactory
-    }),
-    authorizeZcapInvocationAfterParse({
-      // target attenuation is always allowed on this endpoint
-      allowTargetAttenuation: true,
-      documentLoader, getRootController, getVerifier,
-      inspectCapabilityChain, onError, suiteFactory
-    })
-  ];
-}
-
-function createCheckRevocationMiddleware({
-  documentLoader, getRootController, inspectCapabilityChain,
-  onError, suiteFactory
-}) {
-  return asyncHandler(async function verifyRevocation(req, res, next) {
-    const {body: capability} = req;
-
-    // early-disallow revocation of root zcaps
-    if(capability.id.startsWith(helpers.ZCAP_ROOT_PREFIX)) {
-      const error = new Error('A root capability cannot be revoked.');
-      error.name = 'NotAllowedError';
-      error.httpStatusCode = 400;
-      return helpers.handleError({res, error, onError});
-    }
-
-    // set capability to be revoked to enable access in other helpers
-    req.ezcap.capabilityToRevoke = capability;
-
-    // verify CapabilityDelegation
-    let delegator;
-    const capture = {};
-    const chainControllers = [];
-    try {
-      const results = await _verifyDelegation({
-        req,
-        capability,
-        documentLoader: helpers.createRootCapabilityLoader({
-          documentLoader, getRootController, req
-        }),
-        inspectCapabilityChain: _captureChainControllers({
-          inspectCapabilityChain,
-          chainControllers,
-          capture
-        }),
-        suiteFactory
-      });
-      ({delegator} = results[0].purposeResult);
-      delegator = delegator.id || delegator;
-    } catch(e) {
-      const error = new Error('The provided capability delegation is invalid.');
-      error.name = 'DataError';
-      error.cause = e;
-      error.httpStatusCode = 400;
-      return helpers.handleError({res, error, onError});
-    }
-
-    const {capabilityChain} = capture;
-    req.zcapRevocation = {delegator, capabilityChain, chainControllers};
-
-    // proceed to next middleware on next tick to prevent subsequent
-    // middleware from potentially throwing here
-    process.nextTick(next);
-  });
-}
-
-async function _verifyDelegation({
-  req, capability, documentLoader, inspectCapabilityChain, suiteFactory
-}) {
-  // the expected values for the invocation are the same as those for checking
-  // the revocation delegation chain per the reasoning given in notes above
-  const {expectedRootCapability} = req.ezcap;
-  const {verified, error, results} = await jsigs.verify(capability, {
-    documentLoader,
-    purpose: new CapabilityDelegation({
-      /* Note: Path-based target attenuation must always be true to support the
-      convention described above. This is not a security problem even if the
-      to-be-revoked zcap cannot be invoked (because the invocation endpoint
-      doesn't allow such attenuation). It just means zcaps that can be
-      delegated with attenuation rules that aren't supported by the invocation
-      endpoint can still be revoked. */
-      allowTargetAttenuation: true,
-      expectedRootCapability,
-      inspectCapabilityChain,
-      suite: await suiteFactory({req})
-    }),
-    suite: await suiteFactory({req})
-  });
-  if(!verified) {
-    throw error;
-  }
-  return results;
-}
-
-function _wrapGetRootController({expectedHost, getRootController}) {
-  return async function _getRootController({
-    req, rootCapabilityId, rootInvocationTarget
-  }) {
-    const serviceObjectId = _parseServiceObjectId({req, expectedHost});
-    const {revocationId} = req.params;
-    const zcapSpecificRootTarget = `${serviceObjectId}/zcaps/revocations/` +
-      encodeURIComponent(revocationId);
-
-    // if `rootInvocationTarget` doesn't match the zcap-specific root
-    // invocation target, then use user-provided `getRootController` to provide
-    // the controller
-    if(rootInvocationTarget !== zcapSpecificRootTarget) {
-      return getRootController({req, rootCapabilityId, rootInvocationTarget});
-    }
-
-    /* Note: If the root invocation target is a zcap-specific revocation
-    endpoint, we use all zcap controllers from the to-be-revoked zcap's chain
-    as the root controller. This applies to populating the controller for the
-    root zcap in the invoked zcap's chain and for the root zcap in the
-    to-be-revoked zcap's chain.
-
-    This approach allows any party that has delegated a zcap or received one
-    (where the root zcap includes `serviceObjectId` as a prefix in its
-    invocation target) to be able to send it for revocation. Other code
-    (in the revocation route handler) will confirm that the delegation is
-    proper and the zcap from which it was delegated has not itself been
-    revoked.
-
-    As an example, if the delegation chain is:
-
-    root -> A -> B
-
-    Any zcap controller in the chain of B may invoke a root zcap with an
-    `invocationTarget` of `<baseUrl>/zcaps/revocations/<ID of B>` (and an ID of
-    `urn:zcap:root:encodeURIComponent(<baseUrl>/zcaps/revocations/<ID of B>)`).
-    This means that `root`, `A`, or `B` may revoke `B`.
-
-    As long no other zcap in the chain of `B` (e.g., `A`) has already been
-    revoked, then `B` will be revoked and stored as a revocation (storage must
-    be done via custom code after this middleware) until `B` expires. */
-
-    // use all `chainControllers`
-    // presumes `verifyCapabilityDelegation` middleware already called
-    return req.zcapRevocation.chainControllers;
-  };
-}
-
-function _captureChainControllers({
-  inspectCapabilityChain, chainControllers, capture
-}) {
-  return async function _inspectCapabilityChain(chainDetails) {
-    // collect every controller in the chain
-    const {capabilityChain} = chainDetails;
-    capture.capabilityChain = capabilityChain;
-    for(const capability of capabilityChain.values()) {
-      chainControllers.push(..._getCapabilityControllers({capability}));
-    }
-    return inspectCapabilityChain(chainDetails);
-  };
+  onError, problemDetails, ...options
+} = {}) {
+  // `createRevocationAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createRevocationAuthorizer(options);
+  return [createMiddleware({authorize, onError, problemDetails})];
 }
 
-function _getCapabilityControllers({capability}) {
-  const {controller} = capability;
-  return Array.isArray(controller) ? controller : [controller];
+/**
+ * Authorizes a request to submit a batch of zcap revocations, e.g., to
+ * revoke every zcap that was delegated by a compromised key in one request.
+ *
+ * Like `authorizeZcapRevocation`, this middleware is opinionated; it MUST be
+ * attached to an endpoint that terminates in `/zcaps/revocations`, i.e.,
+ * `<serviceObjectId>/zcaps/revocations`, and the `serviceObjectId` is
+ * computed in the same way (`revocationPath` and `getServiceObjectId` are
+ * also supported). The request body must be an array of the zcaps to revoke.
+ *
+ * The delegation of each zcap is verified independently and must have the
+ * service object's root zcap as its root. The results are exposed via
+ * `req.zcapRevocations`, an array with, for each zcap in the body, an object
+ * with the `capability` and either the `serviceObjectId`, `delegator`,
+ * `capabilityChain`, and `chainControllers` (like `req.zcapRevocation`) or
+ * an `error` (with an
+ * `httpStatusCode`) if it cannot be revoked. The request itself is only
+ * rejected if the body is not an array of zcaps or if the invocation is not
+ * authorized; its HTTP signature is checked before any delegation is
+ * verified. If `onAuthorizationEvent` is given, it is called with a
+ * revocation event for each zcap in the body, with its
+ * `capabilityToRevoke`; the event is denied if the zcap cannot be revoked.
+ *
+ * The expected values for checking the capability invocation will be:
+ *
+ * host: `<expectedHost>`,
+ * rootInvocationTarget: [
+ *   // root zcap with this target can revoke any of the zcaps
+ *   `<serviceObjectId>`,
+ *   // root zcap with this target is controlled by every controller in the
+ *   // zcaps' chains; a zcap can only be revoked via this root zcap if the
+ *   // invoker is a controller in that zcap's own chain
+ *   `<serviceObjectId>/zcaps/revocations`
+ * ],
+ * action: 'write'
+ * .
+ *
+ * @param {object} options - Options hashmap; options other than those below
+ *   are the same as for `authorizeZcapRevocation`.
+ * @param {number} [options.maxBatchSize=20] - The maximum number of zcaps
+ *   that can be revoked in one request.
+ * @param {Function} [options.onError] - An error handler handler for
+ *   customizable error handling.
+ * @param {boolean|object} [options.problemDetails=false] - `true` to send
+ *   RFC 9457 `application/problem+json` error responses; see
+ *   `authorizeZcapRevocation`.
+ *
+ * @returns {Function} Returns an Express.js style middleware route handler.
+ */
+export function authorizeZcapBatchRevocation({
+  onError, problemDetails, ...options
+} = {}) {
+  // `createBatchRevocationAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createBatchRevocationAuthorizer(options);
+  return [createMiddleware({authorize, onError, problemDetails})];
 }
 
-function _parseServiceObjectId({req, expectedHost}) {
-  // `serviceObjectId` is full URL prior to `/zcaps/revocations/`
-  const idx = req.originalUrl.indexOf('/zcaps/revocations/');
-  const path = req.originalUrl.substring(0, idx);
-  return `https://${expectedHost}${path}`;
+/**
+ * Authorizes a request to read the revocations of a service object, i.e., to
+ * get the revocation status of a zcap or to list revocations.
+ *
+ * Like `authorizeZcapRevocation`, this middleware is opinionated; it MUST be
+ * attached to `GET` endpoints that terminate in either
+ * `/zcaps/revocations/:revocationId` (e.g., followed by
+ * `handleZcapRevocationStatus`) or `/zcaps/revocations` (e.g., followed by
+ * `handleZcapRevocationList`), or the equivalent routes for the given
+ * `revocationPath`. The `serviceObjectId` is computed in the same way (or
+ * via `getServiceObjectId`) and the invoked zcap must have the `read`
+ * action and a root zcap with an invocation target of `<serviceObjectId>`,
+ * i.e., the expected values are:
+ *
+ * host: `<expectedHost>`,
+ * rootInvocationTarget: `<serviceObjectId>`,
+ * action: 'read'
+ * .
+ *
+ * If the request is authorized, `req.zcapRevocationQuery` is set to
+ * `{serviceObjectId}` so that only the revocations of that service object
+ * are read.
+ *
+ * @param {object} options - Options hashmap; any options other than those
+ *   below are the same as for `authorizeZcapInvocation`, except for
+ *   `getExpectedValues`, which must not be given.
+ * @param {string} options.expectedHost - The expected host header value
+ *   when checking the zcap invocation.
+ * @param {Function} [options.getServiceObjectId] - Used to get the
+ *   `serviceObjectId`; see `authorizeZcapRevocation`.
+ * @param {Function} [options.onError] - An error handler handler for
+ *   customizable error handling.
+ * @param {boolean|object} [options.problemDetails=false] - `true` to send
+ *   RFC 9457 `application/problem+json` error responses; see
+ *   `authorizeZcapInvocation`.
+ * @param {string} [options.revocationPath='/zcaps/revocations'] - The path
+ *   that follows `serviceObjectId` in revocation routes; see
+ *   `authorizeZcapRevocation`.
+ *
+ * @returns {Function} Returns an Express.js style middleware route handler.
+ */
+export function authorizeZcapRevocationQuery({
+  onError, problemDetails, ...options
+} = {}) {
+  // `createRevocationQueryAuthorizer` handles type checks on other params
+  assert.optionalFunc(onError, 'options.onError');
+  const authorize = createRevocationQueryAuthorizer(options);
+  return [createMiddleware({authorize, onError, problemDetails})];
 }
@@ -0,0 +1,58 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {LRUCache} from 'lru-cache';
+
+/**
+ * Creates a `getRootController` function that caches the root controllers
+ * returned by the given `getRootController` function for up to `ttl`
+ * milliseconds, keyed by root capability ID.
+ *
+ * When an invocation fails to verify after a cached root controller was
+ * used and the failure was caused by a root zcap's controller not matching
+ * the invoking or delegating key, `authorizeZcapInvocation` automatically
+ * retries verification once with freshly looked up root controllers (which
+ * then replace the cached ones). This ensures that a rotated root controller
+ * does not cause a false denial; a stale cached root controller can only
+ * continue to grant access until its cache entry expires.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Function} options.getRootController - Used to get the controller
+ *   of the root capability in the invoked capability's chain.
+ * @param {number} [options.ttl=300000] - The maximum number of milliseconds
+ *   to cache a root controller for.
+ * @param {number} [options.maxSize=1000] - The maximum number of root
+ *   controllers to cache.
+ *
+ * @returns {Function} A caching `getRootController` function.
+ */
+export function createCachedRootControllerGetter({
+  getRootController, ttl = 1000 * 60 * 5, maxSize = 1000
+} = {}) {
+  assert.func(getRootController, 'options.getRootController');
+  assert.number(ttl, 'options.ttl');
+  assert.number(maxSize, 'options.maxSize');
+
+  const cache = new LRUCache({max: maxSize, ttl});
+  return async function cachedGetRootController({
+    req, rootCapabilityId, rootInvocationTarget
+  }) {
+    // `req.ezcap.refreshRootController` is set when retrying verification
+    const refresh = req?.ezcap?.refreshRootController;
+    if(!refresh) {
+      const controller = cache.get(rootCapabilityId);
+      if(controller !== undefined) {
+        if(req?.ezcap) {
+          req.ezcap.usedCachedRootController = true;
+        }
+        return controller;
+      }
+    }
+    const controller = await getRootController({
+      req, rootCapabilityId, rootInvocationTarget
+    });
+    cache.set(rootCapabilityId, controller);
+    return controller;
+  };
+}
@@ -0,0 +1,205 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import assert from 'assert-plus';
+import {authorizeZcapInvocation} from './authorize.js';
+
+/**
+ * A zcap-protected route definition.
+ *
+ * @typedef {object} ZcapRoute
+ * @property {string} method - The HTTP method of the route, e.g., `POST`.
+ * @property {string} path - The path template of the route, e.g.,
+ *   `/edvs/:edvId/documents/:docId`; each `:name` segment matches a single,
+ *   non-empty path segment and is exposed via `req.params.name`.
+ * @property {string|Array<string>} [rootInvocationTarget] - The path
+ *   template(s) of the invocation target(s) of every acceptable root
+ *   capability, e.g., `/edvs/:edvId`; each must be a path prefix of `path`
+ *   and defaults to `path`.
+ * @property {string|Array<string>} [action] - The expected capability
+ *   action(s); defaults to the action for the HTTP method.
+ * @property {Function|Array<Function>} [handler] - The express route
+ *   handler(s) to call once the invocation has been authorized; if not given,
+ *   the next matching middleware is called instead.
+ */
+
+/**
+ * Creates express middleware that routes requests to zcap-protected routes
+ * that are declared via path templates. The expected values for each route
+ * are derived from its definition, so no `getExpectedValues` function needs
+ * to be written: the expected `host` is `host`, the expected root invocation
+ * target(s) are computed by filling in the route's `rootInvocationTarget`
+ * template(s) with the raw path segments from the request URL (prefixed with
+ * any path the middleware is mounted at), and the expected action is the
+ * route's `action`, if given.
+ *
+ * Every route's `rootInvocationTarget` is validated to be a path prefix of
+ * its `path` when the middleware is created. Routes are matched in order,
+ * by method and (case-sensitive) path; requests that match no route are
+ * passed to the next middleware.
+ *
+ * @example
+ * app.use(createZcapRouter({
+ *   host: 'example.com',
+ *   routes: [{
+ *     method: 'POST',
+ *     path: '/edvs/:edvId/documents/:docId',
+ *     rootInvocationTarget: '/edvs/:edvId',
+ *     handler: (req, res) => {...}
+ *   }],
+ *   documentLoader, getRootController, getVerifier, suiteFactory
+ * }));
+ *
+ * @param {object} options - Options hashmap; any options other than those
+ *   below are passed to `authorizeZcapInvocation` for every route.
+ * @param {string} options.host - The expected host.
+ * @param {Array<ZcapRoute>} options.routes - The route definitions.
+ *
+ * @returns {Function} Returns an Express.js style middleware.
+ */
+export function createZcapRouter({host, routes, ...options} = {}) {
+  assert.string(host, 'options.host');
+  assert.arrayOfObject(routes, 'options.routes');
+  if(options.getExpectedValues !== undefined) {
+    throw new TypeError(
+      '"options.getExpectedValues" must not be given; expected values are ' +
+      'derived from each route.');
+  }
+
+  const compiledRoutes = routes.map(
+    (route, index) => _compileRoute({route, index, host, options}));
+
+  return function zcapRouter(req, res, next) {
+    for(const route of compiledRoutes) {
+      if(route.method !== req.method) {
+        continue;
+      }
+      const rawParams = route.match({path: req.path});
+      if(!rawParams) {
+        continue;
+      }
+      let params;
+      try {
+        params = Object.fromEntries(Object.entries(rawParams)
+          .map(([name, value]) => [name, decodeURIComponent(value)]));
+      } catch(e) {
+        const error = new Error(`Invalid path "${req.path}".`);
+        error.name = 'DataError';
+        error.cause = e;
+        error.httpStatusCode = 400;
+        return next(error);
+      }
+      req.params = params;
+      return _runHandlers({handlers: route.handlers, req, res, next});
+    }
+    next();
+  };
+}
+
+function _compileRoute({route, index, host, options}) {
+  const {
+    method, path, rootInvocationTarget = path, action, handler = []
+  } = route;
+  assert.string(method, `options.routes[${index}].method`);
+  assert.string(path, `options.routes[${index}].path`);
+  const roots = Array.isArray(rootInvocationTarget) ?
+    rootInvocationTarget : [rootInvocationTarget];
+  assert.arrayOfString(roots, `options.routes[${index}].rootInvocationTarget`);
+  const handlers = Array.isArray(handler) ? handler : [handler];
+  assert.arrayOfFunc(handlers, `options.routes[${index}].handler`);
+
+  const segments = _parseTemplate({template: path});
+  for(const root of roots) {
+    const rootSegments = _parseTemplate({template: root});
+    if(!(rootSegments.length <= segments.length &&
+      rootSegments.every((s, i) => s === segments[i]))) {
+      throw new Error(
+        `Root invocation target "${root}" of route "${method} ${path}" must ` +
+        'be a path prefix of the route.');
+    }
+  }
+
+  const match = _createMatcher({segments});
+  function getExpectedValues({req}) {
+    // use the raw path segments so the root invocation targets match the
+    // URLs the zcaps were created for
+    const rawParams = match({path: req.path});
+    const expected = {
+      host,
+      rootInvocationTarget: roots.map(root =>
+        `https://${host}${req.baseUrl}` +
+        _fillTemplate({template: root, params: rawParams}))
+    };
+    if(action !== undefined) {
+      expected.action = action;
+    }
+    return expected;
+  }
+
+  return {
+    method: method.toUpperCase(),
+    match,
+    handlers: [
+      ...authorizeZcapInvocation({...options, getExpectedValues}),
+      ...handlers
+    ]
+  };
+}
+
+function _parseTemplate({template}) {
+  if(!template.startsWith('/')) {
+    throw new Error(`Path template "${template}" must start with "/".`);
+  }
+  // ignore any trailing slash; `/` has no segments
+  const segments = template.split('/').slice(1);
+  if(segments.at(-1) === '') {
+    segments.pop();
+  }
+  return segments;
+}
+
+function _createMatcher({segments}) {
+  const names = [];
+  const pattern = segments.map(segment => {
+    if(segment.startsWith(':')) {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  const regex = new RegExp(`^/${pattern}/?$`);
+  return function match({path}) {
+    const result = regex.exec(path);
+    if(!result) {
+      return;
+    }
+    return Object.fromEntries(names.map((name, i) => [name, result[i + 1]]));
+  };
+}
+
+function _fillTemplate({template, params}) {
+  return '/' + _parseTemplate({template}).map(
+    segment => segment.startsWith(':') ? params[segment.slice(1)] : segment)
+    .join('/');
+}
+
+// runs express handlers in order, passing any error to `next`
+function _runHandlers({handlers, req, res, next}) {
+  const run = (index, error) => {
+    if(error) {
+      return next(error);
+    }
+    if(index === handlers.length) {
+      return next();
+    }
+    try {
+      const result = handlers[index](req, res, e => run(index + 1, e));
+      if(result && typeof result.catch === 'function') {
+        result.catch(next);
+      }
+    } catch(e) {
+      next(e);
+    }
+  };
+  run(0);
+}
@@ -0,0 +1,173 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {ZCAP_ROOT_PREFIX} from './helpers.js';
+
+// how the query of an invocation target is compared to the targets of zcaps
+// and to the expected target
+export const TARGET_QUERY_MODES = ['exact', 'normalize', 'attenuate'];
+
+/**
+ * Canonicalizes the query of a target by sorting its parameters by name
+ * (keeping the relative order of repeated parameters) and re-encoding them;
+ * an empty query is removed.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.target - The target.
+ *
+ * @returns {string} The canonicalized target.
+ */
+export function canonicalizeTarget({target}) {
+  const {base, params} = _parseTarget({target});
+  params.sort();
+  const query = params.toString();
+  return query ? `${base}?${query}` : base;
+}
+
+/**
+ * Gets the invocation target that is checked against the invoked zcap and
+ * the expected target when verifying a zcap invocation, per
+ * `targetQueryMode`. If the invoked zcap's target matches the request's
+ * target, i.e., it is the same when canonicalized (`normalize`) or it has
+ * the same path and the request has exactly the values of every query
+ * parameter it pins (`attenuate`), then the zcap's target is used as is;
+ * otherwise the request's target is used, which is then subject to the
+ * usual target attenuation rules.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object|string} options.capability - The invoked zcap or, for a root
+ *   zcap, its ID.
+ * @param {string|Array<string>} options.expectedTarget - The expected
+ *   target(s).
+ * @param {string} options.invocationTarget - The request's target.
+ * @param {string} options.targetQueryMode - The target query mode.
+ *
+ * @returns {object} `{invocationTarget, expectedTarget}`, where
+ *   `expectedTarget` is the invocation target if any expected target matches
+ *   the request's target and is otherwise unchanged.
+ */
+export function getInvocationTargets({
+  capability, expectedTarget, invocationTarget, targetQueryMode
+}) {
+  if(targetQueryMode === 'exact') {
+    return {invocationTarget, expectedTarget};
+  }
+  const capabilityTarget = _getCapabilityTarget({capability});
+  const effectiveTarget = typeof capabilityTarget === 'string' &&
+    _matchesTarget({
+      target: capabilityTarget, invocationTarget, targetQueryMode
+    }) ? capabilityTarget : invocationTarget;
+  const expectedMatch = [].concat(expectedTarget).some(
+    target => typeof target === 'string' &&
+      _matchesTarget({target, invocationTarget, targetQueryMode}));
+  return {
+    invocationTarget: effectiveTarget,
+    expectedTarget: expectedMatch ? effectiveTarget : expectedTarget
+  };
+}
+
+/**
+ * Checks whether a target is the same as or an attenuation of a base target
+ * per the rules used when verifying zcap delegations, e.g., whether a zcap
+ * with the target can be delegated from a zcap with the base target. If the
+ * base target has a query, the target may only append parameters to it
+ * (i.e., it must continue with `&`); otherwise, it may continue with a path
+ * (`/`) or a query (`?`). Queries are compared verbatim, so, in every
+ * `targetQueryMode`, a zcap that pins a query parameter can only be
+ * delegated with the same target or more parameters appended to it.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.target - The target.
+ * @param {string} options.baseTarget - The base target.
+ *
+ * @returns {boolean} `true` if the target is attenuated.
+ */
+export function isAttenuatedTarget({target, baseTarget}) {
+  if(target === baseTarget) {
+    return true;
+  }
+  const prefixes = baseTarget.includes('?') ?
+    [`${baseTarget}&`] : [`${baseTarget}/`, `${baseTarget}?`];
+  return prefixes.some(prefix => target.startsWith(prefix));
+}
+
+/**
+ * Checks that the request's target has exactly the values of every query
+ * parameter that is pinned by the target of any zcap in a capability chain,
+ * e.g., a zcap with the target `https://example.com/documents?collection=abc`
+ * may only be used to make requests with `collection=abc` in the query.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Array<object>} options.capabilityChain - The dereferenced chain.
+ * @param {string} options.invocationTarget - The request's target.
+ *
+ * @returns {object} `{valid, error}`.
+ */
+export function checkTargetQueries({capabilityChain, invocationTarget}) {
+  const {params} = _parseTarget({target: invocationTarget});
+  for(const capability of capabilityChain) {
+    const target = capability.invocationTarget;
+    if(!_hasPinnedValues({target, params})) {
+      const error = new Error(
+        `Invocation target (${invocationTarget}) does not match the query ` +
+        `parameters of capability target (${target}).`);
+      return {valid: false, error};
+    }
+  }
+  return {valid: true};
+}
+
+// the root zcap's target is in its ID; a delegated zcap must be embedded
+function _getCapabilityTarget({capability}) {
+  if(typeof capability === 'string') {
+    if(!capability.startsWith(ZCAP_ROOT_PREFIX)) {
+      return;
+    }
+    try {
+      return decodeURIComponent(capability.slice(ZCAP_ROOT_PREFIX.length));
+    } catch(e) {
+      // an invalid root zcap ID is rejected when the zcap is dereferenced
+      return;
+    }
+  }
+  return capability?.invocationTarget;
+}
+
+function _matchesTarget({target, invocationTarget, targetQueryMode}) {
+  if(targetQueryMode === 'normalize') {
+    return canonicalizeTarget({target}) ===
+      canonicalizeTarget({target: invocationTarget});
+  }
+  const {base, params} = _parseTarget({target: invocationTarget});
+  return _parseTarget({target}).base === base &&
+    _hasPinnedValues({target, params});
+}
+
+// every query parameter in `target` must have the same values in `params`,
+// in any order; other parameters in `params` are not restricted
+function _hasPinnedValues({target, params}) {
+  if(typeof target !== 'string') {
+    return false;
+  }
+  const pinned = _parseTarget({target}).params;
+  for(const name of new Set(pinned.keys())) {
+    const expected = pinned.getAll(name).sort();
+    const actual = params.getAll(name).sort();
+    if(!(expected.length === actual.length &&
+      expected.every((value, i) => value === actual[i]))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function _parseTarget({target}) {
+  const idx = target.indexOf('?');
+  if(idx === -1) {
+    return {base: target, params: new URLSearchParams()};
+  }
+  return {
+    base: target.slice(0, idx),
+    params: new URLSearchParams(target.slice(idx + 1))
+  };
+}
@@ -0,0 +1,90 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {metrics, SpanStatusCode, trace} from '@opentelemetry/api';
+
+/* Note: Instrumentation uses the OpenTelemetry API, which is a no-op unless
+an OpenTelemetry SDK has been registered by the application, so it is always
+enabled. Span attributes are only computed for spans that are recording. */
+
+const INSTRUMENTATION_NAME = '@digitalbazaar/ezcap-express';
+
+// the global tracer proxies to any tracer provider registered later
+const tracer = trace.getTracer(INSTRUMENTATION_NAME);
+
+/**
+ * Runs a function within a new active span; the span records any error
+ * thrown by the function.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.name - The span name.
+ * @param {Function} [options.attributes] - A function that returns the span
+ *   attributes; it is only called if the span is recording.
+ * @param {Function} options.fn - The function to run; it is passed the span.
+ *
+ * @returns {Promise<*>} Resolves to the return value of `fn`.
+ */
+export async function withSpan({name, attributes, fn}) {
+  return tracer.startActiveSpan(name, async span => {
+    if(attributes && span.isRecording()) {
+      span.setAttributes(attributes());
+    }
+    try {
+      return await fn(span);
+    } catch(error) {
+      span.recordException(error);
+      span.setStatus({code: SpanStatusCode.ERROR, message: error.message});
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// wraps an async function so that every call runs within a new span
+export function withSpans({name, fn, attributes}) {
+  return function instrumented(...args) {
+    return withSpan({
+      name,
+      attributes: attributes && (() => attributes(...args)),
+      fn: () => fn(...args)
+    });
+  };
+}
+
+/**
+ * Creates the metric instruments used to record authorization outcomes.
+ *
+ * Note: Unlike tracers, meters do not proxy to a meter provider that is
+ * registered later, so this must be called when an authorizer is created,
+ * i.e., after the application has registered any OpenTelemetry SDK.
+ *
+ * @returns {object} An object with a `record` function.
+ */
+export function createAuthorizationMetrics() {
+  const meter = metrics.getMeter(INSTRUMENTATION_NAME);
+  const duration = meter.createHistogram('ezcap.authorization.duration', {
+    description: 'The time taken to authorize a zcap request.',
+    unit: 'ms'
+  });
+  const chainLength = meter.createHistogram('ezcap.capability_chain.length', {
+    description:
+      'The length of the delegation chains of authorized capabilities.',
+    unit: '{capability}'
+  });
+  const outcomes = meter.createCounter('ezcap.authorization.outcomes', {
+    description: 'The number of zcap authorization decisions.'
+  });
+
+  return {
+    record({type, decision, problemType, durationMs, dereferencedChain}) {
+      const attributes = {'ezcap.type': type, 'ezcap.decision': decision};
+      duration.record(durationMs, attributes);
+      outcomes.add(1, problemType === undefined ?
+        attributes : {...attributes, 'ezcap.problem_type': problemType});
+      if(dereferencedChain) {
+        chainLength.record(dereferencedChain.length, {'ezcap.type': type});
+      }
+    }
+  };
+}
@@ -0,0 +1,509 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {CapabilityInvocation, constants} from '@digitalbazaar/zcap';
+import {checkTargetQueries, getInvocationTargets} from './targets.js';
+import {getSignedMessageData, getTargetUri} from './httpMessageSignatures.js';
+import {
+  parseRequest, parseSignatureHeader
+} from '@digitalbazaar/http-signature-header';
+import {createHash} from 'node:crypto';
+import pako from 'pako';
+import {SIGNATURE_FORMATS} from './helpers.js';
+import {
+  verifyCapabilityInvocation as verifyCavageInvocation
+} from '@digitalbazaar/http-signature-zcap-verify';
+import {withSpan} from './telemetry.js';
+
+// headers that must be covered by every draft-cavage HTTP signature used to
+// invoke a zcap
+export const CAVAGE_REQUIRED_HEADERS = [
+  '(key-id)', '(created)', '(expires)', '(request-target)',
+  'host', 'capability-invocation'
+];
+
+/**
+ * @typedef CapabilityChainCache - See CapabilityChainCache.js.
+ */
+
+/**
+ * Verifies a zcap invocation in the form of a draft-cavage HTTP signature or
+ * an RFC 9421 HTTP Message Signature. Draft-cavage signatures are verified
+ * via `verifyCapabilityInvocation` from
+ * `@digitalbazaar/http-signature-zcap-verify`; RFC 9421 signatures are
+ * verified in the same way with the signature base from RFC 9421. In both
+ * cases, acceptable actions, the target query mode, and telemetry are
+ * applied via its `beforeValidatePurpose` hook and delegation proof
+ * verification results are cached via the suite(s) if a `chainCache` is
+ * given.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.signature - The parsed signature from
+ *   `req.ezcap.signature`.
+ * @param {string} options.url - The relative request URL.
+ * @param {string} options.method - The HTTP request method.
+ * @param {object} options.headers - The request headers.
+ * @param {Function} options.getVerifier - An async function to call to get
+ *   a verifier and verification method for the key ID.
+ * @param {Function} options.documentLoader - A jsonld document loader; it
+ *   must be able to load the root zcap and any contexts used in the zcap
+ *   delegation chain.
+ * @param {string|Array<string>} options.expectedHost - The expected host(s).
+ * @param {string|Array<string>} options.expectedAction - The expected
+ *   capability action or an array of acceptable actions.
+ * @param {string|Array<string>} options.expectedRootCapability - The
+ *   expected root capability ID(s).
+ * @param {string} options.expectedTarget - The expected invocation target.
+ * @param {object} options.suite - The jsigs signature suite(s) for verifying
+ *   the capability delegation chain.
+ * @param {boolean} [options.allowTargetAttenuation=false] - Allow the
+ *   invocationTarget of a delegation chain to be increasingly restrictive
+ *   based on a hierarchical RESTful URL structure.
+ * @param {Function} [options.beforeValidatePurpose] - A function that is
+ *   called prior to validating the proof purpose and is passed the purpose
+ *   instance, proof meta data, and capability information.
+ * @param {CapabilityChainCache} [options.chainCache] - A cache for
+ *   capability delegation proof verification results.
+ * @param {Function} [options.inspectCapabilityChain] - A function that can
+ *   inspect a capability chain.
+ * @param {number} [options.maxChainLength] - The maximum length of the
+ *   capability delegation chain.
+ * @param {number} [options.maxClockSkew=300] - A maximum number of seconds
+ *   that clocks may be skewed.
+ * @param {number} [options.maxDelegationTtl] - The maximum milliseconds to
+ *   live for a delegated zcap.
+ * @param {number} [options.now=now] - A unix timestamp.
+ * @param {string} [options.targetQueryMode='exact'] - How the query of the
+ *   request's target is compared to zcap targets and the expected target:
+ *   `exact`, `normalize`, or `attenuate`.
+ *
+ * @returns {Promise<object>} The result of the verification.
+ */
+export async function verifyCapabilityInvocation({
+  signature, url, method, headers, getVerifier, documentLoader,
+  expectedHost, expectedAction, expectedRootCapability, expectedTarget, suite,
+  allowTargetAttenuation = false, beforeValidatePurpose, chainCache,
+  inspectCapabilityChain, maxChainLength, maxClockSkew = 300, maxDelegationTtl,
+  now = Math.floor(Date.now() / 1000), targetQueryMode = 'exact'
+}) {
+  // a capability invocation header must be well-formed; this is checked
+  // first so that a malformed header is reported rather than thrown (a
+  // missing header is reported because it must be covered by the signature)
+  const reqHeaders = _lowerCaseObjectKeys(headers);
+  const header = reqHeaders['capability-invocation'];
+  if(header !== undefined) {
+    try {
+      _parseCapabilityInvocationHeader({header});
+    } catch(error) {
+      return {verified: false, error};
+    }
+  }
+
+  // the invoked action is expected if it is any acceptable action; otherwise
+  // the first acceptable action is used so that an error is reported
+  const expectedActions = [].concat(expectedAction);
+  let requestTarget;
+  const options = {
+    url, method, headers, documentLoader,
+    expectedHost, expectedRootCapability, expectedTarget,
+    allowTargetAttenuation, maxChainLength, maxClockSkew, maxDelegationTtl, now,
+    expectedAction: expectedActions[0],
+    getVerifier: _instrumentGetVerifier({getVerifier}),
+    async beforeValidatePurpose({
+      purpose, proof, capability, capabilityAction
+    }) {
+      if(expectedActions.includes(capabilityAction)) {
+        purpose.expectedAction = capabilityAction;
+      }
+      // the query of the request's target may be compared to the invoked
+      // zcap's target and the expected target without regard to parameter
+      // order; the request's target is always computed here because
+      // `http-signature-zcap-verify` treats any URL with a colon, even in its
+      // query, as absolute
+      requestTarget = getTargetUri({url, headers: reqHeaders});
+      ({
+        invocationTarget: proof.invocationTarget,
+        expectedTarget: purpose.expectedTarget
+      } = getInvocationTargets({
+        capability, expectedTarget: purpose.expectedTarget,
+        invocationTarget: requestTarget, targetQueryMode
+      }));
+      _instrumentPurpose({purpose});
+      if(beforeValidatePurpose) {
+        await beforeValidatePurpose({
+          purpose, proof, capability, capabilityAction
+        });
+      }
+    },
+    inspectCapabilityChain,
+    suite
+  };
+
+  // delegation proofs that have been verified before are not re-verified
+  let cacheState;
+  if(chainCache) {
+    cacheState = {keys: new Set()};
+    options.suite = _createCachingSuites({suite, chainCache, cacheState});
+    options.inspectCapabilityChain = _createCacheInvalidatingInspector(
+      {chainCache, cacheState, inspectCapabilityChain});
+  }
+
+  const result = signature.format === SIGNATURE_FORMATS.rfc9421 ?
+    await _verifyMessageSignatureInvocation({signature, ...options}) :
+    await verifyCavageInvocation(options);
+  if(!result.verified) {
+    return result;
+  }
+
+  // query parameters pinned by any zcap in the chain must be in the request
+  if(targetQueryMode === 'attenuate') {
+    const {valid, error} = checkTargetQueries({
+      capabilityChain: result.dereferencedChain,
+      invocationTarget: requestTarget
+    });
+    if(!valid) {
+      return {verified: false, error};
+    }
+  }
+  return result;
+}
+
+/**
+ * Verifies only the HTTP signature of a zcap invocation, i.e., that it covers
+ * the required headers (or components), is within its validity period, is
+ * for an expected host, and was created by the key it identifies. This is
+ * much cheaper than verifying the invocation and is used to reject requests
+ * before doing costly work, e.g., verifying the delegation chain of every
+ * zcap in a batch revocation request.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.signature - The parsed signature from
+ *   `req.ezcap.signature`.
+ * @param {string} options.url - The relative request URL.
+ * @param {string} options.method - The HTTP request method.
+ * @param {object} options.headers - The request headers.
+ * @param {Function} options.getVerifier - An async function to call to get
+ *   a verifier and verification method for the key ID.
+ * @param {Function} options.documentLoader - A jsonld document loader.
+ * @param {string|Array<string>} options.expectedHost - The expected host(s).
+ * @param {number} [options.maxClockSkew=300] - A maximum number of seconds
+ *   that clocks may be skewed.
+ * @param {number} [options.now=now] - A unix timestamp.
+ *
+ * @returns {Promise<object>} Resolves to `{verified, error}`.
+ */
+export async function verifyHttpSignature({
+  signature, url, method, headers, getVerifier, documentLoader, expectedHost,
+  maxClockSkew = 300, now = Math.floor(Date.now() / 1000)
+}) {
+  const reqHeaders = _lowerCaseObjectKeys(headers);
+  let signed;
+  try {
+    signed = signature.format === SIGNATURE_FORMATS.rfc9421 ?
+      getSignedMessageData({
+        signature, method, url, headers: reqHeaders, maxClockSkew, now
+      }) :
+      _getSignedCavageData({url, method, headers, maxClockSkew, now});
+  } catch(error) {
+    return {verified: false, error};
+  }
+
+  const error = _checkHost({headers: reqHeaders, expectedHost});
+  if(error) {
+    return {verified: false, error};
+  }
+
+  const {keyId, data} = signed;
+  const {verifier} = await getVerifier({keyId, documentLoader});
+  if(!await verifier.verify({data, signature: signed.signature})) {
+    const error = new Error('Signature not verified.');
+    error.name = 'DataError';
+    return {verified: false, error};
+  }
+  return {verified: true};
+}
+
+// verifies an RFC 9421 zcap invocation in the same way that
+// `@digitalbazaar/http-signature-zcap-verify` verifies a draft-cavage one
+async function _verifyMessageSignatureInvocation({
+  signature, url, method, headers, getVerifier, documentLoader,
+  expectedHost, expectedAction, expectedRootCapability, expectedTarget, suite,
+  allowTargetAttenuation, beforeValidatePurpose, inspectCapabilityChain,
+  maxChainLength, maxClockSkew, maxDelegationTtl, now
+}) {
+  const reqHeaders = _lowerCaseObjectKeys(headers);
+
+  // get signed data from HTTP message signature
+  let signed;
+  try {
+    signed = getSignedMessageData({
+      signature, method, url, headers: reqHeaders, maxClockSkew, now
+    });
+  } catch(error) {
+    return {verified: false, error};
+  }
+
+  // verify that `host` matches server host
+  const hostError = _checkHost({headers: reqHeaders, expectedHost});
+  if(hostError) {
+    return {verified: false, error: hostError};
+  }
+
+  // verify HTTP message signature
+  const {keyId, data} = signed;
+  const {verifier, verificationMethod} = await getVerifier(
+    {keyId, documentLoader});
+  const verified = await verifier.verify({data, signature: signed.signature});
+  if(!verified) {
+    const error = new Error('Signature not verified.');
+    error.name = 'DataError';
+    return {verified: false, error};
+  }
+
+  // always dereference the invoked capability to ensure that the system can
+  // dereference it authoritatively
+  const {capability, capabilityAction} = _parseCapabilityInvocationHeader(
+    {header: reqHeaders['capability-invocation']});
+
+  // check capability invocation
+  const purpose = new CapabilityInvocation({
+    allowTargetAttenuation,
+    // `date` is in milliseconds and `now` is in seconds, so convert
+    date: now * 1000,
+    expectedAction,
+    expectedRootCapability,
+    expectedTarget,
+    inspectCapabilityChain,
+    maxChainLength,
+    maxClockSkew,
+    maxDelegationTtl,
+    suite
+  });
+  const proof = {
+    '@context': constants.ZCAP_CONTEXT_URL,
+    capability,
+    capabilityAction,
+    // use second precision for created date
+    created: new Date(signed.created * 1000).toISOString().slice(0, -5) + 'Z',
+    // invocation target is the covered `@target-uri`
+    invocationTarget: getTargetUri({url, headers: reqHeaders}),
+    verificationMethod: keyId
+  };
+  if(beforeValidatePurpose) {
+    await beforeValidatePurpose({
+      purpose, proof, capability, capabilityAction
+    });
+  }
+  const result = await purpose.validate(proof, {
+    verificationMethod,
+    documentLoader
+  });
+  const {valid, error, dereferencedChain} = result;
+  if(!valid) {
+    return {verified: false, error};
+  }
+
+  const controller = verificationMethod.controller || verificationMethod.id;
+  return {
+    capability,
+    capabilityAction,
+    controller,
+    dereferencedChain,
+    invoker: controller,
+    verificationMethod,
+    verified: true
+  };
+}
+
+// gets the signed data from a draft-cavage HTTP signature in the same way
+// that `@digitalbazaar/http-signature-zcap-verify` does
+function _getSignedCavageData({url, method, headers, maxClockSkew, now}) {
+  const expectedHeaders = [...CAVAGE_REQUIRED_HEADERS];
+  if(_lowerCaseObjectKeys(headers)['content-type']) {
+    expectedHeaders.push('content-type', 'digest');
+  }
+  const {keyId, signingString, params} = parseRequest({url, method, headers}, {
+    headers: expectedHeaders, clockSkew: maxClockSkew, now
+  });
+  return {
+    keyId,
+    data: new TextEncoder().encode(signingString),
+    signature: Buffer.from(params.signature, 'base64')
+  };
+}
+
+function _checkHost({headers, expectedHost}) {
+  if(!Array.isArray(expectedHost)) {
+    expectedHost = [expectedHost];
+  }
+  const {host} = headers;
+  if(!expectedHost.includes(host)) {
+    const error = new Error('Host header contains an unexpected host name.');
+    error.name = 'NotAllowedError';
+    error.host = host;
+    error.expectedHost = expectedHost;
+    return error;
+  }
+}
+
+// records a span for verifying the HTTP signature
+function _instrumentGetVerifier({getVerifier}) {
+  return async function getInstrumentedVerifier(...args) {
+    const {verifier, verificationMethod} = await getVerifier(...args);
+    return {
+      verificationMethod,
+      verifier: {
+        verify: options => withSpan({
+          name: 'ezcap.verify_signature', fn: () => verifier.verify(options)
+        })
+      }
+    };
+  };
+}
+
+// records a span for validating the invocation proof purpose, which
+// verifies the capability chain
+function _instrumentPurpose({purpose}) {
+  const validate = purpose.validate.bind(purpose);
+  purpose.validate = (...args) => withSpan({
+    name: 'ezcap.verify_capability_chain',
+    async fn(span) {
+      const result = await validate(...args);
+      if(result.dereferencedChain) {
+        span.setAttribute(
+          'ezcap.capability_chain.length', result.dereferencedChain.length);
+      }
+      return result;
+    }
+  });
+}
+
+// wraps each suite so that its `verifyProof` results for delegation proofs
+// are cached; only the cryptographic verification of each proof is cached,
+// the delegation rules (e.g., expiration, target attenuation, and allowed
+// actions) are still checked by the proof purpose on every invocation
+function _createCachingSuites({suite, chainCache, cacheState}) {
+  if(Array.isArray(suite)) {
+    return suite.map(s => _createCachingSuites(
+      {suite: s, chainCache, cacheState}));
+  }
+  const cachingSuite = Object.create(suite);
+  cachingSuite.verifyProof = async function verifyProof(options) {
+    const {document, proof} = options;
+    const key = _getProofCacheKey({suite, document, proof});
+    const cached = chainCache.get({key});
+    if(cached) {
+      cacheState.keys.add(key);
+      return {verified: true, verificationMethod: cached.verificationMethod};
+    }
+    const result = await suite.verifyProof(options);
+    const expires = new Date(document?.expires);
+    if(result.verified && !Number.isNaN(expires.getTime())) {
+      // cached result must not outlive the zcap; the cache also caps how
+      // long the verification method is trusted for via its `maxTtl`
+      const {verificationMethod} = result;
+      chainCache.set({key, value: {verificationMethod}, expires});
+      cacheState.keys.add(key);
+    }
+    return result;
+  };
+  return cachingSuite;
+}
+
+// removes the cached results for a chain whenever it is inspected and found
+// to be invalid, e.g., because a zcap in it has been revoked
+function _createCacheInvalidatingInspector({
+  chainCache, cacheState, inspectCapabilityChain
+}) {
+  if(!inspectCapabilityChain) {
+    return;
+  }
+  const invalidate = () => {
+    for(const key of cacheState.keys) {
+      chainCache.delete({key});
+    }
+  };
+  return async function _inspectCapabilityChain(chainDetails) {
+    let result;
+    try {
+      result = await inspectCapabilityChain(chainDetails);
+    } catch(e) {
+      invalidate();
+      throw e;
+    }
+    if(!result.valid) {
+      invalidate();
+    }
+    return result;
+  };
+}
+
+// keys include the suite so that results are only reused by middleware that
+// accepts the same suite
+function _getProofCacheKey({suite, document, proof}) {
+  const {type, cryptosuite, verificationMethod} = suite;
+  const hash = createHash('sha256')
+    .update(JSON.stringify({
+      suite: {
+        name: suite.constructor?.name, type, cryptosuite, verificationMethod
+      },
+      document, proof
+    }))
+    .digest('base64url');
+  return `${document?.id}:${hash}`;
+}
+
+function _parseCapabilityInvocationHeader({header}) {
+  let parsed;
+  try {
+    parsed = parseSignatureHeader(header);
+  } catch(e) {
+    const error = new Error('Invalid "capability-invocation" header.');
+    error.name = 'DataError';
+    error.cause = e;
+    throw error;
+  }
+  if(parsed.scheme !== 'zcap') {
+    const error = new Error('Capability invocation scheme must be "zcap".');
+    error.name = 'DataError';
+    throw error;
+  }
+
+  let capability = parsed.params.id;
+  if(!capability) {
+    capability = parsed.params.capability;
+    if(capability) {
+      try {
+        capability = JSON.parse(
+          new TextDecoder('utf-8').decode(
+            pako.ungzip(Buffer.from(capability, 'base64url'))));
+      } catch(e) {
+        const error = new Error(
+          'Capability in Capability-Invocation header is improperly encoded.');
+        error.name = 'DataError';
+        throw error;
+      }
+      if(!capability.parentCapability) {
+        const error = new Error(
+          'A root capability must be invoked using only its ID.');
+        error.name = 'DataError';
+        throw error;
+      }
+    }
+  }
+  if(!capability) {
+    const error = new Error(
+      'Capability not present in Capability-Invocation header.');
+    error.name = 'DataError';
+    throw error;
+  }
+  return {capability, capabilityAction: parsed.params.action};
+}
+
+function _lowerCaseObjectKeys(obj) {
+  const newObject = {};
+  for(const [k, v] of Object.entries(obj)) {
+    newObject[k.toLowerCase()] = v;
+  }
+  return newObject;
+}
@@ -1,22 +1,34 @@
 /*!
  * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
  */
-import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
 import {
-  authorizeZcapInvocation, authorizeZcapRevocation
+  authorizeZcapBatchRevocation, authorizeZcapDelegation,
+  authorizeZcapInvocation, authorizeZcapRevocation,
+  authorizeZcapRevocationQuery, CapabilityChainCache, captureRawBody,
+  createCachedRootControllerGetter, createProblemDetails,
+  createRevocationInspector, createZcapRouter, handleZcapBatchRevocation,
+  handleZcapDelegation, handleZcapRevocation, handleZcapRevocationList,
+  handleZcapRevocationStatus, MemoryRateLimitStore, MemoryReplayStore,
+  MemoryRevocationStore, PROBLEM_TYPES
 } from '../lib/index.js';
 import {
+  CapabilityDelegation,
   createRootCapability,
   constants as zcapConstants
 } from '@digitalbazaar/zcap';
+import {
+  createContentDigest, delegate, getDelegationSigner, getInvocationSigner,
+  getVerifier, signMessageSignatureInvocation
+} from './helpers.js';
 import {DEFAULT_HEADERS, httpClient} from '@digitalbazaar/http-client';
-import {delegate, didKeyDriver, getInvocationSigner} from './helpers.js';
 import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
 import express from 'express';
 import {fileURLToPath} from 'node:url';
 import fs from 'node:fs';
 import https from 'node:https';
+import jsigs from 'jsonld-signatures';
 import path from 'node:path';
+import {pipeline} from 'node:stream/promises';
 import {securityLoader} from '@digitalbazaar/security-document-loader';
 import {signCapabilityInvocation} from
   '@digitalbazaar/http-signature-zcap-invoke';
@@ -73,12 +85,19 @@ if(DEBUG) {
   };
 }
 
-async function getVerifier({keyId}) {
-  const verificationMethod = await didKeyDriver.get({url: keyId});
-  const key = await Ed25519Multikey.from(verificationMethod);
-  const verifier = key.verifier();
-  return {verifier, verificationMethod};
-}
+// delegation chain cache and revoked zcap IDs used by `/chain-cached`
+const chainCache = new CapabilityChainCache();
+const revokedZcapIds = new Set();
+// revocations stored by `/stored-objects/:localId/zcaps/revocations`
+const revocationStore = new MemoryRevocationStore();
+// authorization events received by routes with `onAuthorizationEvent`
+const authorizationEvents = [];
+// delegation chains inspected by `/stored-objects/:localId/zcaps/revocations`
+let batchChainInspections = 0;
+
+// root controller and lookup count used by `/cached-root-controller`
+let currentRootController = ROOT_CONTROLLER;
+let rootControllerLookups = 0;
 
 const app = express();
 app.use(express.json());
@@ -109,6 +128,379 @@ async function _setupApp() {
       res.json({message: 'Post request was successful.'});
     });
 
+  app.post('/replay-protected',
+    authorizeZcapInvocation({
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/replay-protected`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onError: _logError,
+      replayStore: new MemoryReplayStore(),
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({message: 'Post request was successful.'});
+    });
+
+  app.post('/rate-limited',
+    authorizeZcapInvocation({
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/rate-limited`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onError: _logError,
+      rateLimit: {
+        getLimits({req}) {
+          // delegated zcaps each have a fixed quota of one invocation
+          if(req.zcap.dereferencedChain.length > 1) {
+            return {key: 'capability', capacity: 1, refillRate: 0};
+          }
+          return {key: 'invoker', capacity: 2, refillRate: 0.01};
+        },
+        store: new MemoryRateLimitStore()
+      },
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({message: 'Post request was successful.'});
+    });
+
+  app.post('/signatures',
+    authorizeZcapInvocation({
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/signatures`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({format: req.ezcap.signature.format});
+    });
+
+  app.post('/content-digest-required',
+    authorizeZcapInvocation({
+      digestPolicy: {required: ['content-digest']},
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/content-digest-required`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({message: 'Post request was successful.'});
+    });
+
+  app.post('/raw-body',
+    express.raw({verify: captureRawBody}),
+    authorizeZcapInvocation({
+      digestMode: 'raw',
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/raw-body`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({size: req.body.length});
+    });
+
+  app.post('/stream-body',
+    authorizeZcapInvocation({
+      digestMode: 'stream',
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/stream-body`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    async (req, res, next) => {
+      let size = 0;
+      try {
+        await pipeline(req, req.ezcap.bodyDigestVerifier, async function*(
+          source) {
+          for await (const chunk of source) {
+            size += chunk.length;
+          }
+        });
+      } catch(e) {
+        res.status(e.httpStatusCode ?? 500);
+        return next(e);
+      }
+      res.json({size});
+    });
+
+  app.post('/chain-cached',
+    authorizeZcapInvocation({
+      chainCache,
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/chain-cached`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      inspectCapabilityChain({capabilityChain}) {
+        if(capabilityChain.some(({id}) => revokedZcapIds.has(id))) {
+          const error = new Error('A capability in the chain was revoked.');
+          error.name = 'NotAllowedError';
+          return {valid: false, error};
+        }
+        return {valid: true};
+      },
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({message: 'Post request was successful.'});
+    });
+
+  app.post('/cached-root-controller',
+    authorizeZcapInvocation({
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/cached-root-controller`]
+        };
+      },
+      getRootController: createCachedRootControllerGetter({
+        getRootController() {
+          rootControllerLookups++;
+          return currentRootController;
+        }
+      }),
+      getVerifier,
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({message: 'Post request was successful.'});
+    });
+
+  for(const [route, problemDetails] of [
+    ['/problems', true], ['/problems-redacted', {redact: true}]
+  ]) {
+    app.post(route,
+      authorizeZcapInvocation({
+        documentLoader,
+        getExpectedValues() {
+          return {
+            host: BASE_HOST,
+            rootInvocationTarget: [`${BASE_URL}${route}`]
+          };
+        },
+        getRootController() {
+          // root controller(Admin DID)
+          return ROOT_CONTROLLER;
+        },
+        getVerifier,
+        inspectCapabilityChain({capabilityChain}) {
+          if(capabilityChain.some(({id}) => revokedZcapIds.has(id))) {
+            const error = new Error('A capability in the chain was revoked.');
+            error.name = 'NotAllowedError';
+            return {valid: false, error};
+          }
+          return {valid: true};
+        },
+        problemDetails,
+        suiteFactory() {
+          return new Ed25519Signature2020();
+        }
+      }),
+      // eslint-disable-next-line no-unused-vars
+      (req, res, next) => {
+        res.json({message: 'Post request was successful.'});
+      });
+  }
+
+  app.post('/action-hierarchy',
+    authorizeZcapInvocation({
+      actionHierarchy: {admin: ['write'], write: ['read']},
+      documentLoader,
+      getExpectedValues() {
+        return {
+          action: 'read',
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/action-hierarchy`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({acceptedActions: req.ezcap.acceptedActions});
+    });
+
+  app.post('/action-map',
+    authorizeZcapInvocation({
+      actionForMethod: {post: ['append', 'write']},
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/action-map`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({expectedAction: req.ezcap.expectedAction});
+    });
+
+  app.use('/zcap-router', createZcapRouter({
+    host: BASE_HOST,
+    routes: [{
+      method: 'POST',
+      path: '/edvs/:edvId/documents/:docId',
+      rootInvocationTarget: '/edvs/:edvId',
+      handler(req, res) {
+        res.json({params: req.params});
+      }
+    }, {
+      method: 'POST',
+      path: '/edvs/:edvId/query',
+      rootInvocationTarget: '/edvs/:edvId',
+      action: 'read',
+      handler(req, res) {
+        res.json({expectedAction: req.ezcap.expectedAction});
+      }
+    }],
+    documentLoader,
+    getRootController() {
+      // root controller(Admin DID)
+      return ROOT_CONTROLLER;
+    },
+    getVerifier,
+    onError: _logError,
+    suiteFactory() {
+      return new Ed25519Signature2020();
+    }
+  }));
+
+  app.post('/audited',
+    authorizeZcapInvocation({
+      documentLoader,
+      getExpectedValues() {
+        return {
+          host: BASE_HOST,
+          rootInvocationTarget: [`${BASE_URL}/audited`]
+        };
+      },
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      onAuthorizationEvent({event}) {
+        authorizationEvents.push(event);
+      },
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    // eslint-disable-next-line no-unused-vars
+    (req, res, next) => {
+      res.json({message: 'Post request was successful.'});
+    });
+
   // this route tests a broken `getExpectedValues` with a bad return value
   app.get('/test/:id',
     authorizeZcapInvocation({
@@ -147,6 +539,9 @@ async function _setupApp() {
         return {valid: true};
       },
       getVerifier,
+      onAuthorizationEvent({event}) {
+        authorizationEvents.push(event);
+      },
       onError: _logError,
       suiteFactory() {
         return new Ed25519Signature2020();
@@ -160,8 +555,162 @@ async function _setupApp() {
       }
       res.json({message: 'Revocation was successful.'});
     });
+
+  const customRevocationOptions = {
+    documentLoader,
+    expectedHost: BASE_HOST,
+    getRootController() {
+      // root controller(Admin DID)
+      return ROOT_CONTROLLER;
+    },
+    inspectCapabilityChain() {
+      // checking previously revoked zcaps is not part of the tests
+      return {valid: true};
+    },
+    getVerifier,
+    onError: _logError,
+    suiteFactory() {
+      return new Ed25519Signature2020();
+    }
+  };
   // eslint-disable-next-line no-unused-vars
-  app.use(function(err, req, res, next) {
+  function _revoked(req, res, next) {
+    res.json({message: 'Revocation was successful.'});
+  }
+  app.post('/custom-objects/:localId/revocations/:revocationId',
+    authorizeZcapRevocation({
+      ...customRevocationOptions,
+      revocationPath: '/revocations'
+    }),
+    _revoked);
+  // the revocation path also appears in the service object ID
+  const nestedPath = '/zcaps/revocations/objects/:localId';
+  app.post(`${nestedPath}/zcaps/revocations/:revocationId`,
+    authorizeZcapRevocation(customRevocationOptions),
+    _revoked);
+  app.post('/tenant-objects/:localId/zcaps/revocations/:revocationId',
+    authorizeZcapRevocation({
+      ...customRevocationOptions,
+      getServiceObjectId() {
+        // zcaps for the whole tenant can be revoked on any of its objects
+        return `${BASE_URL}/tenant-objects`;
+      }
+    }),
+    _revoked);
+
+  app.post('/stored-objects/:localId/zcaps/revocations/:revocationId',
+    authorizeZcapRevocation({
+      documentLoader,
+      expectedHost: BASE_HOST,
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      inspectCapabilityChain: createRevocationInspector(
+        {store: revocationStore}),
+      getVerifier,
+      onError: _logError,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    handleZcapRevocation({store: revocationStore}));
+
+  app.post('/problem-objects/:localId/zcaps/revocations/:revocationId',
+    authorizeZcapRevocation({
+      documentLoader,
+      expectedHost: BASE_HOST,
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      inspectCapabilityChain: createRevocationInspector(
+        {store: revocationStore}),
+      getVerifier,
+      onError: _logError,
+      problemDetails: true,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    handleZcapRevocation({store: revocationStore, problemDetails: true}));
+
+  const inspectRevocations = createRevocationInspector(
+    {store: revocationStore});
+  const revocationQueryOptions = {
+    documentLoader,
+    expectedHost: BASE_HOST,
+    getRootController() {
+      // root controller(Admin DID)
+      return ROOT_CONTROLLER;
+    },
+    getVerifier,
+    onError: _logError,
+    suiteFactory() {
+      return new Ed25519Signature2020();
+    }
+  };
+  for(const [route, problemDetails] of [
+    ['/stored-objects', false], ['/problem-objects', true]
+  ]) {
+    app.post(`${route}/:localId/zcaps/revocations`,
+      authorizeZcapBatchRevocation({
+        documentLoader,
+        expectedHost: BASE_HOST,
+        getRootController() {
+          // root controller(Admin DID)
+          return ROOT_CONTROLLER;
+        },
+        inspectCapabilityChain(options) {
+          batchChainInspections++;
+          return inspectRevocations(options);
+        },
+        getVerifier,
+        onAuthorizationEvent({event}) {
+          authorizationEvents.push(event);
+        },
+        onError: _logError,
+        problemDetails,
+        suiteFactory() {
+          return new Ed25519Signature2020();
+        }
+      }),
+      handleZcapBatchRevocation({store: revocationStore, problemDetails}));
+
+    app.get(`${route}/:localId/zcaps/revocations/:revocationId`,
+      authorizeZcapRevocationQuery({...revocationQueryOptions, problemDetails}),
+      handleZcapRevocationStatus({store: revocationStore, problemDetails}));
+    app.get(`${route}/:localId/zcaps/revocations`,
+      authorizeZcapRevocationQuery({...revocationQueryOptions, problemDetails}),
+      handleZcapRevocationList({store: revocationStore, problemDetails}));
+  }
+
+  app.post('/service-objects/:localId/zcaps/delegations',
+    authorizeZcapDelegation({
+      documentLoader,
+      expectedHost: BASE_HOST,
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      getVerifier,
+      inspectCapabilityChain: createRevocationInspector(
+        {store: revocationStore}),
+      onError: _logError,
+      problemDetails: true,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    }),
+    handleZcapDelegation({
+      // the service delegates zcaps as the root controller
+      delegationSigner: await getDelegationSigner({seed: ADMIN_SEED}),
+      documentLoader,
+      SuiteClass: Ed25519Signature2020,
+      problemDetails: true
+    }));
+  // eslint-disable-next-line no-unused-vars
+  app.use(function(err, req, res, next) {
     if(res.statusCode < 400) {
       // default to 500 error code
       res.status(500);
@@ -170,6 +719,40 @@ async function _setupApp() {
   });
 }
 
+async function _postError({url, headers, json = {}}) {
+  let err;
+  let res;
+  try {
+    res = await httpClient.post(url, {agent, headers, json});
+  } catch(e) {
+    err = e;
+  }
+  should.not.exist(res);
+  should.exist(err);
+  return err;
+}
+
+// sends a replay-protected invocation and then replays it after modifying
+// its headers in ways that do not change the signature
+async function _shouldRejectModifiedReplay({modify}) {
+  const url = `${BASE_URL}/replay-protected`;
+  // a unique body ensures the signature is not the same as in other tests
+  const json = {name: crypto.randomUUID()};
+  const headers = await signCapabilityInvocation({
+    url, method: 'post',
+    headers: DEFAULT_HEADERS,
+    invocationSigner: await getInvocationSigner({seed: ADMIN_SEED}),
+    capabilityAction: 'write',
+    json
+  });
+  const res = await httpClient.post(url, {agent, headers, json});
+  res.status.should.equal(200);
+
+  const err = await _postError({url, headers: modify(headers), json});
+  err.status.should.equal(403);
+  err.data.name.should.equal('DuplicateError');
+}
+
 let server;
 before(async () => {
   server = await _startServer({app});
@@ -243,10 +826,15 @@ describe('ezcap-express', () => {
       }
       should.not.exist(res);
       should.exist(err);
-      err.status.should.equal(400);
+      err.status.should.equal(401);
       err.data.name.should.equal('DataError');
       err.data.message.should.equal(
         'Missing or invalid "authorization" header.');
+      err.response.headers.get('www-authenticate').should.equal(
+        `Signature realm="${BASE_HOST}", headers="(key-id) (created) ` +
+        '(expires) (request-target) host capability-invocation ' +
+        'content-type digest", algorithms="ed25519", ' +
+        `root-invocation-target="${BASE_URL}/documents"`);
     });
     it('should throw forbidden error if the authorized invoker does not ' +
       'match the controller', async () => {
@@ -296,7 +884,8 @@ describe('ezcap-express', () => {
       err.status.should.equal(400);
       err.data.name.should.equal('DataError');
       err.data.message.should.equal(
-        'A "digest" header must be present when an HTTP body is present.');
+        'A "content-digest", "repr-digest" or "digest" header must be ' +
+        'present when an HTTP body is present.');
     });
     it('should throw error if digest header value does not match digest ' +
       'of body', async () => {
@@ -386,105 +975,857 @@ describe('ezcap-express', () => {
         '"getExpectedValues" must return an object.');
     });
   });
-  describe('authorizeZcapRevocation', () => {
-    describe('.../:localId/zcaps/revocations/:revocationId', () => {
-      it('should succeed if correct data is passed', async () => {
-        // delegate zcap to access a service object from admin to delegate
-        const serviceObjectId = `${BASE_URL}/service-objects/123`;
-        const delegatedZcap = await delegate({
-          seed: ADMIN_SEED,
-          rootInvocationTarget: serviceObjectId,
-          controller: DELEGATE_ID
-        });
+  describe('authorizeZcapInvocation w/replayStore', () => {
+    it('should succeed for distinct invocations', async () => {
+      const url = `${BASE_URL}/replay-protected`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
 
-        // revoke zcap
-        const invocationSigner = await getInvocationSigner(
-          {seed: DELEGATE_SEED});
-        const zcapClient = new ZcapClient({
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner
+      });
+      for(let i = 0; i < 2; ++i) {
+        const res = await zcapClient.write({url, json: {name: `test${i}`}});
+        res.status.should.equal(200);
+      }
+    });
+    it('should throw error if an invocation is replayed', async () => {
+      const url = `${BASE_URL}/replay-protected`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+
+      const headers = await signCapabilityInvocation({
+        url, method: 'post',
+        headers: DEFAULT_HEADERS,
+        invocationSigner,
+        capabilityAction: 'write',
+        json: {name: 'test'}
+      });
+
+      const res = await httpClient.post(url, {
+        agent,
+        headers,
+        json: {name: 'test'}
+      });
+      res.status.should.equal(200);
+
+      let err;
+      let res2;
+      try {
+        res2 = await httpClient.post(url, {
           agent,
-          SuiteClass: Ed25519Signature2020,
-          invocationSigner
+          headers,
+          json: {name: 'test'}
         });
-        let err;
-        let res;
-        try {
-          const url = `${serviceObjectId}/zcaps/revocations/` +
-            `${encodeURIComponent(delegatedZcap.id)}`;
-          res = await zcapClient.write({url, json: delegatedZcap});
-        } catch(e) {
-          err = e;
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res2);
+      should.exist(err);
+      err.status.should.equal(403);
+      err.data.name.should.equal('DuplicateError');
+    });
+    it('should throw error if a replay adds a "nonce"', async () => {
+      await _shouldRejectModifiedReplay({
+        modify: headers => ({
+          ...headers, authorization: `${headers.authorization},nonce="x"`
+        })
+      });
+    });
+    it('should throw error if a replay strips base64 padding', async () => {
+      await _shouldRejectModifiedReplay({
+        modify(headers) {
+          const authorization = headers.authorization.replace(
+            /signature="([^"]+?)=*"/, 'signature="$1"');
+          authorization.should.not.equal(headers.authorization);
+          return {...headers, authorization};
         }
-        should.not.exist(err);
-        should.exist(res);
+      });
+    });
+  });
+  describe('authorizeZcapInvocation w/rateLimit', () => {
+    it('should throw error if an invoker exceeds its limit', async () => {
+      const url = `${BASE_URL}/rate-limited`;
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      for(let i = 0; i < 2; ++i) {
+        const res = await zcapClient.write({url, json: {name: `test${i}`}});
         res.status.should.equal(200);
-        res.data.message.should.equal('Revocation was successful.');
+      }
+
+      let err;
+      try {
+        await zcapClient.write({url, json: {name: 'test'}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(429);
+      err.data.name.should.equal('QuotaExceededError');
+      err.data.message.should.equal(
+        'The rate limit for the invoker has been exceeded.');
+      // one token is refilled every 100 seconds
+      const retryAfter = Number(err.response.headers.get('retry-after'));
+      retryAfter.should.be.within(1, 100);
+    });
+    it('should throw error if a capability exceeds its quota', async () => {
+      const url = `${BASE_URL}/rate-limited`;
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED})
       });
-      it('throws error if capability id starts with ' +
-        '"urn:zcap:root:"', async () => {
-        // try to revoke root zcap
-        const serviceObjectId = `${BASE_URL}/service-objects/123`;
-        const rootCapability = createRootCapability({
-          controller: ROOT_CONTROLLER,
-          invocationTarget: serviceObjectId
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: url,
+        controller: DELEGATE_ID
+      });
+      const res = await zcapClient.write({url, capability, json: {}});
+      res.status.should.equal(200);
+
+      let err;
+      try {
+        await zcapClient.write({url, capability, json: {}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(429);
+      err.data.name.should.equal('QuotaExceededError');
+      // a fixed quota is never refilled
+      should.not.exist(err.response.headers.get('retry-after'));
+
+      // other capabilities have their own quotas
+      const otherCapability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: url,
+        controller: DELEGATE_ID
+      });
+      const res2 = await zcapClient.write(
+        {url, capability: otherCapability, json: {}});
+      res2.status.should.equal(200);
+    });
+  });
+
+  describe('authorizeZcapInvocation w/RFC 9421 signatures', () => {
+    it('should succeed using an RFC 9421 signature', async () => {
+      const url = `${BASE_URL}/signatures`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const json = {name: 'test'};
+      const headers = await signMessageSignatureInvocation({
+        url, method: 'post', json, capabilityAction: 'write', invocationSigner
+      });
+      const res = await httpClient.post(url, {agent, headers, json});
+      res.status.should.equal(200);
+      res.data.format.should.equal('rfc9421');
+    });
+    it('should succeed using a draft-cavage signature', async () => {
+      const url = `${BASE_URL}/signatures`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner
+      });
+      const res = await zcapClient.write({url, json: {name: 'test'}});
+      res.status.should.equal(200);
+      res.data.format.should.equal('draft-cavage-http-signatures');
+    });
+    it('should throw forbidden error if a required component is not ' +
+      'covered', async () => {
+      const url = `${BASE_URL}/signatures`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const json = {name: 'test'};
+      const headers = await signMessageSignatureInvocation({
+        url, method: 'post', json, capabilityAction: 'write',
+        invocationSigner,
+        components: ['@method', '@path', '@authority', 'capability-invocation']
+      });
+      let err;
+      let res;
+      try {
+        res = await httpClient.post(url, {agent, headers, json});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res);
+      should.exist(err);
+      err.status.should.equal(403);
+    });
+    it('should throw forbidden error if the method does not match the ' +
+      'signature', async () => {
+      const url = `${BASE_URL}/signatures`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const json = {name: 'test'};
+      const headers = await signMessageSignatureInvocation({
+        url, method: 'put', json, capabilityAction: 'write', invocationSigner
+      });
+      let err;
+      let res;
+      try {
+        res = await httpClient.post(url, {agent, headers, json});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res);
+      should.exist(err);
+      err.status.should.equal(403);
+    });
+    it('should error if "signature" header is missing', async () => {
+      const url = `${BASE_URL}/signatures`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const json = {name: 'test'};
+      const headers = await signMessageSignatureInvocation({
+        url, method: 'post', json, capabilityAction: 'write', invocationSigner
+      });
+      delete headers.signature;
+      let err;
+      let res;
+      try {
+        res = await httpClient.post(url, {agent, headers, json});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res);
+      should.exist(err);
+      err.status.should.equal(401);
+      err.data.name.should.equal('DataError');
+      err.data.message.should.equal(
+        'Missing or invalid "signature-input" or "signature" header.');
+      should.exist(err.response.headers.get('www-authenticate'));
+    });
+  });
+  describe('authorizeZcapInvocation w/RFC 9530 digests', () => {
+    it('should succeed using a "content-digest" header', async () => {
+      const url = `${BASE_URL}/signatures`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const json = {name: 'test'};
+      const headers = await signMessageSignatureInvocation({
+        url, method: 'post', json, capabilityAction: 'write', invocationSigner,
+        digestHeader: 'content-digest'
+      });
+      const res = await httpClient.post(url, {agent, headers, json});
+      res.status.should.equal(200);
+    });
+    it('should succeed using a sha-512 "repr-digest" header', async () => {
+      const url = `${BASE_URL}/signatures`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const json = {name: 'test'};
+      const headers = await signMessageSignatureInvocation({
+        url, method: 'post', json, capabilityAction: 'write', invocationSigner,
+        digestHeader: 'repr-digest', digestAlgorithm: 'sha-512'
+      });
+      const res = await httpClient.post(url, {agent, headers, json});
+      res.status.should.equal(200);
+    });
+    it('should throw error if digest headers disagree', async () => {
+      const url = `${BASE_URL}/documents`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+
+      const headers = await signCapabilityInvocation({
+        url, method: 'post',
+        headers: DEFAULT_HEADERS,
+        invocationSigner,
+        capabilityAction: 'write',
+        json: {name: 'test'}
+      });
+      headers['content-digest'] = await createContentDigest({
+        data: {name: 'not test'}
+      });
+
+      let err;
+      let res;
+      try {
+        res = await httpClient.post(url, {
+          agent,
+          headers,
+          json: {name: 'test'}
         });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res);
+      should.exist(err);
+      err.status.should.equal(400);
+      err.data.name.should.equal('DataError');
+      err.data.message.should.equal(
+        'The "content-digest" header value does not match digest of body.');
+    });
+    it('should throw error if a required digest header is missing',
+      async () => {
+        const url = `${BASE_URL}/content-digest-required`;
+        const invocationSigner = await getInvocationSigner(
+          {seed: ADMIN_SEED});
 
-        const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
         const zcapClient = new ZcapClient({
           agent,
           SuiteClass: Ed25519Signature2020,
           invocationSigner
         });
-        let err;
         let res;
+        let err;
         try {
-          const url = `${serviceObjectId}/zcaps/revocations/` +
-            `${encodeURIComponent(rootCapability.id)}`;
-          res = await zcapClient.write({url, json: rootCapability});
+          res = await zcapClient.write({url, json: {name: 'test'}});
         } catch(e) {
           err = e;
         }
         should.not.exist(res);
         should.exist(err);
-        err.data.name.should.equal('NotAllowedError');
-        err.data.message.should.equal('A root capability cannot be revoked.');
+        err.status.should.equal(400);
+        err.data.name.should.equal('DataError');
+        err.data.message.should.equal(
+          'A "content-digest" header must be present when an HTTP body is ' +
+          'present.');
       });
-      it('throws error if capability is invalid', async () => {
-        // delegate zcap to access a service object from admin to delegate
-        const serviceObjectId = `${BASE_URL}/service-objects/123`;
-        const delegatedZcap = await delegate({
-          seed: ADMIN_SEED,
-          rootInvocationTarget: serviceObjectId,
-          controller: DELEGATE_ID
+  });
+  describe('authorizeZcapInvocation w/raw body digests', () => {
+    it('should succeed with a captured binary body', async () => {
+      const url = `${BASE_URL}/raw-body`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const body = new Uint8Array([0, 1, 2, 3, 255]);
+      const headers = await signCapabilityInvocation({
+        url, method: 'post',
+        headers: DEFAULT_HEADERS,
+        invocationSigner,
+        capabilityAction: 'write',
+        body
+      });
+      const res = await httpClient.post(url, {agent, headers, body});
+      res.status.should.equal(200);
+      res.data.size.should.equal(body.length);
+    });
+    it('should succeed with a streamed multi-megabyte body', async () => {
+      const url = `${BASE_URL}/stream-body`;
+      const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+      const body = new Uint8Array(3 * 1024 * 1024).fill(7);
+      const headers = await signCapabilityInvocation({
+        url, method: 'post',
+        headers: DEFAULT_HEADERS,
+        invocationSigner,
+        capabilityAction: 'write',
+        body
+      });
+      const res = await httpClient.post(url, {agent, headers, body});
+      res.status.should.equal(200);
+      res.data.size.should.equal(body.length);
+    });
+    it('should throw error if a streamed body does not match its digest',
+      async () => {
+        const url = `${BASE_URL}/stream-body`;
+        const invocationSigner = await getInvocationSigner(
+          {seed: ADMIN_SEED});
+        const headers = await signCapabilityInvocation({
+          url, method: 'post',
+          headers: DEFAULT_HEADERS,
+          invocationSigner,
+          capabilityAction: 'write',
+          body: new Uint8Array([1, 2, 3])
         });
-
-        // make delegated zcap invalid by deleting its `proof`
-        delete delegatedZcap.proof;
-
-        // revoke zcap
+        let err;
+        let res;
+        try {
+          res = await httpClient.post(url, {
+            agent, headers, body: new Uint8Array([3, 2, 1])
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(res);
+        should.exist(err);
+        err.status.should.equal(400);
+        err.data.name.should.equal('DataError');
+        err.data.message.should.equal(
+          'The "digest" header value does not match digest of body.');
+      });
+    it('should throw error if a streamed body digest is not a byte sequence',
+      async () => {
+        const url = `${BASE_URL}/stream-body`;
         const invocationSigner = await getInvocationSigner(
-          {seed: DELEGATE_SEED});
-        const zcapClient = new ZcapClient({
-          agent,
-          SuiteClass: Ed25519Signature2020,
-          invocationSigner
+          {seed: ADMIN_SEED});
+        const body = new TextEncoder().encode('streamed');
+        const headers = await signCapabilityInvocation({
+          url, method: 'post',
+          headers: DEFAULT_HEADERS,
+          invocationSigner,
+          capabilityAction: 'write',
+          body
         });
+        // the sha-256 digest matches, but the sha-512 digest is a token
+        const digest = await createContentDigest({data: 'streamed'});
+        headers['content-digest'] = `${digest}, sha-512=abc`;
         let err;
         let res;
         try {
-          const url = `${serviceObjectId}/zcaps/revocations/` +
-            `${encodeURIComponent(delegatedZcap.id)}`;
-          res = await zcapClient.write({url, json: delegatedZcap});
+          res = await httpClient.post(url, {agent, headers, body});
         } catch(e) {
           err = e;
         }
         should.not.exist(res);
         should.exist(err);
+        err.status.should.equal(400);
         err.data.name.should.equal('DataError');
         err.data.message.should.equal(
-          'The provided capability delegation is invalid.');
+          'The "content-digest" header value does not match digest of body.');
       });
-      it('throws error if not authorized to use root capability for ' +
-        'service object', async () => {
+  });
+  describe('authorizeZcapInvocation w/chainCache', () => {
+    it('should reuse a verified delegation chain', async () => {
+      const url = `${BASE_URL}/chain-cached`;
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: url,
+        controller: DELEGATE_ID
+      });
+      const invocationSigner = await getInvocationSigner(
+        {seed: DELEGATE_SEED});
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner
+      });
+
+      const before = chainCache.stats;
+      for(let i = 0; i < 2; ++i) {
+        const res = await zcapClient.write(
+          {url, capability, json: {name: `test${i}`}});
+        res.status.should.equal(200);
+      }
+      const {hits, misses} = chainCache.stats;
+      (hits - before.hits).should.equal(1);
+      (misses - before.misses).should.equal(1);
+    });
+    it('should throw error if a cached chain is revoked', async () => {
+      const url = `${BASE_URL}/chain-cached`;
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: url,
+        controller: DELEGATE_ID
+      });
+      const invocationSigner = await getInvocationSigner(
+        {seed: DELEGATE_SEED});
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner
+      });
+
+      const res = await zcapClient.write({url, capability, json: {}});
+      res.status.should.equal(200);
+      const {size} = chainCache.stats;
+
+      revokedZcapIds.add(capability.id);
+      let err;
+      let res2;
+      try {
+        res2 = await zcapClient.write({url, capability, json: {}});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res2);
+      should.exist(err);
+      err.status.should.equal(403);
+      chainCache.stats.size.should.equal(size - 1);
+    });
+    it('should not cache a result for longer than "maxTtl"', async () => {
+      const cache = new CapabilityChainCache({maxTtl: 50});
+      const value = {verificationMethod: {id: 'did:example:key'}};
+      // zcap expires much later than `maxTtl`
+      const expires = new Date(Date.now() + 60000);
+      cache.set({key: 'test', value, expires});
+      cache.get({key: 'test'}).should.equal(value);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      should.not.exist(cache.get({key: 'test'}));
+    });
+  });
+  describe('authorizeZcapInvocation w/actions', () => {
+    async function _invoke({url, action}) {
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      return zcapClient.request({url, method: 'post', action, json: {}});
+    }
+
+    it('should accept an action that implies the expected action',
+      async () => {
+        const url = `${BASE_URL}/action-hierarchy`;
+        for(const action of ['read', 'write', 'admin']) {
+          const res = await _invoke({url, action});
+          res.status.should.equal(200);
+          res.data.acceptedActions.should.have.members(
+            ['read', 'write', 'admin']);
+        }
+      });
+    it('should throw error if an action does not imply the expected action',
+      async () => {
+        let err;
+        try {
+          await _invoke({url: `${BASE_URL}/action-hierarchy`, action: 'sign'});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(403);
+      });
+    it('should use a custom action for a method', async () => {
+      const url = `${BASE_URL}/action-map`;
+      for(const action of ['append', 'write']) {
+        const res = await _invoke({url, action});
+        res.status.should.equal(200);
+        res.data.expectedAction.should.eql(['append', 'write']);
+      }
+      let err;
+      try {
+        await _invoke({url, action: 'read'});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(403);
+    });
+  });
+  describe('authorizeZcapInvocation w/onAuthorizationEvent', () => {
+    beforeEach(() => {
+      authorizationEvents.length = 0;
+    });
+
+    it('should emit an event when a zcap invocation is allowed', async () => {
+      const url = `${BASE_URL}/audited`;
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: url,
+        controller: DELEGATE_ID
+      });
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED})
+      });
+      const res = await zcapClient.write({url, capability, json: {}});
+      res.status.should.equal(200);
+
+      authorizationEvents.length.should.equal(1);
+      const [event] = authorizationEvents;
+      event.type.should.equal('invocation');
+      event.decision.should.equal('allow');
+      event.method.should.equal('POST');
+      event.url.should.equal('/audited');
+      event.ip.should.be.a('string');
+      event.duration.should.be.a('number');
+      event.invoker.should.equal(DELEGATE_ID);
+      event.capability.should.equal(capability.id);
+      event.delegationPath.should.eql([
+        `urn:zcap:root:${encodeURIComponent(url)}`, capability.id
+      ]);
+      event.action.should.equal('write');
+      event.target.should.equal(url);
+      event.rootController.should.equal(ROOT_CONTROLLER);
+      should.not.exist(event.reason);
+    });
+    it('should emit an event when a zcap invocation is denied', async () => {
+      const err = await _postError({url: `${BASE_URL}/audited`});
+      err.status.should.equal(401);
+
+      authorizationEvents.length.should.equal(1);
+      const [event] = authorizationEvents;
+      event.decision.should.equal('deny');
+      event.status.should.equal(401);
+      event.reason.should.eql({
+        name: 'DataError',
+        message: 'Missing or invalid "authorization" header.',
+        type: PROBLEM_TYPES.missingAuthorization.type
+      });
+      should.not.exist(event.invoker);
+    });
+  });
+  describe('createZcapRouter', () => {
+    it('should authorize a zcap for a root invocation target', async () => {
+      const rootUrl = `${BASE_URL}/zcap-router/edvs/e1`;
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      const res = await zcapClient.write({
+        url: `${rootUrl}/documents/d%201`,
+        capability: `urn:zcap:root:${encodeURIComponent(rootUrl)}`,
+        json: {}
+      });
+      res.status.should.equal(200);
+      res.data.params.should.eql({edvId: 'e1', docId: 'd 1'});
+    });
+    it('should use the action of a route', async () => {
+      const rootUrl = `${BASE_URL}/zcap-router/edvs/e1`;
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      const res = await zcapClient.request({
+        url: `${rootUrl}/query`,
+        capability: `urn:zcap:root:${encodeURIComponent(rootUrl)}`,
+        method: 'post',
+        action: 'read',
+        json: {}
+      });
+      res.status.should.equal(200);
+      res.data.expectedAction.should.equal('read');
+    });
+    it('should throw error if the root invocation target does not match',
+      async () => {
+        const url = `${BASE_URL}/zcap-router/edvs/e1/documents/d1`;
+        const headers = await signCapabilityInvocation({
+          url, method: 'post',
+          headers: DEFAULT_HEADERS,
+          capability: 'urn:zcap:root:' +
+            encodeURIComponent(`${BASE_URL}/zcap-router/edvs/e2`),
+          invocationSigner: await getInvocationSigner({seed: ADMIN_SEED}),
+          capabilityAction: 'write',
+          json: {}
+        });
+        const err = await _postError({url, headers, json: {}});
+        err.status.should.equal(403);
+      });
+    it('should throw error if a root is not a path prefix of a route',
+      async () => {
+        let err;
+        try {
+          createZcapRouter({
+            host: BASE_HOST,
+            routes: [{
+              method: 'GET',
+              path: '/edvs/:edvId/documents/:docId',
+              rootInvocationTarget: '/edvs/:otherId'
+            }],
+            documentLoader,
+            getRootController() {
+              return ROOT_CONTROLLER;
+            },
+            getVerifier,
+            suiteFactory() {
+              return new Ed25519Signature2020();
+            }
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal(
+          'Root invocation target "/edvs/:otherId" of route "GET ' +
+          '/edvs/:edvId/documents/:docId" must be a path prefix of the ' +
+          'route.');
+      });
+  });
+  describe('authorizeZcapInvocation w/problemDetails', () => {
+    it('should send problem details if missing authorization header',
+      async () => {
+        const err = await _postError({url: `${BASE_URL}/problems`});
+        err.status.should.equal(401);
+        err.response.headers.get('content-type').should.match(
+          /^application\/problem\+json/);
+        err.data.should.eql({
+          type: PROBLEM_TYPES.missingAuthorization.type,
+          title: PROBLEM_TYPES.missingAuthorization.title,
+          status: 401,
+          detail: 'Missing or invalid "authorization" header.'
+        });
+      });
+    it('should send problem details if digest does not match body',
+      async () => {
+        const url = `${BASE_URL}/problems`;
+        const headers = await signCapabilityInvocation({
+          url, method: 'post',
+          headers: DEFAULT_HEADERS,
+          capability: 'urn:zcap:root:' + encodeURIComponent(url),
+          invocationSigner: await getInvocationSigner({seed: ADMIN_SEED}),
+          capabilityAction: 'write',
+          json: {name: 'test'}
+        });
+        const err = await _postError(
+          {url, headers, json: {name: 'not test'}});
+        err.status.should.equal(400);
+        err.data.type.should.equal(PROBLEM_TYPES.invalidDigest.type);
+      });
+    it('should send problem details if the target does not match',
+      async () => {
+        const url = `${BASE_URL}/problems`;
+        const headers = await signCapabilityInvocation({
+          url, method: 'post',
+          headers: DEFAULT_HEADERS,
+          capability: 'urn:zcap:root:' +
+            encodeURIComponent(`${BASE_URL}/documents`),
+          invocationSigner: await getInvocationSigner({seed: ADMIN_SEED}),
+          capabilityAction: 'write',
+          json: {name: 'test'}
+        });
+        const err = await _postError({url, headers, json: {name: 'test'}});
+        err.status.should.equal(403);
+        err.data.type.should.equal(PROBLEM_TYPES.invalidTarget.type);
+        err.data.status.should.equal(403);
+      });
+    it('should send problem details if a zcap is revoked', async () => {
+      const url = `${BASE_URL}/problems`;
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: url,
+        controller: DELEGATE_ID
+      });
+      revokedZcapIds.add(capability.id);
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED})
+      });
+      let err;
+      try {
+        await zcapClient.write({url, capability, json: {}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(403);
+      err.data.type.should.equal(PROBLEM_TYPES.revokedCapability.type);
+      err.data.detail.should.equal('A capability in the chain was revoked.');
+    });
+    it('should redact problem details', async () => {
+      const err = await _postError({url: `${BASE_URL}/problems-redacted`});
+      err.status.should.equal(401);
+      err.data.should.eql({
+        type: PROBLEM_TYPES.missingAuthorization.type,
+        title: PROBLEM_TYPES.missingAuthorization.title,
+        status: 401
+      });
+    });
+    it('should classify capability errors', async () => {
+      const expectations = [
+        ['The invoked capability has expired.', 'expiredCapability'],
+        ['A capability in the delegation chain has expired.',
+          'expiredCapability'],
+        ['The capability chain exceeds the maximum allowed length of 10.',
+          'chainTooLong'],
+        ['Capability action "read" does not match the expected action of ' +
+          '"write".', 'invalidAction'],
+        ['Signature not verified.', 'notAuthorized']
+      ];
+      for(const [message, name] of expectations) {
+        // zcap errors may be nested in a verification error
+        const error = new Error('Verification error(s).');
+        error.errors = [new Error(message)];
+        const problem = createProblemDetails({error, status: 403});
+        problem.type.should.equal(PROBLEM_TYPES[name].type);
+        problem.detail.should.equal('Verification error(s).');
+      }
+    });
+  });
+  describe('authorizeZcapInvocation w/createCachedRootControllerGetter', () => {
+    afterEach(() => {
+      currentRootController = ROOT_CONTROLLER;
+    });
+    it('should retry with a fresh root controller', async () => {
+      const url = `${BASE_URL}/cached-root-controller`;
+      const adminClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      const delegateClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED})
+      });
+
+      // root controller is looked up once and then cached
+      const lookups = rootControllerLookups;
+      for(let i = 0; i < 2; ++i) {
+        const res = await adminClient.write({url, json: {}});
+        res.status.should.equal(200);
+      }
+      (rootControllerLookups - lookups).should.equal(1);
+
+      // rotated root controller must be accepted despite stale cache entry
+      currentRootController = DELEGATE_ID;
+      const res = await delegateClient.write({url, json: {}});
+      res.status.should.equal(200);
+      (rootControllerLookups - lookups).should.equal(2);
+
+      // previous root controller must no longer be accepted
+      let err;
+      let res2;
+      try {
+        res2 = await adminClient.write({url, json: {}});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res2);
+      should.exist(err);
+      err.status.should.equal(403);
+      (rootControllerLookups - lookups).should.equal(3);
+    });
+    it('should retry a delegated zcap with a fresh root controller',
+      async () => {
+        const url = `${BASE_URL}/cached-root-controller`;
+        const adminClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+        });
+
+        // cache the current root controller
+        let res = await adminClient.write({url, json: {}});
+        res.status.should.equal(200);
+
+        // zcap delegated by a rotated root controller must be accepted
+        currentRootController = DELEGATE_ID;
+        const capability = await delegate({
+          seed: DELEGATE_SEED,
+          rootInvocationTarget: url,
+          controller: ROOT_CONTROLLER
+        });
+        const lookups = rootControllerLookups;
+        res = await adminClient.write({url, capability, json: {}});
+        res.status.should.equal(200);
+        (rootControllerLookups - lookups).should.equal(1);
+      });
+    it('should not retry if the root controller is not the cause',
+      async () => {
+        const url = `${BASE_URL}/cached-root-controller`;
+        const adminClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+        });
+
+        // cache the current root controller
+        const res = await adminClient.write({url, json: {}});
+        res.status.should.equal(200);
+
+        // invoker is not the controller of the delegated zcap
+        const capability = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: url,
+          controller: DELEGATE_ID
+        });
+        const lookups = rootControllerLookups;
+        let err;
+        let res2;
+        try {
+          res2 = await adminClient.write({url, capability, json: {}});
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(res2);
+        should.exist(err);
+        err.status.should.equal(403);
+        (rootControllerLookups - lookups).should.equal(0);
+      });
+  });
+  describe('authorizeZcapRevocation', () => {
+    describe('.../:localId/zcaps/revocations/:revocationId', () => {
+      it('should succeed if correct data is passed', async () => {
         // delegate zcap to access a service object from admin to delegate
         const serviceObjectId = `${BASE_URL}/service-objects/123`;
         const delegatedZcap = await delegate({
@@ -493,11 +1834,7 @@ describe('ezcap-express', () => {
           controller: DELEGATE_ID
         });
 
-        // try to revoke zcap using root zcap for service object
-        const rootCapability = createRootCapability({
-          controller: ROOT_CONTROLLER,
-          invocationTarget: serviceObjectId
-        });
+        // revoke zcap
         const invocationSigner = await getInvocationSigner(
           {seed: DELEGATE_SEED});
         const zcapClient = new ZcapClient({
@@ -510,17 +1847,123 @@ describe('ezcap-express', () => {
         try {
           const url = `${serviceObjectId}/zcaps/revocations/` +
             `${encodeURIComponent(delegatedZcap.id)}`;
-          res = await zcapClient.write({
-            url, capability: rootCapability, json: delegatedZcap
-          });
+          res = await zcapClient.write({url, json: delegatedZcap});
         } catch(e) {
           err = e;
         }
-        should.not.exist(res);
-        should.exist(err);
-        err.status.should.equal(403);
-        err.message.should.include('Forbidden');
-      });
+        should.not.exist(err);
+        should.exist(res);
+        res.status.should.equal(200);
+        res.data.message.should.equal('Revocation was successful.');
+
+        const event = authorizationEvents.at(-1);
+        event.type.should.equal('revocation');
+        event.decision.should.equal('allow');
+        event.capabilityToRevoke.should.eql(delegatedZcap);
+        event.delegator.should.equal(ROOT_CONTROLLER);
+      });
+      it('throws error if capability id starts with ' +
+        '"urn:zcap:root:"', async () => {
+        // try to revoke root zcap
+        const serviceObjectId = `${BASE_URL}/service-objects/123`;
+        const rootCapability = createRootCapability({
+          controller: ROOT_CONTROLLER,
+          invocationTarget: serviceObjectId
+        });
+
+        const invocationSigner = await getInvocationSigner({seed: ADMIN_SEED});
+        const zcapClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner
+        });
+        let err;
+        let res;
+        try {
+          const url = `${serviceObjectId}/zcaps/revocations/` +
+            `${encodeURIComponent(rootCapability.id)}`;
+          res = await zcapClient.write({url, json: rootCapability});
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(res);
+        should.exist(err);
+        err.data.name.should.equal('NotAllowedError');
+        err.data.message.should.equal('A root capability cannot be revoked.');
+      });
+      it('throws error if capability is invalid', async () => {
+        // delegate zcap to access a service object from admin to delegate
+        const serviceObjectId = `${BASE_URL}/service-objects/123`;
+        const delegatedZcap = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId,
+          controller: DELEGATE_ID
+        });
+
+        // make delegated zcap invalid by deleting its `proof`
+        delete delegatedZcap.proof;
+
+        // revoke zcap
+        const invocationSigner = await getInvocationSigner(
+          {seed: DELEGATE_SEED});
+        const zcapClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner
+        });
+        let err;
+        let res;
+        try {
+          const url = `${serviceObjectId}/zcaps/revocations/` +
+            `${encodeURIComponent(delegatedZcap.id)}`;
+          res = await zcapClient.write({url, json: delegatedZcap});
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(res);
+        should.exist(err);
+        err.data.name.should.equal('DataError');
+        err.data.message.should.equal(
+          'The provided capability delegation is invalid.');
+      });
+      it('throws error if not authorized to use root capability for ' +
+        'service object', async () => {
+        // delegate zcap to access a service object from admin to delegate
+        const serviceObjectId = `${BASE_URL}/service-objects/123`;
+        const delegatedZcap = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId,
+          controller: DELEGATE_ID
+        });
+
+        // try to revoke zcap using root zcap for service object
+        const rootCapability = createRootCapability({
+          controller: ROOT_CONTROLLER,
+          invocationTarget: serviceObjectId
+        });
+        const invocationSigner = await getInvocationSigner(
+          {seed: DELEGATE_SEED});
+        const zcapClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner
+        });
+        let err;
+        let res;
+        try {
+          const url = `${serviceObjectId}/zcaps/revocations/` +
+            `${encodeURIComponent(delegatedZcap.id)}`;
+          res = await zcapClient.write({
+            url, capability: rootCapability, json: delegatedZcap
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(res);
+        should.exist(err);
+        err.status.should.equal(403);
+        err.message.should.include('Forbidden');
+      });
       it('should succeed if authorized to use root capability for ' +
         'service object', async () => {
         // delegate zcap to access a service object from admin to delegate
@@ -560,5 +2003,857 @@ describe('ezcap-express', () => {
         res.data.message.should.equal('Revocation was successful.');
       });
     });
+    describe('w/custom routes', () => {
+      async function _revoke({url, capability, json, seed = DELEGATE_SEED}) {
+        const zcapClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner: await getInvocationSigner({seed})
+        });
+        return zcapClient.write({url, capability, json});
+      }
+
+      it('should succeed w/a custom "revocationPath"', async () => {
+        const serviceObjectId = `${BASE_URL}/custom-objects/123`;
+        const delegatedZcap = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId,
+          controller: DELEGATE_ID
+        });
+        const url = `${serviceObjectId}/revocations/` +
+          encodeURIComponent(delegatedZcap.id);
+        const res = await _revoke({url, json: delegatedZcap});
+        res.status.should.equal(200);
+        res.data.message.should.equal('Revocation was successful.');
+      });
+      it('should succeed if the path appears more than once', async () => {
+        const serviceObjectId =
+          `${BASE_URL}/zcaps/revocations/objects/123`;
+        const delegatedZcap = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId,
+          controller: DELEGATE_ID
+        });
+        const url = `${serviceObjectId}/zcaps/revocations/` +
+          encodeURIComponent(delegatedZcap.id);
+        const res = await _revoke({url, json: delegatedZcap});
+        res.status.should.equal(200);
+      });
+      it('should succeed w/"getServiceObjectId"', async () => {
+        const serviceObjectId = `${BASE_URL}/tenant-objects`;
+        const delegatedZcap = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId,
+          controller: DELEGATE_ID
+        });
+        const rootCapability = createRootCapability({
+          controller: ROOT_CONTROLLER,
+          invocationTarget: serviceObjectId
+        });
+        const url = `${serviceObjectId}/123/zcaps/revocations/` +
+          encodeURIComponent(delegatedZcap.id);
+        const res = await _revoke({
+          url, capability: rootCapability.id, json: delegatedZcap,
+          seed: ADMIN_SEED
+        });
+        res.status.should.equal(200);
+      });
+      it('throws error if "revocationPath" is invalid', async () => {
+        let err;
+        try {
+          authorizeZcapRevocation({
+            documentLoader,
+            expectedHost: BASE_HOST,
+            getRootController() {},
+            getVerifier,
+            revocationPath: '/revocations/',
+            suiteFactory() {}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.include('"options.revocationPath"');
+      });
+    });
+    describe('w/handleZcapRevocation', () => {
+      const serviceObjectId = () => `${BASE_URL}/stored-objects/123`;
+
+      async function _revoke({
+        capability, seed = ADMIN_SEED, revocationId = capability.id,
+        objectId = serviceObjectId()
+      }) {
+        const zcapClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner: await getInvocationSigner({seed})
+        });
+        const url = `${objectId}/zcaps/revocations/` +
+          encodeURIComponent(revocationId);
+        return zcapClient.write({url, json: capability});
+      }
+
+      it('should store a revocation idempotently', async () => {
+        const capability = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        });
+
+        const res = await _revoke({capability, seed: DELEGATE_SEED});
+        res.status.should.equal(204);
+        const revocation = await revocationStore.get({id: capability.id});
+        revocation.delegator.should.equal(ROOT_CONTROLLER);
+        revocation.expires.should.eql(new Date(capability.expires));
+
+        // revoking the same zcap again also succeeds
+        const res2 = await _revoke({capability});
+        res2.status.should.equal(204);
+      });
+      it('throws error if an ancestor has been revoked', async () => {
+        const parent = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        });
+        const capability = await delegate({
+          seed: DELEGATE_SEED,
+          capability: parent,
+          controller: ROOT_CONTROLLER
+        });
+
+        const res = await _revoke({capability: parent});
+        res.status.should.equal(204);
+
+        let err;
+        try {
+          await _revoke({capability});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(409);
+        err.data.name.should.equal('NotAllowedError');
+        should.not.exist(await revocationStore.get({id: capability.id}));
+      });
+      it('throws error if the revocation ID does not match', async () => {
+        const capability = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        });
+        const other = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        });
+
+        let err;
+        try {
+          await _revoke({capability, revocationId: other.id});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(400);
+        err.data.name.should.equal('DataError');
+        err.data.message.should.include('does not match the ID of the');
+        should.not.exist(await revocationStore.get({id: capability.id}));
+        should.not.exist(await revocationStore.get({id: other.id}));
+      });
+      it('sends problem details if an ancestor has been revoked', async () => {
+        const objectId = `${BASE_URL}/problem-objects/123`;
+        const parent = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: objectId,
+          controller: DELEGATE_ID
+        });
+        const capability = await delegate({
+          seed: DELEGATE_SEED,
+          capability: parent,
+          controller: ROOT_CONTROLLER
+        });
+
+        const res = await _revoke({capability: parent, objectId});
+        res.status.should.equal(204);
+
+        let err;
+        try {
+          await _revoke({capability, objectId});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(409);
+        err.response.headers.get('content-type').should.include(
+          'application/problem+json');
+        err.data.type.should.equal(PROBLEM_TYPES.revokedCapability.type);
+        err.data.status.should.equal(409);
+      });
+      it('sends problem details if the revocation ID does not match',
+        async () => {
+          const objectId = `${BASE_URL}/problem-objects/123`;
+          const capability = await delegate({
+            seed: ADMIN_SEED,
+            rootInvocationTarget: objectId,
+            controller: DELEGATE_ID
+          });
+
+          let err;
+          try {
+            await _revoke(
+              {capability, objectId, revocationId: `${capability.id}x`});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.status.should.equal(400);
+          err.data.type.should.equal(PROBLEM_TYPES.invalidRequest.type);
+          err.data.detail.should.include('does not match the ID of the');
+        });
+    });
+  });
+
+  describe('authorizeZcapBatchRevocation', () => {
+    const serviceObjectId = () => `${BASE_URL}/stored-objects/789`;
+
+    async function _revokeBatch({
+      json, seed = ADMIN_SEED,
+      // root zcap for the service object
+      capability = `urn:zcap:root:${encodeURIComponent(serviceObjectId())}`
+    }) {
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed})
+      });
+      const url = `${serviceObjectId()}/zcaps/revocations`;
+      return zcapClient.write({url, capability, json});
+    }
+
+    it('should revoke every zcap in a batch', async () => {
+      const capabilities = [];
+      for(let i = 0; i < 2; ++i) {
+        capabilities.push(await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        }));
+      }
+      const rootCapability = createRootCapability({
+        controller: ROOT_CONTROLLER,
+        invocationTarget: serviceObjectId()
+      });
+
+      const res = await _revokeBatch(
+        {json: [...capabilities, rootCapability]});
+      res.status.should.equal(200);
+      res.data.results.should.eql([
+        {id: capabilities[0].id, revoked: true},
+        {id: capabilities[1].id, revoked: true},
+        {
+          id: rootCapability.id,
+          revoked: false,
+          status: 400,
+          error: {
+            name: 'NotAllowedError',
+            message: 'A root capability cannot be revoked.'
+          }
+        }
+      ]);
+      for(const {id} of capabilities) {
+        should.exist(await revocationStore.get({id}));
+      }
+    });
+    it('should emit a revocation event for each zcap', async () => {
+      const capabilities = [];
+      for(let i = 0; i < 2; ++i) {
+        capabilities.push(await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        }));
+      }
+      const rootCapability = createRootCapability({
+        controller: ROOT_CONTROLLER,
+        invocationTarget: serviceObjectId()
+      });
+      authorizationEvents.length = 0;
+
+      const res = await _revokeBatch(
+        {json: [...capabilities, rootCapability]});
+      res.status.should.equal(200);
+      authorizationEvents.length.should.equal(3);
+      for(const [i, capability] of capabilities.entries()) {
+        const event = authorizationEvents[i];
+        event.type.should.equal('revocation');
+        event.decision.should.equal('allow');
+        event.capabilityToRevoke.should.eql(capability);
+        event.delegator.should.equal(ROOT_CONTROLLER);
+      }
+      const event = authorizationEvents[2];
+      event.decision.should.equal('deny');
+      event.capabilityToRevoke.should.eql(rootCapability);
+      event.status.should.equal(400);
+      event.reason.name.should.equal('NotAllowedError');
+    });
+    it('should check the signature before verifying any delegation',
+      async () => {
+        const capability = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        });
+        const url = `${serviceObjectId()}/zcaps/revocations`;
+        const json = [capability];
+        const sign = async ({seed}) => signCapabilityInvocation({
+          url, method: 'post',
+          headers: DEFAULT_HEADERS,
+          invocationSigner: await getInvocationSigner({seed}),
+          capabilityAction: 'write',
+          json
+        });
+        // use the admin key ID with a signature made by another key
+        const headers = await sign({seed: ADMIN_SEED});
+        const {authorization} = await sign({seed: DELEGATE_SEED});
+        const signature = authorization.match(/signature="[^"]+"/)[0];
+        headers.authorization = headers.authorization.replace(
+          /signature="[^"]+"/, signature);
+        batchChainInspections = 0;
+        authorizationEvents.length = 0;
+
+        const err = await _postError({url, headers, json});
+        err.status.should.equal(403);
+        batchChainInspections.should.equal(0);
+        should.not.exist(await revocationStore.get({id: capability.id}));
+        authorizationEvents.length.should.equal(1);
+        authorizationEvents[0].decision.should.equal('deny');
+        authorizationEvents[0].capabilityToRevoke.should.eql(capability);
+      });
+    it('should only let a chain controller revoke via the batch root zcap',
+      async () => {
+        const own = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        });
+        const other = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: 'did:example:other'
+        });
+        const batchRootTarget = `${serviceObjectId()}/zcaps/revocations`;
+
+        const res = await _revokeBatch({
+          json: [own, other],
+          seed: DELEGATE_SEED,
+          capability: `urn:zcap:root:${encodeURIComponent(batchRootTarget)}`
+        });
+        res.status.should.equal(200);
+        res.data.results[0].should.eql({id: own.id, revoked: true});
+        res.data.results[1].revoked.should.equal(false);
+        res.data.results[1].status.should.equal(403);
+        should.not.exist(await revocationStore.get({id: other.id}));
+      });
+    it('should give problem details for zcaps that are not revoked',
+      async () => {
+        const problemObjectId = `${BASE_URL}/problem-objects/456`;
+        const own = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: problemObjectId,
+          controller: DELEGATE_ID
+        });
+        const other = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: problemObjectId,
+          controller: 'did:example:other'
+        });
+        const zcapClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED})
+        });
+        const batchRootTarget = `${problemObjectId}/zcaps/revocations`;
+
+        const res = await zcapClient.write({
+          url: batchRootTarget,
+          capability: `urn:zcap:root:${encodeURIComponent(batchRootTarget)}`,
+          json: [own, other]
+        });
+        res.status.should.equal(200);
+        res.data.results[0].should.eql({id: own.id, revoked: true});
+        const [, {revoked, status, error}] = res.data.results;
+        revoked.should.equal(false);
+        status.should.equal(403);
+        error.should.have.keys(['type', 'title', 'status', 'detail']);
+        error.type.should.equal(PROBLEM_TYPES.notAuthorized.type);
+        error.status.should.equal(403);
+      });
+    it('throws error if the body is not an array of zcaps', async () => {
+      let err;
+      try {
+        await _revokeBatch({json: {}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(400);
+      err.data.name.should.equal('DataError');
+    });
+  });
+
+  describe('authorizeZcapRevocationQuery', () => {
+    const serviceObjectId = () => `${BASE_URL}/stored-objects/456`;
+    let since;
+    let revoked;
+    before(async () => {
+      since = new Date(Date.now() - 1);
+      revoked = [];
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      for(let i = 0; i < 3; ++i) {
+        const capability = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: serviceObjectId(),
+          controller: DELEGATE_ID
+        });
+        const url = `${serviceObjectId()}/zcaps/revocations/` +
+          encodeURIComponent(capability.id);
+        await zcapClient.write({url, json: capability});
+        revoked.push(capability);
+      }
+    });
+
+    async function _read({
+      url, seed = ADMIN_SEED,
+      // root zcap for the service object
+      capability = `urn:zcap:root:${encodeURIComponent(serviceObjectId())}`
+    }) {
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed})
+      });
+      return zcapClient.read({url, capability});
+    }
+
+    it('should get the revocation status of a zcap', async () => {
+      const [capability] = revoked;
+      const url = `${serviceObjectId()}/zcaps/revocations/` +
+        encodeURIComponent(capability.id);
+      const res = await _read({url});
+      res.status.should.equal(200);
+      res.data.should.have.keys(['id', 'delegator', 'expires', 'revoked']);
+      res.data.id.should.equal(capability.id);
+      res.data.delegator.should.equal(ROOT_CONTROLLER);
+      res.data.expires.should.equal(
+        new Date(capability.expires).toISOString());
+    });
+    it('throws error if a zcap has not been revoked', async () => {
+      const url = `${serviceObjectId()}/zcaps/revocations/` +
+        encodeURIComponent('urn:uuid:unknown');
+      let err;
+      try {
+        await _read({url});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(404);
+      err.data.name.should.equal('NotFoundError');
+    });
+    it('should send problem details if a zcap has not been revoked',
+      async () => {
+        const problemObjectId = `${BASE_URL}/problem-objects/456`;
+        const url = `${problemObjectId}/zcaps/revocations/` +
+          encodeURIComponent('urn:uuid:unknown');
+        let err;
+        try {
+          await _read({
+            url,
+            capability: `urn:zcap:root:${encodeURIComponent(problemObjectId)}`
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(404);
+        err.data.should.eql({
+          type: PROBLEM_TYPES.invalidRequest.type,
+          title: PROBLEM_TYPES.invalidRequest.title,
+          status: 404,
+          detail: 'The capability "urn:uuid:unknown" has not been revoked.'
+        });
+      });
+    it('should list revocations in pages', async () => {
+      const base = `${serviceObjectId()}/zcaps/revocations` +
+        `?revokedAfter=${encodeURIComponent(since.toISOString())}&limit=2`;
+      const res = await _read({url: base});
+      res.status.should.equal(200);
+      res.data.revocations.map(({id}) => id).should.eql(
+        revoked.slice(0, 2).map(({id}) => id));
+      should.exist(res.data.cursor);
+
+      const res2 = await _read(
+        {url: `${base}&cursor=${encodeURIComponent(res.data.cursor)}`});
+      res2.data.revocations.map(({id}) => id).should.eql([revoked[2].id]);
+      should.not.exist(res2.data.cursor);
+    });
+    it('should filter revocations by delegator', async () => {
+      const url = `${serviceObjectId()}/zcaps/revocations` +
+        `?delegator=${encodeURIComponent(DELEGATE_ID)}`;
+      const res = await _read({url});
+      res.data.revocations.every(({delegator}) => delegator === DELEGATE_ID)
+        .should.equal(true);
+      res.data.revocations.map(({id}) => id).should.not.include.members(
+        revoked.map(({id}) => id));
+    });
+    it('should allow a delegated zcap to read revocations', async () => {
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: serviceObjectId(),
+        controller: DELEGATE_ID
+      });
+      const url = `${serviceObjectId()}/zcaps/revocations`;
+      const res = await _read({url, seed: DELEGATE_SEED, capability});
+      res.status.should.equal(200);
+    });
+    it('throws error if the invoker is not authorized', async () => {
+      let err;
+      try {
+        await _read({
+          url: `${serviceObjectId()}/zcaps/revocations`, seed: DELEGATE_SEED
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(403);
+    });
+    it('should only read the revocations of the service object', async () => {
+      // another tenant's service object shares the same store
+      const otherObjectId = `${BASE_URL}/stored-objects/999`;
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: otherObjectId,
+        controller: DELEGATE_ID
+      });
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      const statusPath = '/zcaps/revocations/' +
+        encodeURIComponent(capability.id);
+      await zcapClient.write(
+        {url: `${otherObjectId}${statusPath}`, json: capability});
+
+      const res = await _read({
+        url: `${otherObjectId}${statusPath}`,
+        capability: `urn:zcap:root:${encodeURIComponent(otherObjectId)}`
+      });
+      res.status.should.equal(200);
+      res.data.id.should.equal(capability.id);
+
+      let err;
+      try {
+        await _read({url: `${serviceObjectId()}${statusPath}`});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(404);
+
+      const res2 = await _read(
+        {url: `${serviceObjectId()}/zcaps/revocations?limit=100`});
+      const ids = res2.data.revocations.map(({id}) => id);
+      ids.should.include.members(revoked.map(({id}) => id));
+      ids.should.not.include(capability.id);
+    });
+    it('should revoke a zcap with an ID revoked for another service object',
+      async () => {
+        const otherObjectId = `${BASE_URL}/stored-objects/999`;
+        const other = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: otherObjectId,
+          controller: DELEGATE_ID
+        });
+        // this service object's zcap reuses the ID of the other zcap
+        const {id: parentCapability} = createRootCapability(
+          {controller: ROOT_CONTROLLER, invocationTarget: serviceObjectId()});
+        const capability = await jsigs.sign({
+          '@context': zcapConstants.ZCAP_CONTEXT_URL,
+          id: other.id,
+          controller: DELEGATE_ID,
+          parentCapability,
+          invocationTarget: serviceObjectId(),
+          expires: other.expires
+        }, {
+          documentLoader,
+          suite: new Ed25519Signature2020(
+            {signer: await getDelegationSigner({seed: ADMIN_SEED})}),
+          purpose: new CapabilityDelegation({parentCapability})
+        });
+        const zcapClient = new ZcapClient({
+          agent,
+          SuiteClass: Ed25519Signature2020,
+          invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+        });
+        const statusPath = '/zcaps/revocations/' +
+          encodeURIComponent(other.id);
+        for(const [objectId, json] of [
+          [otherObjectId, other], [serviceObjectId(), capability]
+        ]) {
+          const res = await zcapClient.write(
+            {url: `${objectId}${statusPath}`, json});
+          res.status.should.equal(204);
+        }
+
+        const res = await _read({url: `${serviceObjectId()}${statusPath}`});
+        res.status.should.equal(200);
+        res.data.id.should.equal(capability.id);
+        const res2 = await _read(
+          {url: `${serviceObjectId()}/zcaps/revocations?limit=100`});
+        res2.data.revocations.map(({id}) => id).should.include(capability.id);
+      });
+    it('throws error if a query parameter is invalid', async () => {
+      let err;
+      try {
+        await _read({url: `${serviceObjectId()}/zcaps/revocations?limit=0`});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.status.should.equal(400);
+      err.data.message.should.equal('Invalid "limit" query parameter.');
+    });
+    it('should send problem details if a query parameter is invalid',
+      async () => {
+        const problemObjectId = `${BASE_URL}/problem-objects/456`;
+        let err;
+        try {
+          await _read({
+            url: `${problemObjectId}/zcaps/revocations?limit=0`,
+            capability: `urn:zcap:root:${encodeURIComponent(problemObjectId)}`
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(400);
+        err.data.type.should.equal(PROBLEM_TYPES.invalidRequest.type);
+        err.data.detail.should.equal('Invalid "limit" query parameter.');
+      });
+  });
+
+  describe('authorizeZcapDelegation', () => {
+    const serviceObjectId = () => `${BASE_URL}/service-objects/456`;
+    const expires = () => new Date(Date.now() + 60000).toISOString();
+
+    async function _requestDelegation({capability, json, seed}) {
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed})
+      });
+      const url = `${serviceObjectId()}/zcaps/delegations`;
+      return zcapClient.write({url, capability, json});
+    }
+
+    async function _requestDelegationError(options) {
+      let err;
+      try {
+        await _requestDelegation(options);
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      return err;
+    }
+
+    // the admin delegates a write zcap for the service object to the
+    // delegate via the delegation endpoint
+    async function _delegateToDelegate() {
+      const rootCapability = `urn:zcap:root:` +
+        encodeURIComponent(serviceObjectId());
+      const res = await _requestDelegation({
+        capability: rootCapability,
+        json: {
+          controller: DELEGATE_ID, allowedAction: 'write', expires: expires()
+        },
+        seed: ADMIN_SEED
+      });
+      res.status.should.equal(201);
+      return res.data;
+    }
+
+    it('should delegate a zcap', async () => {
+      const capability = await _delegateToDelegate();
+      capability.controller.should.equal(DELEGATE_ID);
+      capability.parentCapability.should.equal(
+        `urn:zcap:root:${encodeURIComponent(serviceObjectId())}`);
+      capability.invocationTarget.should.equal(serviceObjectId());
+      capability.allowedAction.should.eql(['write']);
+      capability.proof.proofPurpose.should.equal('capabilityDelegation');
+    });
+    it('should delegate from the invoked zcap', async () => {
+      // the service's controller holds a delegated zcap for the service object
+      const parent = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: serviceObjectId(),
+        controller: ROOT_CONTROLLER
+      });
+      let res = await _requestDelegation({
+        capability: parent,
+        json: {
+          controller: ROOT_CONTROLLER,
+          invocationTarget: serviceObjectId(),
+          expires: parent.expires
+        },
+        seed: ADMIN_SEED
+      });
+      res.status.should.equal(201);
+      const child = res.data;
+      child.parentCapability.should.equal(parent.id);
+      const {capabilityChain} = child.proof;
+      capabilityChain.length.should.equal(2);
+      capabilityChain[0].should.equal(parent.parentCapability);
+      capabilityChain[1].id.should.equal(parent.id);
+
+      // the delegated zcap can be used to request an attenuated zcap
+      res = await _requestDelegation({
+        capability: child,
+        json: {
+          controller: DELEGATE_ID,
+          invocationTarget: `${serviceObjectId()}/items`,
+          expires: child.expires
+        },
+        seed: ADMIN_SEED
+      });
+      res.status.should.equal(201);
+      res.data.invocationTarget.should.equal(`${serviceObjectId()}/items`);
+      res.data.parentCapability.should.equal(child.id);
+
+      // revoking the parent revokes the delegated zcap
+      await revocationStore.add({
+        capability: parent, delegator: ROOT_CONTROLLER,
+        serviceObjectId: serviceObjectId()
+      });
+      const err = await _requestDelegationError({
+        capability: child,
+        json: {controller: DELEGATE_ID, expires: child.expires},
+        seed: ADMIN_SEED
+      });
+      err.status.should.equal(403);
+      err.data.detail.should.equal(
+        `The capability "${parent.id}" has been revoked.`);
+    });
+    it('throws error if the service does not control the invoked zcap',
+      async () => {
+        const capability = await _delegateToDelegate();
+        const err = await _requestDelegationError({
+          capability,
+          json: {controller: ROOT_CONTROLLER, expires: capability.expires},
+          seed: DELEGATE_SEED
+        });
+        err.status.should.equal(403);
+        err.data.detail.should.equal(
+          'The delegation signer is not a controller of the invoked ' +
+          'capability.');
+      });
+    it('should only append parameters to a target with a query', async () => {
+      const target = `${serviceObjectId()}/zcaps/delegations?tenant=1`;
+      const rootCapability = `urn:zcap:root:` +
+        encodeURIComponent(serviceObjectId());
+      let res = await _requestDelegation({
+        capability: rootCapability,
+        json: {
+          controller: ROOT_CONTROLLER, invocationTarget: target,
+          expires: expires()
+        },
+        seed: ADMIN_SEED
+      });
+      res.status.should.equal(201);
+      const capability = res.data;
+
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      const _request = invocationTarget => zcapClient.write({
+        url: target, capability,
+        json: {
+          controller: DELEGATE_ID, invocationTarget,
+          expires: capability.expires
+        }
+      });
+      res = await _request(`${target}&limit=10`);
+      res.status.should.equal(201);
+      for(const invocationTarget of [`${target}/items`, `${target}?x=1`]) {
+        let err;
+        try {
+          await _request(invocationTarget);
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.status.should.equal(403);
+        err.data.type.should.equal(PROBLEM_TYPES.invalidTarget.type);
+      }
+    });
+    it('throws error if the target is not attenuated', async () => {
+      const capability = await _delegateToDelegate();
+      const err = await _requestDelegationError({
+        capability,
+        json: {
+          controller: ROOT_CONTROLLER,
+          invocationTarget: `${BASE_URL}/service-objects/4567`,
+          expires: expires()
+        },
+        seed: DELEGATE_SEED
+      });
+      err.status.should.equal(403);
+      err.data.type.should.equal(PROBLEM_TYPES.invalidTarget.type);
+    });
+    it('throws error if the action is not attenuated', async () => {
+      const capability = await _delegateToDelegate();
+      const err = await _requestDelegationError({
+        capability,
+        json: {
+          controller: ROOT_CONTROLLER,
+          allowedAction: ['read', 'write'],
+          expires: expires()
+        },
+        seed: DELEGATE_SEED
+      });
+      err.status.should.equal(403);
+      err.data.type.should.equal(PROBLEM_TYPES.invalidAction.type);
+    });
+    it('throws error if it would expire after the invoked zcap', async () => {
+      const capability = await _delegateToDelegate();
+      const err = await _requestDelegationError({
+        capability,
+        json: {
+          controller: ROOT_CONTROLLER,
+          expires: new Date(Date.now() + 120000).toISOString()
+        },
+        seed: DELEGATE_SEED
+      });
+      err.status.should.equal(403);
+      err.data.detail.should.include('is after the invoked capability');
+    });
+    it('throws error if the request is malformed', async () => {
+      const err = await _requestDelegationError({
+        capability: `urn:zcap:root:${encodeURIComponent(serviceObjectId())}`,
+        json: {controller: 'not a URI', expires: expires()},
+        seed: ADMIN_SEED
+      });
+      err.status.should.equal(400);
+      err.data.detail.should.include('"controller"');
+    });
   });
 });
@@ -0,0 +1,221 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  delegate, getInvocationSigner, getVerifier
+} from './helpers.js';
+import {
+  fastifyAuthorizeZcapInvocation, fastifyAuthorizeZcapRevocation
+} from '../lib/index.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import Fastify from 'fastify';
+import {fileURLToPath} from 'node:url';
+import fs from 'node:fs';
+import {httpClient} from '@digitalbazaar/http-client';
+import https from 'node:https';
+import net from 'node:net';
+import path from 'node:path';
+import {securityLoader} from '@digitalbazaar/security-document-loader';
+import {ZcapClient} from '@digitalbazaar/ezcap';
+import {constants as zcapConstants} from '@digitalbazaar/zcap';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const loader = securityLoader();
+loader.addStatic(
+  zcapConstants.ZCAP_CONTEXT_URL, zcapConstants.ZCAP_CONTEXT);
+
+const documentLoader = loader.build();
+
+// set in `before`
+// host:port
+let BASE_HOST;
+// https://host:port
+let BASE_URL;
+
+const key = fs.readFileSync(__dirname + '/key.pem');
+const cert = fs.readFileSync(__dirname + '/cert.pem');
+
+// admin party / root controller used in tests
+const ADMIN_SEED = 'z1AZK4h5w5YZkKYEgqtcFfvSbWQ3tZ3ZFgmLsXMZsTVoeK7';
+const ROOT_CONTROLLER =
+  'did:key:z6Mkfeco2NSEPeFV3DkjNSabaCza1EoS3CmqLb1eJ5BriiaR';
+
+// delegate party used in tests
+const DELEGATE_SEED = 'z1AnZce3gUvSfVbsbqpgH9LNtmBuve4zQdYwdpEp22YQzB4';
+const DELEGATE_ID = 'did:key:z6Mki68HpLhwaUZub3dqbmGCiMm9GfjzX9pBiK8hvezxuCix';
+
+// HTTPS agent that ignores TLS errors as test server has invalid cert
+const agent = new https.Agent({rejectUnauthorized: false});
+
+function _setupApp({app}) {
+  const authorizeDocuments = fastifyAuthorizeZcapInvocation({
+    documentLoader,
+    getExpectedValues() {
+      return {
+        host: BASE_HOST,
+        rootInvocationTarget: [`${BASE_URL}/documents`]
+      };
+    },
+    getRootController() {
+      // root controller(Admin DID)
+      return ROOT_CONTROLLER;
+    },
+    getVerifier,
+    suiteFactory() {
+      return new Ed25519Signature2020();
+    }
+  });
+  app.post('/documents', {
+    preHandler: authorizeDocuments
+  }, async request => {
+    return {
+      format: request.ezcap.signature.format,
+      invoker: request.zcap.invoker
+    };
+  });
+  app.get('/documents', {
+    preHandler: [
+      // simulates a body set without content headers, e.g., by a plugin
+      async request => {
+        request.body = {name: 'unsigned'};
+      },
+      authorizeDocuments
+    ]
+  }, async request => {
+    return {body: request.body ?? null};
+  });
+
+  app.post('/service-objects/:localId/zcaps/revocations/:revocationId', {
+    preHandler: fastifyAuthorizeZcapRevocation({
+      documentLoader,
+      expectedHost: BASE_HOST,
+      getRootController() {
+        // root controller(Admin DID)
+        return ROOT_CONTROLLER;
+      },
+      inspectCapabilityChain() {
+        // checking previously revoked zcaps is not part of the tests
+        return {valid: true};
+      },
+      getVerifier,
+      suiteFactory() {
+        return new Ed25519Signature2020();
+      }
+    })
+  }, async request => {
+    return {delegator: request.zcapRevocation.delegator};
+  });
+}
+
+// routes cannot be added once fastify is listening, so find a free port
+// to compute the expected host from first
+function _getFreePort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, () => {
+      const {port} = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+let app;
+before(async () => {
+  const port = await _getFreePort();
+  BASE_HOST = `localhost:${port}`;
+  BASE_URL = `https://${BASE_HOST}`;
+  app = Fastify({https: {key, cert}});
+  _setupApp({app});
+  await app.listen({port});
+});
+
+after(async () => {
+  await app.close();
+});
+
+describe('ezcap-express w/fastify', () => {
+  describe('fastifyAuthorizeZcapInvocation', () => {
+    it('should succeed if correct data is passed', async () => {
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      const res = await zcapClient.write(
+        {url: `${BASE_URL}/documents`, json: {name: 'test'}});
+      res.status.should.equal(200);
+      res.data.format.should.equal('draft-cavage-http-signatures');
+      res.data.invoker.should.equal(ROOT_CONTROLLER);
+    });
+    it('should error if missing authorization header', async () => {
+      let res;
+      let err;
+      try {
+        res = await httpClient.post(`${BASE_URL}/documents`, {
+          agent,
+          json: {}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res);
+      should.exist(err);
+      err.status.should.equal(401);
+      err.data.message.should.equal(
+        'Missing or invalid "authorization" header.');
+      should.exist(err.response.headers.get('www-authenticate'));
+    });
+    it('should throw forbidden error if the authorized invoker does not ' +
+      'match the controller', async () => {
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED})
+      });
+      let res;
+      let err;
+      try {
+        res = await zcapClient.write(
+          {url: `${BASE_URL}/documents`, json: {name: 'test'}});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(res);
+      should.exist(err);
+      err.status.should.equal(403);
+    });
+    it('should clear a body set without content headers', async () => {
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: ADMIN_SEED})
+      });
+      const res = await zcapClient.read({url: `${BASE_URL}/documents`});
+      res.status.should.equal(200);
+      should.not.exist(res.data.body);
+    });
+  });
+  describe('fastifyAuthorizeZcapRevocation', () => {
+    it('should succeed if correct data is passed', async () => {
+      // delegate zcap to access a service object from admin to delegate
+      const serviceObjectId = `${BASE_URL}/service-objects/123`;
+      const delegatedZcap = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: serviceObjectId,
+        controller: DELEGATE_ID
+      });
+
+      // revoke zcap
+      const zcapClient = new ZcapClient({
+        agent,
+        SuiteClass: Ed25519Signature2020,
+        invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED})
+      });
+      const url = `${serviceObjectId}/zcaps/revocations/` +
+        `${encodeURIComponent(delegatedZcap.id)}`;
+      const res = await zcapClient.write({url, json: delegatedZcap});
+      res.status.should.equal(200);
+      res.data.delegator.should.equal(ROOT_CONTROLLER);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  authorizeZcapRequest, CapabilityChainCache, createZcapRequestAuthorizer
+} from '../lib/index.js';
+import {delegate, getInvocationSigner, getVerifier} from './helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {securityLoader} from '@digitalbazaar/security-document-loader';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
+import {constants as zcapConstants} from '@digitalbazaar/zcap';
+
+const loader = securityLoader();
+loader.addStatic(
+  zcapConstants.ZCAP_CONTEXT_URL, zcapConstants.ZCAP_CONTEXT);
+
+const documentLoader = loader.build();
+
+const BASE_HOST = 'zcap.example';
+const BASE_URL = `https://${BASE_HOST}`;
+
+// admin party / root controller used in tests
+const ADMIN_SEED = 'z1AZK4h5w5YZkKYEgqtcFfvSbWQ3tZ3ZFgmLsXMZsTVoeK7';
+const ROOT_CONTROLLER =
+  'did:key:z6Mkfeco2NSEPeFV3DkjNSabaCza1EoS3CmqLb1eJ5BriiaR';
+
+// delegate party used in tests
+const DELEGATE_SEED = 'z1AnZce3gUvSfVbsbqpgH9LNtmBuve4zQdYwdpEp22YQzB4';
+const DELEGATE_ID = 'did:key:z6Mki68HpLhwaUZub3dqbmGCiMm9GfjzX9pBiK8hvezxuCix';
+
+const options = {
+  documentLoader,
+  getExpectedValues() {
+    return {
+      host: BASE_HOST,
+      rootInvocationTarget: [`${BASE_URL}/documents`]
+    };
+  },
+  getRootController() {
+    // root controller(Admin DID)
+    return ROOT_CONTROLLER;
+  },
+  getVerifier,
+  suiteFactory() {
+    return new Ed25519Signature2020();
+  }
+};
+
+async function _createRequest({
+  seed = ADMIN_SEED, capability, json = {name: 'test'},
+  body = JSON.stringify(json)
+} = {}) {
+  const url = `${BASE_URL}/documents`;
+  const headers = await signCapabilityInvocation({
+    url, method: 'post',
+    headers: {accept: 'application/json', 'content-type': 'application/json'},
+    invocationSigner: await getInvocationSigner({seed}),
+    capability,
+    capabilityAction: 'write',
+    json
+  });
+  return new Request(url, {method: 'POST', headers, body});
+}
+
+describe('ezcap-express w/Fetch API', () => {
+  describe('authorizeZcapRequest', () => {
+    it('should succeed if correct data is passed', async () => {
+      const request = await _createRequest();
+      const result = await authorizeZcapRequest({request, ...options});
+      should.not.exist(result.error);
+      result.verified.should.equal(true);
+      result.zcap.invoker.should.equal(ROOT_CONTROLLER);
+      result.ezcap.expectedAction.should.equal('write');
+      request.zcap.should.equal(result.zcap);
+      // body must still be readable after authorization
+      const json = await request.json();
+      json.should.eql({name: 'test'});
+    });
+    it('should error if missing authorization header', async () => {
+      const request = new Request(`${BASE_URL}/documents`, {
+        method: 'POST',
+        headers: {'content-type': 'application/json'},
+        body: '{}'
+      });
+      const result = await authorizeZcapRequest({request, ...options});
+      result.verified.should.equal(false);
+      result.status.should.equal(401);
+      result.error.message.should.equal(
+        'Missing or invalid "authorization" header.');
+      result.headers['www-authenticate'].should.equal(
+        'Signature realm="zcap.example", headers="(key-id) (created) ' +
+        '(expires) (request-target) host capability-invocation ' +
+        'content-type digest", algorithms="ed25519", ' +
+        'root-invocation-target="https://zcap.example/documents"');
+    });
+    it('should error if digest header value does not match digest of body',
+      async () => {
+        const request = await _createRequest(
+          {body: JSON.stringify({name: 'other'})});
+        const result = await authorizeZcapRequest({request, ...options});
+        result.verified.should.equal(false);
+        result.status.should.equal(400);
+        result.error.message.should.equal(
+          'The "digest" header value does not match digest of body.');
+      });
+    it('should return forbidden status if the authorized invoker does not ' +
+      'match the controller', async () => {
+      const request = await _createRequest({seed: DELEGATE_SEED});
+      const result = await authorizeZcapRequest({request, ...options});
+      result.verified.should.equal(false);
+      result.status.should.equal(403);
+      should.exist(result.error);
+      should.not.exist(result.zcap);
+    });
+  });
+  describe('createZcapRequestAuthorizer w/rateLimit', () => {
+    it('should not take tokens if any limit is exceeded', async () => {
+      const authorize = createZcapRequestAuthorizer({
+        ...options,
+        rateLimit: {
+          getLimits() {
+            return [
+              {key: 'invoker', capacity: 2, refillRate: 0},
+              {key: 'capability', capacity: 1, refillRate: 0}
+            ];
+          }
+        }
+      });
+      let result = await authorize({request: await _createRequest()});
+      result.verified.should.equal(true);
+
+      // root zcap quota is used up, so the invoker's quota must be unchanged
+      result = await authorize({request: await _createRequest()});
+      result.verified.should.equal(false);
+      result.status.should.equal(429);
+      result.error.message.should.equal(
+        'The rate limit for the capability has been exceeded.');
+
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: `${BASE_URL}/documents`,
+        controller: ROOT_CONTROLLER
+      });
+      result = await authorize({request: await _createRequest({capability})});
+      result.verified.should.equal(true);
+
+      // invoker quota is now used up
+      const otherCapability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: `${BASE_URL}/documents`,
+        controller: ROOT_CONTROLLER
+      });
+      result = await authorize(
+        {request: await _createRequest({capability: otherCapability})});
+      result.verified.should.equal(false);
+      result.status.should.equal(429);
+      result.error.message.should.equal(
+        'The rate limit for the invoker has been exceeded.');
+    });
+    it('should throw if "authorizeZcapRequest" has no rate limit store',
+      async () => {
+        let err;
+        try {
+          await authorizeZcapRequest({
+            request: await _createRequest(), ...options,
+            rateLimit: {
+              getLimits() {
+                return {key: 'invoker', capacity: 1, refillRate: 0};
+              }
+            }
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('TypeError');
+        err.message.should.include('"options.rateLimit.store" must be given');
+      });
+  });
+  describe('authorizeZcapRequest w/chainCache', () => {
+    it('should not reuse a result verified by another suite', async () => {
+      class OtherSuite extends Ed25519Signature2020 {}
+      const chainCache = new CapabilityChainCache();
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: `${BASE_URL}/documents`,
+        controller: DELEGATE_ID
+      });
+      const suites = [
+        new Ed25519Signature2020(), new Ed25519Signature2020(), new OtherSuite()
+      ];
+      for(const suite of suites) {
+        const request = await _createRequest({seed: DELEGATE_SEED, capability});
+        const result = await authorizeZcapRequest({
+          request, ...options, chainCache,
+          suiteFactory() {
+            return suite;
+          }
+        });
+        result.verified.should.equal(true);
+      }
+      chainCache.stats.should.eql({hits: 1, misses: 2, size: 2});
+    });
+  });
+});
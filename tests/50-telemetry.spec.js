@@ -0,0 +1,177 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getInvocationSigner, getVerifier} from './helpers.js';
+import {metrics, trace} from '@opentelemetry/api';
+import {authorizeZcapRequest} from '../lib/index.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {securityLoader} from '@digitalbazaar/security-document-loader';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
+import {constants as zcapConstants} from '@digitalbazaar/zcap';
+
+const loader = securityLoader();
+loader.addStatic(
+  zcapConstants.ZCAP_CONTEXT_URL, zcapConstants.ZCAP_CONTEXT);
+
+const documentLoader = loader.build();
+
+const BASE_URL = 'https://zcap.example';
+
+// admin party / root controller used in tests
+const ADMIN_SEED = 'z1AZK4h5w5YZkKYEgqtcFfvSbWQ3tZ3ZFgmLsXMZsTVoeK7';
+const ROOT_CONTROLLER =
+  'did:key:z6Mkfeco2NSEPeFV3DkjNSabaCza1EoS3CmqLb1eJ5BriiaR';
+
+const options = {
+  documentLoader,
+  getExpectedValues() {
+    return {
+      host: 'zcap.example',
+      rootInvocationTarget: [`${BASE_URL}/documents`]
+    };
+  },
+  getRootController() {
+    // root controller(Admin DID)
+    return ROOT_CONTROLLER;
+  },
+  getVerifier,
+  suiteFactory() {
+    return new Ed25519Signature2020();
+  }
+};
+
+// minimal in-memory OpenTelemetry tracer and meter providers
+const spans = [];
+const measurements = [];
+
+class TestSpan {
+  constructor(name) {
+    this.name = name;
+    this.attributes = {};
+    this.ended = false;
+  }
+  isRecording() {
+    return true;
+  }
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+  setStatus(status) {
+    this.status = status;
+    return this;
+  }
+  recordException() {}
+  end() {
+    this.ended = true;
+  }
+}
+
+const tracerProvider = {
+  getTracer() {
+    return {
+      startActiveSpan(name, fn) {
+        const span = new TestSpan(name);
+        spans.push(span);
+        return fn(span);
+      }
+    };
+  }
+};
+
+const meterProvider = {
+  getMeter() {
+    const instrument = name => ({
+      add(value, attributes) {
+        measurements.push({name, value, attributes});
+      },
+      record(value, attributes) {
+        measurements.push({name, value, attributes});
+      }
+    });
+    return {createCounter: instrument, createHistogram: instrument};
+  }
+};
+
+describe('ezcap-express w/OpenTelemetry', () => {
+  before(() => {
+    trace.setGlobalTracerProvider(tracerProvider);
+    metrics.setGlobalMeterProvider(meterProvider);
+  });
+  after(() => {
+    trace.disable();
+    metrics.disable();
+  });
+  beforeEach(() => {
+    spans.length = 0;
+    measurements.length = 0;
+  });
+
+  it('should create spans and record metrics when allowed', async () => {
+    const url = `${BASE_URL}/documents`;
+    const json = {name: 'test'};
+    const headers = await signCapabilityInvocation({
+      url, method: 'post',
+      headers: {'content-type': 'application/json'},
+      invocationSigner: await getInvocationSigner({seed: ADMIN_SEED}),
+      capabilityAction: 'write',
+      json
+    });
+    const request = new Request(url, {
+      method: 'POST', headers, body: JSON.stringify(json)
+    });
+    const result = await authorizeZcapRequest({request, ...options});
+    result.verified.should.equal(true);
+
+    spans.map(({name}) => name).should.include.members([
+      'ezcap.authorize_invocation',
+      'ezcap.verify_digest',
+      'ezcap.get_expected_values',
+      'ezcap.verify_invocation',
+      'ezcap.get_verifier',
+      'ezcap.verify_signature',
+      'ezcap.verify_capability_chain',
+      'ezcap.get_root_controller',
+      'ezcap.load_document'
+    ]);
+    spans.every(({ended}) => ended).should.equal(true);
+    const [root] = spans;
+    root.name.should.equal('ezcap.authorize_invocation');
+    root.attributes['ezcap.decision'].should.equal('allow');
+
+    const names = measurements.map(({name}) => name);
+    names.should.have.members([
+      'ezcap.authorization.duration',
+      'ezcap.authorization.outcomes',
+      'ezcap.capability_chain.length'
+    ]);
+    const chainLength = measurements.find(
+      ({name}) => name === 'ezcap.capability_chain.length');
+    chainLength.value.should.equal(1);
+  });
+  it('should record the problem type when denied', async () => {
+    const request = new Request(`${BASE_URL}/documents`, {
+      method: 'POST',
+      headers: {'content-type': 'application/json'},
+      body: '{}'
+    });
+    const result = await authorizeZcapRequest({request, ...options});
+    result.verified.should.equal(false);
+
+    const outcome = measurements.find(
+      ({name}) => name === 'ezcap.authorization.outcomes');
+    outcome.attributes.should.eql({
+      'ezcap.type': 'invocation',
+      'ezcap.decision': 'deny',
+      'ezcap.problem_type':
+        'tag:digitalbazaar.com,2026:ezcap:problems:missing-authorization'
+    });
+    spans[0].attributes['ezcap.decision'].should.equal('deny');
+    should.exist(spans[0].status);
+  });
+});
@@ -0,0 +1,237 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  authorizeZcapRequest, createRevocationInspector, FileRevocationStore,
+  MemoryRevocationStore
+} from '../lib/index.js';
+import {delegate, getInvocationSigner, getVerifier} from './helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {securityLoader} from '@digitalbazaar/security-document-loader';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
+import {constants as zcapConstants} from '@digitalbazaar/zcap';
+
+const loader = securityLoader();
+loader.addStatic(
+  zcapConstants.ZCAP_CONTEXT_URL, zcapConstants.ZCAP_CONTEXT);
+
+const documentLoader = loader.build();
+
+const BASE_HOST = 'zcap.example';
+const BASE_URL = `https://${BASE_HOST}`;
+
+// admin party / root controller used in tests
+const ADMIN_SEED = 'z1AZK4h5w5YZkKYEgqtcFfvSbWQ3tZ3ZFgmLsXMZsTVoeK7';
+const ROOT_CONTROLLER =
+  'did:key:z6Mkfeco2NSEPeFV3DkjNSabaCza1EoS3CmqLb1eJ5BriiaR';
+
+// delegate party used in tests
+const DELEGATE_SEED = 'z1AnZce3gUvSfVbsbqpgH9LNtmBuve4zQdYwdpEp22YQzB4';
+const DELEGATE_ID = 'did:key:z6Mki68HpLhwaUZub3dqbmGCiMm9GfjzX9pBiK8hvezxuCix';
+
+const options = {
+  documentLoader,
+  getExpectedValues() {
+    return {
+      host: BASE_HOST,
+      rootInvocationTarget: [`${BASE_URL}/documents`]
+    };
+  },
+  getRootController() {
+    // root controller(Admin DID)
+    return ROOT_CONTROLLER;
+  },
+  getVerifier,
+  suiteFactory() {
+    return new Ed25519Signature2020();
+  }
+};
+
+async function _createRequest({capability}) {
+  const url = `${BASE_URL}/documents`;
+  const json = {name: 'test'};
+  const headers = await signCapabilityInvocation({
+    url, method: 'post',
+    headers: {'content-type': 'application/json'},
+    invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED}),
+    capability,
+    capabilityAction: 'write',
+    json
+  });
+  return new Request(url, {
+    method: 'POST', headers, body: JSON.stringify(json)
+  });
+}
+
+function _createCapability({id = `urn:uuid:${crypto.randomUUID()}`, expires}) {
+  return {id, expires: expires.toISOString()};
+}
+
+describe('ezcap-express w/revocations', () => {
+  describe('MemoryRevocationStore', () => {
+    it('should add and find revocations', async () => {
+      const store = new MemoryRevocationStore();
+      const capability = _createCapability(
+        {expires: new Date(Date.now() + 60000)});
+      (await store.add({capability, delegator: ROOT_CONTROLLER}))
+        .should.equal(true);
+      (await store.add({capability, delegator: ROOT_CONTROLLER}))
+        .should.equal(false);
+
+      const revocation = await store.get({id: capability.id});
+      revocation.id.should.equal(capability.id);
+      revocation.delegator.should.equal(ROOT_CONTROLLER);
+      revocation.expires.toISOString().should.equal(capability.expires);
+      revocation.revoked.should.be.a('date');
+      revocation.capability.should.equal(capability);
+
+      const revocations = await store.find(
+        {ids: ['urn:uuid:other', capability.id]});
+      revocations.should.eql([revocation]);
+    });
+    it('should keep the revocations of each service object', async () => {
+      const store = new MemoryRevocationStore();
+      const capability = _createCapability(
+        {expires: new Date(Date.now() + 60000)});
+      for(const serviceObjectId of [`${BASE_URL}/a`, `${BASE_URL}/b`]) {
+        (await store.add({
+          capability, delegator: ROOT_CONTROLLER, serviceObjectId
+        })).should.equal(true);
+      }
+      (await store.get({id: capability.id, serviceObjectId: `${BASE_URL}/b`}))
+        .serviceObjectId.should.equal(`${BASE_URL}/b`);
+      (await store.find({ids: [capability.id]})).length.should.equal(2);
+    });
+    it('should purge revocations of expired zcaps', async () => {
+      const store = new MemoryRevocationStore({maxClockSkew: 0});
+      const capability = _createCapability(
+        {expires: new Date(Date.now() + 50)});
+      await store.add({capability, delegator: ROOT_CONTROLLER});
+      should.exist(await store.get({id: capability.id}));
+
+      await new Promise(resolve => setTimeout(resolve, 100));
+      should.not.exist(await store.get({id: capability.id}));
+      (await store.find({ids: [capability.id]})).should.eql([]);
+    });
+  });
+
+  describe('FileRevocationStore', () => {
+    let dir;
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ezcap-revocations-'));
+    });
+    after(async () => {
+      await fs.rm(dir, {recursive: true, force: true});
+    });
+
+    it('should persist revocations to its file', async () => {
+      const file = path.join(dir, 'revocations.json');
+      const capability = _createCapability(
+        {expires: new Date(Date.now() + 60000)});
+      const expired = _createCapability(
+        {expires: new Date(Date.now() - 600000)});
+      const store = new FileRevocationStore({path: file});
+      await Promise.all([
+        store.add({capability, delegator: ROOT_CONTROLLER}),
+        store.add({capability: expired, delegator: ROOT_CONTROLLER})
+      ]);
+
+      const store2 = new FileRevocationStore({path: file});
+      const revocation = await store2.get({id: capability.id});
+      revocation.delegator.should.equal(ROOT_CONTROLLER);
+      revocation.expires.should.eql(new Date(capability.expires));
+      should.not.exist(await store2.get({id: expired.id}));
+      (await store2.add({capability, delegator: ROOT_CONTROLLER}))
+        .should.equal(false);
+    });
+    it('should not keep a revocation that was not written', async () => {
+      const file = path.join(dir, 'missing', 'revocations.json');
+      const capability = _createCapability(
+        {expires: new Date(Date.now() + 60000)});
+      const store = new FileRevocationStore({path: file});
+      for(let i = 0; i < 2; ++i) {
+        let err;
+        try {
+          await store.add({capability, delegator: ROOT_CONTROLLER});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.code.should.equal('ENOENT');
+        should.not.exist(await store.get({id: capability.id}));
+      }
+    });
+  });
+
+  describe('createRevocationInspector', () => {
+    it('should reject a chain with a revoked zcap', async () => {
+      const store = new MemoryRevocationStore();
+      const inspectCapabilityChain = createRevocationInspector({store});
+      const capability = await delegate({
+        seed: ADMIN_SEED,
+        rootInvocationTarget: `${BASE_URL}/documents`,
+        controller: DELEGATE_ID
+      });
+
+      let result = await authorizeZcapRequest({
+        request: await _createRequest({capability}),
+        ...options, inspectCapabilityChain
+      });
+      result.verified.should.equal(true);
+
+      await store.add({capability, delegator: ROOT_CONTROLLER});
+      result = await authorizeZcapRequest({
+        request: await _createRequest({capability}),
+        ...options, inspectCapabilityChain, problemDetails: true
+      });
+      result.verified.should.equal(false);
+      result.status.should.equal(403);
+      result.problem.type.should.equal(
+        'tag:digitalbazaar.com,2026:ezcap:problems:revoked-capability');
+      result.problem.detail.should.include(
+        `The capability "${capability.id}" has been revoked.`);
+    });
+    it('should not reject a zcap revoked under another service object',
+      async () => {
+        // two service objects share the store; a zcap delegated from the
+        // root of the other service object reuses the ID of this zcap
+        const store = new MemoryRevocationStore();
+        const inspectCapabilityChain = createRevocationInspector({store});
+        const capability = await delegate({
+          seed: ADMIN_SEED,
+          rootInvocationTarget: `${BASE_URL}/documents`,
+          controller: DELEGATE_ID
+        });
+        const other = await delegate({
+          seed: DELEGATE_SEED,
+          rootInvocationTarget: `${BASE_URL}/other`,
+          controller: DELEGATE_ID
+        });
+        await store.add({
+          capability: {...other, id: capability.id},
+          delegator: DELEGATE_ID,
+          serviceObjectId: `${BASE_URL}/other`
+        });
+
+        let result = await authorizeZcapRequest({
+          request: await _createRequest({capability}),
+          ...options, inspectCapabilityChain
+        });
+        result.verified.should.equal(true);
+
+        await store.add({
+          capability, delegator: ROOT_CONTROLLER,
+          serviceObjectId: `${BASE_URL}/documents`
+        });
+        result = await authorizeZcapRequest({
+          request: await _createRequest({capability}),
+          ...options, inspectCapabilityChain
+        });
+        result.verified.should.equal(false);
+      });
+  });
+});
@@ -0,0 +1,178 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {authorizeZcapRequest, PROBLEM_TYPES} from '../lib/index.js';
+import {
+  createRootCapability,
+  constants as zcapConstants
+} from '@digitalbazaar/zcap';
+import {
+  delegate, getDelegationSigner, getInvocationSigner, getVerifier
+} from './helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {securityLoader} from '@digitalbazaar/security-document-loader';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
+import {ZcapClient} from '@digitalbazaar/ezcap';
+
+const loader = securityLoader();
+loader.addStatic(
+  zcapConstants.ZCAP_CONTEXT_URL, zcapConstants.ZCAP_CONTEXT);
+
+const documentLoader = loader.build();
+
+const BASE_HOST = 'zcap.example';
+const BASE_URL = `https://${BASE_HOST}`;
+const ROOT_TARGET = `${BASE_URL}/documents`;
+
+// admin party / root controller used in tests
+const ADMIN_SEED = 'z1AZK4h5w5YZkKYEgqtcFfvSbWQ3tZ3ZFgmLsXMZsTVoeK7';
+const ROOT_CONTROLLER =
+  'did:key:z6Mkfeco2NSEPeFV3DkjNSabaCza1EoS3CmqLb1eJ5BriiaR';
+
+// delegate party used in tests
+const DELEGATE_SEED = 'z1AnZce3gUvSfVbsbqpgH9LNtmBuve4zQdYwdpEp22YQzB4';
+const DELEGATE_ID = 'did:key:z6Mki68HpLhwaUZub3dqbmGCiMm9GfjzX9pBiK8hvezxuCix';
+
+const options = {
+  documentLoader,
+  getExpectedValues() {
+    return {
+      host: BASE_HOST,
+      rootInvocationTarget: [ROOT_TARGET]
+    };
+  },
+  getRootController() {
+    // root controller(Admin DID)
+    return ROOT_CONTROLLER;
+  },
+  getVerifier,
+  problemDetails: true,
+  suiteFactory() {
+    return new Ed25519Signature2020();
+  }
+};
+
+// delegates a zcap for `ROOT_TARGET` from the admin to the delegate
+async function _delegate({allowedActions, expires} = {}) {
+  const zcapClient = new ZcapClient({
+    SuiteClass: Ed25519Signature2020,
+    delegationSigner: await getDelegationSigner({seed: ADMIN_SEED})
+  });
+  return zcapClient.delegate({
+    capability: createRootCapability(
+      {controller: ROOT_CONTROLLER, invocationTarget: ROOT_TARGET}),
+    controller: DELEGATE_ID,
+    allowedActions,
+    expires
+  });
+}
+
+async function _authorize({
+  capability, delegationPolicy, seed = DELEGATE_SEED
+}) {
+  const url = `${ROOT_TARGET}/123`;
+  const json = {name: 'test'};
+  const headers = await signCapabilityInvocation({
+    url, method: 'post',
+    headers: {'content-type': 'application/json'},
+    invocationSigner: await getInvocationSigner({seed}),
+    capability,
+    capabilityAction: 'write',
+    json
+  });
+  const request = new Request(url, {
+    method: 'POST', headers, body: JSON.stringify(json)
+  });
+  return authorizeZcapRequest({request, ...options, delegationPolicy});
+}
+
+function _shouldViolate({result, detail}) {
+  result.verified.should.equal(false);
+  result.status.should.equal(403);
+  result.problem.type.should.equal(
+    PROBLEM_TYPES.delegationPolicyViolation.type);
+  result.problem.detail.should.include(detail);
+}
+
+describe('ezcap-express w/delegationPolicy', () => {
+  it('should allow a chain that satisfies the policy', async () => {
+    const capability = await _delegate({allowedActions: ['write']});
+    const result = await _authorize({
+      capability,
+      delegationPolicy: {
+        controllers: {allow: ['did:key']},
+        requireActionNarrowing: true,
+        roots: [{
+          invocationTarget: ROOT_TARGET, allowedActions: ['read', 'write'],
+          maxDepth: 1
+        }],
+        targetTtls: [{invocationTarget: ROOT_TARGET, maxTtl: 10 * 60 * 1000}]
+      }
+    });
+    result.verified.should.equal(true);
+  });
+  it('should reject a chain that is too deep', async () => {
+    const parent = await _delegate();
+    const capability = await delegate(
+      {seed: DELEGATE_SEED, capability: parent, controller: ROOT_CONTROLLER});
+    const result = await _authorize({
+      capability, seed: ADMIN_SEED,
+      delegationPolicy: {
+        roots: [{invocationTarget: ROOT_TARGET, maxDepth: 1}]
+      }
+    });
+    _shouldViolate({
+      result, detail: 'the delegation policy allows at most 1'
+    });
+  });
+  it('should reject a denied controller', async () => {
+    const capability = await _delegate();
+    const result = await _authorize({
+      capability,
+      delegationPolicy: {controllers: {deny: [DELEGATE_ID]}}
+    });
+    _shouldViolate({
+      result, detail: `The controller "${DELEGATE_ID}"`
+    });
+  });
+  it('should reject a controller with a DID method not allowed', async () => {
+    const capability = await _delegate();
+    const result = await _authorize({
+      capability,
+      delegationPolicy: {controllers: {allow: ['did:web']}}
+    });
+    _shouldViolate({result, detail: 'is not allowed by the delegation policy'});
+  });
+  it('should reject an action not allowed for the root', async () => {
+    const capability = await _delegate({allowedActions: ['write']});
+    const result = await _authorize({
+      capability,
+      delegationPolicy: {
+        roots: [{invocationTarget: ROOT_TARGET, allowedActions: ['read']}]
+      }
+    });
+    _shouldViolate({result, detail: 'The action "write"'});
+  });
+  it('should reject a delegation that does not narrow actions', async () => {
+    const capability = await _delegate();
+    const result = await _authorize({
+      capability,
+      delegationPolicy: {requireActionNarrowing: true}
+    });
+    _shouldViolate({result, detail: 'must restrict its actions'});
+  });
+  it('should reject a TTL that exceeds the target maximum', async () => {
+    const capability = await _delegate();
+    const result = await _authorize({
+      capability,
+      delegationPolicy: {
+        targetTtls: [
+          {invocationTarget: BASE_URL, maxTtl: 10 * 60 * 1000},
+          {invocationTarget: ROOT_TARGET, maxTtl: 60 * 1000}
+        ]
+      }
+    });
+    _shouldViolate({result, detail: `for "${ROOT_TARGET}"`});
+  });
+});
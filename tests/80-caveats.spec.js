@@ -0,0 +1,247 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {authorizeZcapRequest, PROBLEM_TYPES} from '../lib/index.js';
+import {
+  CapabilityDelegation,
+  createRootCapability,
+  constants as zcapConstants
+} from '@digitalbazaar/zcap';
+import {
+  getDelegationSigner, getInvocationSigner, getVerifier
+} from './helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import jsigs from 'jsonld-signatures';
+import {securityLoader} from '@digitalbazaar/security-document-loader';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
+
+// defines the caveat types and their properties, which the zcap context
+// does not; `CustomCaveat` is an application-specific caveat type
+const CAVEAT_CONTEXT_URL = 'https://caveats.example/v1';
+const CAVEAT_VOCAB = 'https://caveats.example/vocab#';
+const CAVEAT_CONTEXT = {
+  '@context': {
+    '@protected': true,
+    ClientIpCaveat: _caveatType({
+      type: 'ClientIpCaveat', properties: ['cidr']
+    }),
+    HttpMethodCaveat: _caveatType({
+      type: 'HttpMethodCaveat', properties: ['methods']
+    }),
+    MaxBodySizeCaveat: _caveatType({
+      type: 'MaxBodySizeCaveat', properties: ['maxBytes']
+    }),
+    QueryParameterCaveat: _caveatType({
+      type: 'QueryParameterCaveat', properties: ['name', 'value']
+    }),
+    TimeOfDayCaveat: _caveatType({
+      type: 'TimeOfDayCaveat', properties: ['start', 'end', 'timeZone']
+    }),
+    CustomCaveat: _caveatType({
+      type: 'CustomCaveat', properties: ['level']
+    })
+  }
+};
+
+const loader = securityLoader();
+loader.addStatic(
+  zcapConstants.ZCAP_CONTEXT_URL, zcapConstants.ZCAP_CONTEXT);
+loader.addStatic(CAVEAT_CONTEXT_URL, CAVEAT_CONTEXT);
+
+const documentLoader = loader.build();
+
+const BASE_HOST = 'zcap.example';
+const BASE_URL = `https://${BASE_HOST}`;
+const ROOT_TARGET = `${BASE_URL}/documents`;
+
+// admin party / root controller used in tests
+const ADMIN_SEED = 'z1AZK4h5w5YZkKYEgqtcFfvSbWQ3tZ3ZFgmLsXMZsTVoeK7';
+const ROOT_CONTROLLER =
+  'did:key:z6Mkfeco2NSEPeFV3DkjNSabaCza1EoS3CmqLb1eJ5BriiaR';
+
+// delegate party used in tests
+const DELEGATE_SEED = 'z1AnZce3gUvSfVbsbqpgH9LNtmBuve4zQdYwdpEp22YQzB4';
+const DELEGATE_ID = 'did:key:z6Mki68HpLhwaUZub3dqbmGCiMm9GfjzX9pBiK8hvezxuCix';
+
+const options = {
+  documentLoader,
+  getExpectedValues() {
+    return {
+      host: BASE_HOST,
+      rootInvocationTarget: [ROOT_TARGET]
+    };
+  },
+  getRootController() {
+    // root controller(Admin DID)
+    return ROOT_CONTROLLER;
+  },
+  getVerifier,
+  problemDetails: true,
+  suiteFactory() {
+    return new Ed25519Signature2020();
+  }
+};
+
+// defines a caveat type with a type-scoped context for its properties
+function _caveatType({type, properties}) {
+  return {
+    '@id': `${CAVEAT_VOCAB}${type}`,
+    '@context': {
+      '@protected': true,
+      ...Object.fromEntries(properties.map(
+        property => [property, `${CAVEAT_VOCAB}${property}`]))
+    }
+  };
+}
+
+// delegates a zcap for `ROOT_TARGET` with caveats from the admin to the
+// delegate
+async function _delegate({
+  caveat, context = [zcapConstants.ZCAP_CONTEXT_URL, CAVEAT_CONTEXT_URL]
+}) {
+  const {id: parentCapability} = createRootCapability(
+    {controller: ROOT_CONTROLLER, invocationTarget: ROOT_TARGET});
+  const capability = {
+    '@context': context,
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    controller: DELEGATE_ID,
+    parentCapability,
+    invocationTarget: ROOT_TARGET,
+    expires: new Date(Date.now() + 60000).toISOString().slice(0, -5) + 'Z',
+    caveat
+  };
+  return jsigs.sign(capability, {
+    documentLoader,
+    suite: new Ed25519Signature2020(
+      {signer: await getDelegationSigner({seed: ADMIN_SEED})}),
+    purpose: new CapabilityDelegation({parentCapability})
+  });
+}
+
+async function _authorize({
+  caveat, caveatHandlers, ip = '10.1.2.3', query = '', json = {name: 'test'}
+}) {
+  const capability = await _delegate({caveat});
+  const url = `${ROOT_TARGET}/123${query}`;
+  const headers = await signCapabilityInvocation({
+    url, method: 'post',
+    headers: {'content-type': 'application/json'},
+    invocationSigner: await getInvocationSigner({seed: DELEGATE_SEED}),
+    capability,
+    capabilityAction: 'write',
+    json
+  });
+  const request = new Request(url, {
+    method: 'POST', headers, body: JSON.stringify(json)
+  });
+  return authorizeZcapRequest({request, ip, ...options, caveatHandlers});
+}
+
+function _shouldNotSatisfy({result, detail}) {
+  result.verified.should.equal(false);
+  result.status.should.equal(403);
+  result.problem.type.should.equal(PROBLEM_TYPES.caveatNotSatisfied.type);
+  result.problem.detail.should.include(detail);
+}
+
+// gets the UTC time of day, in `HH:MM` form, `minutes` from now
+function _getTimeOfDay({minutes}) {
+  return new Date(Date.now() + minutes * 60000).toISOString().slice(11, 16);
+}
+
+describe('ezcap-express w/caveats', () => {
+  it('should allow a request that satisfies every caveat', async () => {
+    const result = await _authorize({
+      caveat: [
+        {type: 'ClientIpCaveat', cidr: ['10.0.0.0/8', '2001:db8::/32']},
+        {type: 'HttpMethodCaveat', methods: ['POST', 'PUT']},
+        {type: 'MaxBodySizeCaveat', maxBytes: 1000},
+        {type: 'QueryParameterCaveat', name: 'tenant', value: 'a'},
+        {
+          type: 'TimeOfDayCaveat',
+          start: _getTimeOfDay({minutes: -60}),
+          end: _getTimeOfDay({minutes: 60})
+        }
+      ],
+      query: '?tenant=a'
+    });
+    result.verified.should.equal(true);
+  });
+  it('should reject a client IP out of range', async () => {
+    const result = await _authorize({
+      caveat: [{type: 'ClientIpCaveat', cidr: '10.0.0.0/8'}],
+      ip: '192.0.2.1'
+    });
+    _shouldNotSatisfy({
+      result, detail: 'The client IP address "192.0.2.1" is not allowed.'
+    });
+  });
+  it('should reject an HTTP method not allowed', async () => {
+    const result = await _authorize({
+      caveat: [{type: 'HttpMethodCaveat', methods: 'GET'}]
+    });
+    _shouldNotSatisfy({result, detail: 'The HTTP method "POST"'});
+  });
+  it('should reject a body that is too large', async () => {
+    const result = await _authorize({
+      caveat: [{type: 'MaxBodySizeCaveat', maxBytes: 10}],
+      json: {name: 'more than ten bytes'}
+    });
+    _shouldNotSatisfy({result, detail: 'no more than 10 bytes'});
+  });
+  it('should reject a missing query parameter', async () => {
+    const result = await _authorize({
+      caveat: [{type: 'QueryParameterCaveat', name: 'tenant'}],
+      query: '?other=a'
+    });
+    _shouldNotSatisfy({result, detail: '"tenant" is required'});
+  });
+  it('should reject a request outside of the time window', async () => {
+    const result = await _authorize({
+      caveat: [{
+        type: 'TimeOfDayCaveat',
+        start: _getTimeOfDay({minutes: 60}),
+        end: _getTimeOfDay({minutes: 120})
+      }]
+    });
+    _shouldNotSatisfy({result, detail: 'Requests are only allowed from'});
+  });
+  it('should reject a caveat type with no handler', async () => {
+    const result = await _authorize({
+      caveat: [{type: 'CustomCaveat', level: 'gold'}]
+    });
+    _shouldNotSatisfy({result, detail: 'Unsupported caveat type'});
+  });
+  it('should use a registered caveat handler', async () => {
+    const caveatHandlers = {
+      CustomCaveat({caveat, request}) {
+        return {valid: caveat.level === 'gold' && request.method === 'POST'};
+      }
+    };
+    let result = await _authorize({
+      caveat: [{type: 'CustomCaveat', level: 'gold'}], caveatHandlers
+    });
+    result.verified.should.equal(true);
+
+    result = await _authorize({
+      caveat: [{type: 'CustomCaveat', level: 'silver'}], caveatHandlers
+    });
+    _shouldNotSatisfy({
+      result, detail: 'The "CustomCaveat" caveat is not satisfied.'
+    });
+  });
+  it('should require a context that defines the caveat terms', async () => {
+    let err;
+    try {
+      await _delegate({
+        caveat: [{type: 'HttpMethodCaveat', methods: ['POST']}],
+        context: zcapConstants.ZCAP_CONTEXT_URL
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.equal('Safe mode validation error.');
+  });
+});
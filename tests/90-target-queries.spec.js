@@ -0,0 +1,188 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {authorizeZcapRequest, PROBLEM_TYPES} from '../lib/index.js';
+import {
+  createRootCapability,
+  constants as zcapConstants
+} from '@digitalbazaar/zcap';
+import {
+  getDelegationSigner, getInvocationSigner, getVerifier
+} from './helpers.js';
+import {Ed25519Signature2020} from '@digitalbazaar/ed25519-signature-2020';
+import {securityLoader} from '@digitalbazaar/security-document-loader';
+import {signCapabilityInvocation} from
+  '@digitalbazaar/http-signature-zcap-invoke';
+import {ZcapClient} from '@digitalbazaar/ezcap';
+
+const loader = securityLoader();
+loader.addStatic(
+  zcapConstants.ZCAP_CONTEXT_URL, zcapConstants.ZCAP_CONTEXT);
+
+const documentLoader = loader.build();
+
+const BASE_HOST = 'zcap.example';
+const BASE_URL = `https://${BASE_HOST}`;
+const ROOT_TARGET = `${BASE_URL}/documents`;
+
+// admin party / root controller used in tests
+const ADMIN_SEED = 'z1AZK4h5w5YZkKYEgqtcFfvSbWQ3tZ3ZFgmLsXMZsTVoeK7';
+const ROOT_CONTROLLER =
+  'did:key:z6Mkfeco2NSEPeFV3DkjNSabaCza1EoS3CmqLb1eJ5BriiaR';
+
+// delegate party used in tests
+const DELEGATE_SEED = 'z1AnZce3gUvSfVbsbqpgH9LNtmBuve4zQdYwdpEp22YQzB4';
+const DELEGATE_ID = 'did:key:z6Mki68HpLhwaUZub3dqbmGCiMm9GfjzX9pBiK8hvezxuCix';
+
+const options = {
+  documentLoader,
+  getRootController() {
+    // root controller(Admin DID)
+    return ROOT_CONTROLLER;
+  },
+  getVerifier,
+  problemDetails: true,
+  suiteFactory() {
+    return new Ed25519Signature2020();
+  }
+};
+
+// delegates a zcap for `invocationTarget` from the controller of `seed`; the
+// root zcap is delegated by default
+async function _delegate({
+  seed = ADMIN_SEED, controller = DELEGATE_ID, invocationTarget,
+  capability = createRootCapability(
+    {controller: ROOT_CONTROLLER, invocationTarget: ROOT_TARGET})
+}) {
+  const zcapClient = new ZcapClient({
+    SuiteClass: Ed25519Signature2020,
+    delegationSigner: await getDelegationSigner({seed})
+  });
+  return zcapClient.delegate({capability, controller, invocationTarget});
+}
+
+async function _authorize({
+  capability, query, target, seed = DELEGATE_SEED, ...authorizeOptions
+}) {
+  const url = `${ROOT_TARGET}${query}`;
+  const headers = await signCapabilityInvocation({
+    url, method: 'get',
+    headers: {},
+    invocationSigner: await getInvocationSigner({seed}),
+    capability,
+    capabilityAction: 'read'
+  });
+  const request = new Request(url, {method: 'GET', headers});
+  return authorizeZcapRequest({
+    request, ...options,
+    getExpectedValues() {
+      return {host: BASE_HOST, rootInvocationTarget: [ROOT_TARGET], target};
+    },
+    ...authorizeOptions
+  });
+}
+
+function _shouldNotMatch({result}) {
+  result.verified.should.equal(false);
+  result.status.should.equal(403);
+  result.problem.type.should.equal(PROBLEM_TYPES.invalidTarget.type);
+}
+
+describe('ezcap-express w/targetQueryMode', () => {
+  it('should require the exact query by default', async () => {
+    const capability = await _delegate(
+      {invocationTarget: `${ROOT_TARGET}?a=1&b=2`});
+    const result = await _authorize({capability, query: '?b=2&a=1'});
+    _shouldNotMatch({result});
+  });
+  it('should ignore query parameter order w/"normalize"', async () => {
+    const capability = await _delegate(
+      {invocationTarget: `${ROOT_TARGET}?a=1&b=2`});
+    const result = await _authorize({
+      capability, query: '?b=2&a=1', targetQueryMode: 'normalize'
+    });
+    result.verified.should.equal(true);
+  });
+  it('should match an expected target w/"normalize"', async () => {
+    const result = await _authorize({
+      capability: `urn:zcap:root:${encodeURIComponent(ROOT_TARGET)}`,
+      query: '?b=2&a=1', seed: ADMIN_SEED,
+      target: `${ROOT_TARGET}?a=1&b=2`, targetQueryMode: 'normalize'
+    });
+    result.verified.should.equal(true);
+  });
+  it('should not ignore other query values w/"normalize"', async () => {
+    const capability = await _delegate(
+      {invocationTarget: `${ROOT_TARGET}?a=1&b=2`});
+    const result = await _authorize({
+      capability, query: '?b=3&a=1', targetQueryMode: 'normalize'
+    });
+    _shouldNotMatch({result});
+  });
+  it('should allow pinned query values w/"attenuate"', async () => {
+    const capability = await _delegate(
+      {invocationTarget: `${ROOT_TARGET}?collection=abc`});
+    const result = await _authorize({
+      capability, query: '?limit=10&collection=abc',
+      targetQueryMode: 'attenuate'
+    });
+    result.verified.should.equal(true);
+  });
+  it('should reject a different pinned value w/"attenuate"', async () => {
+    const capability = await _delegate(
+      {invocationTarget: `${ROOT_TARGET}?collection=abc`});
+    const result = await _authorize({
+      capability, query: '?collection=xyz', targetQueryMode: 'attenuate'
+    });
+    _shouldNotMatch({result});
+  });
+  it('should reject an extra pinned value w/"attenuate"', async () => {
+    const capability = await _delegate(
+      {invocationTarget: `${ROOT_TARGET}?collection=abc`});
+    const result = await _authorize({
+      capability, query: '?collection=abc&collection=xyz',
+      targetQueryMode: 'attenuate'
+    });
+    _shouldNotMatch({result});
+  });
+  it('should require the values pinned in a chain w/"attenuate"', async () => {
+    const parent = await _delegate({
+      controller: ROOT_CONTROLLER,
+      invocationTarget: `${ROOT_TARGET}?collection=abc`
+    });
+    const capability = await _delegate({
+      seed: ADMIN_SEED, capability: parent,
+      invocationTarget: `${ROOT_TARGET}?collection=abc&tag=x`
+    });
+    let result = await _authorize({
+      capability, query: '?tag=x&limit=10&collection=abc',
+      targetQueryMode: 'attenuate'
+    });
+    result.verified.should.equal(true);
+    result = await _authorize({
+      capability, query: '?collection=abc', targetQueryMode: 'attenuate'
+    });
+    _shouldNotMatch({result});
+  });
+  it('should match an expected target w/o a query w/"attenuate"', async () => {
+    const result = await _authorize({
+      capability: `urn:zcap:root:${encodeURIComponent(ROOT_TARGET)}`,
+      query: '?limit=10', seed: ADMIN_SEED, target: ROOT_TARGET,
+      allowTargetAttenuation: false, targetQueryMode: 'attenuate'
+    });
+    result.verified.should.equal(true);
+  });
+  it('should throw on an invalid "targetQueryMode"', async () => {
+    let err;
+    try {
+      await _authorize({
+        capability: `urn:zcap:root:${encodeURIComponent(ROOT_TARGET)}`,
+        query: '', seed: ADMIN_SEED, targetQueryMode: 'sorted'
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.message.should.include('"options.targetQueryMode" must be one of');
+  });
+});
@@ -2,6 +2,7 @@
  * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
  */
 import * as Ed25519Multikey from '@digitalbazaar/ed25519-multikey';
+import {createHeaderValue} from '@digitalbazaar/http-digest-header';
 import {createRootCapability} from '@digitalbazaar/zcap';
 import {decodeSecretKeySeed} from 'bnid';
 import {driver} from '@digitalbazaar/did-method-key';
@@ -14,6 +15,13 @@ didKeyDriver.use({
   fromMultibase: Ed25519Multikey.from
 });
 
+export async function getVerifier({keyId}) {
+  const verificationMethod = await didKeyDriver.get({url: keyId});
+  const key = await Ed25519Multikey.from(verificationMethod);
+  const verifier = key.verifier();
+  return {verifier, verificationMethod};
+}
+
 export async function getInvocationSigner({seed}) {
   const {methodFor} = await _fromSeed({seed});
   const keyPair = methodFor({purpose: 'capabilityInvocation'});
@@ -30,26 +38,85 @@ export async function getDelegationSigner({seed}) {
   return signer;
 }
 
-export async function delegate({seed, rootInvocationTarget, controller}) {
+// delegates a root zcap or, if `capability` is given, a delegated zcap
+export async function delegate({
+  seed, rootInvocationTarget, controller, capability
+}) {
   const delegationSigner = await getDelegationSigner({seed});
   const zcapClient = new ZcapClient({
     SuiteClass: Ed25519Signature2020,
     delegationSigner
   });
-  // key ID is always `<controller>#...`
-  const {id: keyId} = delegationSigner;
-  const rootController = keyId.slice(0, keyId.indexOf('#'));
-  const rootZcap = createRootCapability({
-    controller: rootController,
-    invocationTarget: rootInvocationTarget
-  });
+  if(!capability) {
+    // key ID is always `<controller>#...`
+    const {id: keyId} = delegationSigner;
+    const rootController = keyId.slice(0, keyId.indexOf('#'));
+    capability = createRootCapability({
+      controller: rootController,
+      invocationTarget: rootInvocationTarget
+    });
+  }
   return zcapClient.delegate({
-    capability: rootZcap,
+    capability,
     controller,
-    invocationTarget: rootZcap.invocationTarget
+    invocationTarget: capability.invocationTarget
   });
 }
 
+// signs a root zcap invocation using RFC 9421 HTTP Message Signatures
+export async function signMessageSignatureInvocation({
+  url, method, json, capabilityAction, invocationSigner,
+  digestHeader = 'digest', digestAlgorithm,
+  components = [
+    '@method', '@target-uri', '@authority', 'capability-invocation'
+  ],
+  created = Math.floor(Date.now() / 1000),
+  expires = created + 600
+}) {
+  const {host, pathname, search} = new URL(url);
+  const capability = `urn:zcap:root:${encodeURIComponent(url)}`;
+  const headers = {
+    host,
+    'capability-invocation':
+      `zcap id="${capability}",action="${capabilityAction}"`
+  };
+  components = [...components];
+  if(json !== undefined) {
+    headers['content-type'] = 'application/json';
+    headers[digestHeader] = digestHeader === 'digest' ?
+      await createHeaderValue({data: json}) :
+      await createContentDigest({data: json, algorithm: digestAlgorithm});
+    components.push('content-type', digestHeader);
+  }
+  const values = {
+    '@method': method.toUpperCase(),
+    '@target-uri': url,
+    '@authority': host,
+    '@path': pathname,
+    '@query': search || '?'
+  };
+  const signatureParams =
+    `(${components.map(c => `"${c}"`).join(' ')});created=${created};` +
+    `expires=${expires};keyid="${invocationSigner.id}"`;
+  const lines = components.map(c => `"${c}": ${values[c] ?? headers[c]}`);
+  lines.push(`"@signature-params": ${signatureParams}`);
+  const data = new TextEncoder().encode(lines.join('\n'));
+  const signature = await invocationSigner.sign({data});
+  headers['signature-input'] = `sig1=${signatureParams}`;
+  headers.signature =
+    `sig1=:${Buffer.from(signature).toString('base64')}:`;
+  return headers;
+}
+
+// creates an RFC 9530 `content-digest` or `repr-digest` header value
+export async function createContentDigest({data, algorithm = 'sha-256'}) {
+  const bytes = new TextEncoder().encode(
+    typeof data === 'string' ? data : JSON.stringify(data));
+  const digest = await crypto.subtle.digest(
+    {name: algorithm.toUpperCase()}, bytes);
+  return `${algorithm}=:${Buffer.from(digest).toString('base64')}:`;
+}
+
 async function _fromSeed({seed}) {
   const bytes = decodeSecretKeySeed({secretKeySeed: seed});
   const keyPair = await Ed25519Multikey.generate({seed: bytes});